@@ -0,0 +1,140 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {ERC721} from "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import {ERC721URIStorage} from "@openzeppelin/contracts/token/ERC721/extensions/ERC721URIStorage.sol";
+import {AccessControl} from "@openzeppelin/contracts/access/AccessControl.sol";
+import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";
+
+/**
+ * @title CertimosCertificate
+ * @notice ERC-721 certificates issued by CERTIMOS organizers.
+ * @dev Certificates are soulbound while `transfersLocked` is set: they can be
+ *      minted but not moved between wallets. Revocation keeps the
+ *      token in the holder's wallet and flags it so verifiers can show why it
+ *      was withdrawn.
+ */
+contract CertimosCertificate is ERC721URIStorage, AccessControl, Ownable {
+    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
+
+    uint256 private _nextTokenId = 1;
+    bool public transfersLocked = true;
+
+    mapping(uint256 => bool) private _revoked;
+    mapping(uint256 => string) private _revocationReasons;
+
+    event CertificateMinted(address indexed to, uint256 indexed tokenId, string tokenURI);
+    event CertificateRevoked(uint256 indexed tokenId, string reason);
+    event TransferLockUpdated(bool locked);
+
+    error TransfersLocked();
+    error CertificateAlreadyRevoked(uint256 tokenId);
+    error BatchLengthMismatch(uint256 recipients, uint256 uris);
+
+    constructor(string memory name_, string memory symbol_) ERC721(name_, symbol_) Ownable(msg.sender) {
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(MINTER_ROLE, msg.sender);
+    }
+
+    /**
+     * @notice Mint a certificate to `to` with metadata at `uri`.
+     * @return tokenId The ID of the newly minted certificate.
+     */
+    function mintCertificate(address to, string calldata uri) external onlyRole(MINTER_ROLE) returns (uint256) {
+        uint256 tokenId = _nextTokenId++;
+        _safeMint(to, tokenId);
+        _setTokenURI(tokenId, uri);
+        emit CertificateMinted(to, tokenId, uri);
+        return tokenId;
+    }
+
+    /**
+     * @notice Mint one certificate per recipient in a single transaction;
+     *         `uris[i]` is the metadata for `recipients[i]`. Token IDs are
+     *         consecutive, in recipient order.
+     * @return firstTokenId The ID of the first certificate minted.
+     */
+    function mintBatch(address[] calldata recipients, string[] calldata uris)
+        external
+        onlyRole(MINTER_ROLE)
+        returns (uint256 firstTokenId)
+    {
+        if (recipients.length != uris.length) revert BatchLengthMismatch(recipients.length, uris.length);
+
+        firstTokenId = _nextTokenId;
+        for (uint256 i = 0; i < recipients.length; i++) {
+            uint256 tokenId = _nextTokenId++;
+            _safeMint(recipients[i], tokenId);
+            _setTokenURI(tokenId, uris[i]);
+            emit CertificateMinted(recipients[i], tokenId, uris[i]);
+        }
+    }
+
+    /**
+     * @notice Point `tokenId` at new metadata, e.g. when it was pinned before
+     *         the token ID was known. Emits ERC-4906 `MetadataUpdate`.
+     */
+    function setTokenURI(uint256 tokenId, string calldata uri) external onlyRole(MINTER_ROLE) {
+        _requireOwned(tokenId);
+        _setTokenURI(tokenId, uri);
+    }
+
+    /**
+     * @notice The token ID the next minted certificate will receive.
+     */
+    function tokenIdCounter() external view returns (uint256) {
+        return _nextTokenId;
+    }
+
+    /**
+     * @notice Number of certificates minted so far, including revoked ones.
+     */
+    function totalMinted() external view returns (uint256) {
+        return _nextTokenId - 1;
+    }
+
+    /**
+     * @notice Withdraw a certificate, recording why it was revoked.
+     */
+    function revoke(uint256 tokenId, string calldata reason) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _requireOwned(tokenId);
+        if (_revoked[tokenId]) revert CertificateAlreadyRevoked(tokenId);
+
+        _revoked[tokenId] = true;
+        _revocationReasons[tokenId] = reason;
+        emit CertificateRevoked(tokenId, reason);
+    }
+
+    function isRevoked(uint256 tokenId) external view returns (bool) {
+        return _revoked[tokenId];
+    }
+
+    function revocationReason(uint256 tokenId) external view returns (string memory) {
+        return _revocationReasons[tokenId];
+    }
+
+    /**
+     * @notice Allow or block wallet-to-wallet transfers of certificates.
+     */
+    function setTransfersLocked(bool locked) external onlyOwner {
+        transfersLocked = locked;
+        emit TransferLockUpdated(locked);
+    }
+
+    function _update(address to, uint256 tokenId, address auth) internal override returns (address) {
+        address from = _ownerOf(tokenId);
+        if (transfersLocked && from != address(0) && to != address(0)) {
+            revert TransfersLocked();
+        }
+        return super._update(to, tokenId, auth);
+    }
+
+    function supportsInterface(bytes4 interfaceId)
+        public
+        view
+        override(ERC721URIStorage, AccessControl)
+        returns (bool)
+    {
+        return super.supportsInterface(interfaceId);
+    }
+}
@@ -0,0 +1,16 @@
+// Hardhat provides the in-process network `npm test` deploys the certificate
+// contract to. The tests deploy the artifact `npm run compile:contract`
+// writes, so the compiler settings here only mirror that script's.
+module.exports = {
+  solidity: {
+    version: "0.8.24",
+    settings: {
+      evmVersion: "paris",
+      optimizer: { enabled: true, runs: 200 },
+    },
+  },
+  networks: {
+    // XDC has no PUSH0 yet; run the local chain at the same (Paris) rules
+    hardhat: { hardfork: "merge" },
+  },
+};
@@ -1,4 +1,13 @@
 /** @type {import('next').NextConfig} */
-const nextConfig = {};
+const nextConfig = {
+  async rewrites() {
+    return [
+      // Uptime checks written for the old standalone backend probe /health
+      { source: '/health', destination: '/api/health' },
+      // Gateway for files pinned with IPFS_PROVIDER=local
+      { source: '/ipfs/:cid', destination: '/api/ipfs/:cid' },
+    ];
+  },
+};
 
 export default nextConfig;
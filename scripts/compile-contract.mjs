@@ -0,0 +1,74 @@
+// Compiles contracts/CertimosCertificate.sol and writes the ABI and bytecode
+// to src/app/lib/contracts/CertimosCertificate.js for the API routes.
+//
+// Usage: npm run compile:contract
+import fs from "fs";
+import path from "path";
+import { createRequire } from "module";
+import { fileURLToPath } from "url";
+
+const require = createRequire(import.meta.url);
+const solc = require("solc");
+
+const rootDir = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const contractName = "CertimosCertificate";
+const sourcePath = path.join(rootDir, "contracts", `${contractName}.sol`);
+const outputPath = path.join(rootDir, "src", "app", "lib", "contracts", `${contractName}.js`);
+
+// XDC does not support PUSH0 yet, so target the last EVM version without it
+const EVM_VERSION = "paris";
+const OPTIMIZER_RUNS = 200;
+
+function findImport(importPath) {
+  try {
+    return { contents: fs.readFileSync(require.resolve(importPath), "utf8") };
+  } catch {
+    return { error: `File not found: ${importPath}` };
+  }
+}
+
+const input = {
+  language: "Solidity",
+  sources: {
+    [`${contractName}.sol`]: { content: fs.readFileSync(sourcePath, "utf8") },
+  },
+  settings: {
+    evmVersion: EVM_VERSION,
+    optimizer: { enabled: true, runs: OPTIMIZER_RUNS },
+    outputSelection: {
+      "*": { "*": ["abi", "evm.bytecode.object"] },
+    },
+  },
+};
+
+const output = JSON.parse(solc.compile(JSON.stringify(input), { import: findImport }));
+
+const errors = (output.errors || []).filter((error) => error.severity === "error");
+for (const message of output.errors || []) {
+  console[message.severity === "error" ? "error" : "warn"](message.formattedMessage);
+}
+if (errors.length > 0) {
+  process.exit(1);
+}
+
+const artifact = output.contracts[`${contractName}.sol`][contractName];
+
+const moduleSource = `// Generated by scripts/compile-contract.mjs from contracts/${contractName}.sol.
+// Do not edit by hand; run \`npm run compile:contract\` after changing the contract.
+
+export const CERTIFICATE_CONTRACT_NAME = ${JSON.stringify(contractName)};
+
+export const CERTIFICATE_COMPILER = ${JSON.stringify({
+  solc: solc.version(),
+  evmVersion: EVM_VERSION,
+  optimizerRuns: OPTIMIZER_RUNS,
+}, null, 2)};
+
+export const CERTIFICATE_CONTRACT_ABI = ${JSON.stringify(artifact.abi, null, 2)};
+
+export const CERTIFICATE_CONTRACT_BYTECODE = "0x${artifact.evm.bytecode.object}";
+`;
+
+fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+fs.writeFileSync(outputPath, moduleSource);
+console.log(`Wrote ${path.relative(rootDir, outputPath)}`);
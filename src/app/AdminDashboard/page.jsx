@@ -11,41 +11,86 @@ import {
   FaExclamationCircle,
   FaPlus,
   FaCertificate,
-  FaTimes
+  FaTimes,
+  FaBan,
+  FaStar
 } from "react-icons/fa";
 import StarBorder from "../components/ui/StarBorder";
 import FloatingPixels from "../components/ui/FloatingPixels";
 import { ethers } from "ethers";
+import { NETWORKS, DEFAULT_NETWORK } from "../lib/networks";
+import { CERTIFICATE_TYPES, getCertificateTypeLabel } from "../lib/metadataSchema";
 
-// Backend API Configuration
-const POSSIBLE_BACKEND_URLS = [
-  "http://localhost:5000",
-  "http://localhost:3001",
-  "http://127.0.0.1:5000"
-];
+// Certificate index and wallet routes served by this app
+const API_BASE_URL = "/api";
 
-let API_BASE_URL = "http://localhost:5000/api";
-let HEALTH_URL = "http://localhost:5000/health";
+const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const formatAmount = (value) => Number(value).toLocaleString(undefined, { maximumFractionDigits: 6 });
+
+// Gas and cost preview shown before a deploy or mint is confirmed
+const CostEstimate = ({ estimate }) => (
+  <div
+    className={`p-4 rounded-lg border text-sm space-y-1 ${
+      estimate.sufficient ? "bg-gray-800 border-gray-600 text-gray-300" : "bg-red-900/50 border-red-500 text-red-200"
+    }`}
+  >
+    <p className="font-semibold text-white">
+      {estimate.action === "deploy"
+        ? "Deployment cost"
+        : `Minting ${estimate.recipients} certificates in ${estimate.transactions} transaction${estimate.transactions === 1 ? "" : "s"}`}
+    </p>
+    <p>Estimated gas: {Number(estimate.gas).toLocaleString()}</p>
+    <p>
+      Fee per gas: {formatAmount(estimate.fees.expectedGwei)} gwei (max {formatAmount(estimate.fees.maxGwei)} gwei)
+    </p>
+    <p>
+      Estimated cost: {formatAmount(estimate.estimatedCost)} {estimate.currency} (at most{" "}
+      {formatAmount(estimate.maxCost)} {estimate.currency})
+    </p>
+    <p>Deployer balance: {formatAmount(estimate.balance)} {estimate.currency}</p>
+    {estimate.simulatedRecipients < estimate.recipients && (
+      <p className="text-gray-400">
+        Simulated the first {estimate.simulatedRecipients} mints; the rest are extrapolated from them.
+      </p>
+    )}
+    {!estimate.sufficient && (
+      <p className="font-semibold">
+        The balance is {formatAmount(estimate.shortfall)} {estimate.currency} short of the maximum cost.
+      </p>
+    )}
+  </div>
+);
+
+const EMPTY_MINT_FORM = {
+  eventName: "",
+  certificateName: "",
+  contractAddress: "",
+  participantList: null,
+  templateImage: null,
+  templateLayout: "",
+  certificateType: "participation",
+  certificateTypeLabel: "",
+  level: "",
+  skills: "",
+  expiresAt: "",
+  mintMode: "batch",
+};
 
 const apiService = {
-  async findWorkingBackend() {
-    for (const baseUrl of POSSIBLE_BACKEND_URLS) {
-      try {
-        const response = await fetch(`${baseUrl}/health`, {
-          method: 'GET',
-          headers: { 'Accept': 'application/json', 'Content-Type': 'application/json' }
-        });
-        if (response.ok) {
-          API_BASE_URL = `${baseUrl}/api`;
-          HEALTH_URL = `${baseUrl}/health`;
-          return await response.json();
-        }
-      } catch (error) {
-        console.log(`Backend not available at ${baseUrl}:`, error.message);
-        continue;
-      }
+  async checkHealth() {
+    const response = await fetch(`${API_BASE_URL}/health`, {
+      method: 'GET',
+      headers: { 'Accept': 'application/json' }
+    });
+    if (!response.ok) {
+      throw new Error(`Health check failed: ${response.status} ${response.statusText}`);
     }
-    throw new Error('No backend server found. Please start your backend server.');
+    return response.json();
   },
 
   async getCertificates() {
@@ -64,9 +109,9 @@ const apiService = {
     }
   },
 
-  async getBalance(walletAddress) {
+  async getBalance(walletAddress, network = DEFAULT_NETWORK) {
     try {
-      const response = await fetch(`${API_BASE_URL}/wallet/${walletAddress}/balance`, {
+      const response = await fetch(`${API_BASE_URL}/wallet/${walletAddress}/balance?network=${network}`, {
         method: 'GET',
         headers: { 'Accept': 'application/json', 'Content-Type': 'application/json' }
       });
@@ -84,6 +129,8 @@ const apiService = {
 export default function AdminDashboard() {
 
   const router = useRouter();
+  const { data: session } = useSession();
+  const isAdmin = session?.user?.role === 'admin';
 
   // New state variables for the navbar
   const [wallet, setWallet] = useState('Admin Wallet'); // Using a placeholder for admin
@@ -102,21 +149,30 @@ export default function AdminDashboard() {
   const [showMintCertificates, setShowMintCertificates] = useState(false);
   const [csvValidation, setCsvValidation] = useState(null);
   const [mintingProgress, setMintingProgress] = useState(null);
+  const [showRevokeCertificate, setShowRevokeCertificate] = useState(false);
+  const [showScoringRules, setShowScoringRules] = useState(false);
+  const [scoringRulesText, setScoringRulesText] = useState("");
+  // Estimate shown for confirmation; the deploy and mint forms send on the second submit
+  const [costEstimate, setCostEstimate] = useState(null);
 
   // Contract creation form
   const [contractForm, setContractForm] = useState({
     contractName: "",
-    networkName: "apothem",
+    networkName: DEFAULT_NETWORK,
   });
 
-  // Certificate minting form
-  const [mintForm, setMintForm] = useState({
-    eventName: "",
-    certificateName: "",
+  // Certificate revocation form
+  const [revokeForm, setRevokeForm] = useState({
     contractAddress: "",
-    participantList: null,
+    tokenId: "",
+    reason: "",
   });
 
+  // Certificate minting form
+  const [mintForm, setMintForm] = useState(EMPTY_MINT_FORM);
+  const [templatePreview, setTemplatePreview] = useState(null);
+  const [previewLoading, setPreviewLoading] = useState(false);
+
   // Clear messages after 5 seconds
   useEffect(() => {
     if (success || error) {
@@ -133,11 +189,76 @@ export default function AdminDashboard() {
     fetchContracts();
     checkBackendHealth();
     fetchDashboardData();
+    restoreLastMintJob();
   }, []);
 
+  // Poll the bulk-mint job until the worker has processed every row
+  useEffect(() => {
+    if (!mintingProgress?.id || ['completed', 'failed'].includes(mintingProgress.status)) {
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await fetch(`/api/jobs/${mintingProgress.id}`);
+        const result = await response.json();
+
+        if (response.ok && result.job) {
+          setMintingProgress(result.job);
+          if (result.job.status === 'completed') {
+            setSuccess(`Bulk minting completed. ${result.job.progress.successCount} successful, ${result.job.progress.failedCount} failed.`);
+          } else if (result.job.status === 'failed') {
+            setError(result.job.error || 'Bulk minting failed');
+          }
+        }
+      } catch (err) {
+        setError('Failed to fetch minting progress: ' + err.message);
+      }
+    }, 2000);
+
+    return () => clearTimeout(timer);
+  }, [mintingProgress]);
+
+  // Reattach to the last bulk-mint job so closing the tab doesn't lose its results
+  const restoreLastMintJob = async () => {
+    const jobId = localStorage.getItem('lastMintJobId');
+    if (!jobId) return;
+
+    try {
+      const response = await fetch(`/api/jobs/${jobId}`);
+      const result = await response.json();
+      if (response.ok && result.job) {
+        setMintingProgress(result.job);
+      } else if (response.status === 404) {
+        localStorage.removeItem('lastMintJobId');
+      }
+    } catch (err) {
+      setError('Failed to restore minting progress: ' + err.message);
+    }
+  };
+
+  const retryFailedRows = async () => {
+    if (!mintingProgress?.id) return;
+    setError(null);
+
+    try {
+      const response = await fetch(`/api/jobs/${mintingProgress.id}/retry`, { method: 'POST' });
+      const result = await response.json();
+
+      if (response.ok) {
+        setSuccess(result.message);
+        setMintingProgress(result.job);
+      } else {
+        setError(result.error);
+      }
+    } catch (err) {
+      setError('Failed to retry failed rows: ' + err.message);
+    }
+  };
+
   const checkBackendHealth = async () => {
     try {
-      const health = await apiService.findWorkingBackend();
+      const health = await apiService.checkHealth();
       setBackendStatus(health);
     } catch (err) {
       setBackendStatus({ status: "ERROR", message: err.message });
@@ -159,7 +280,7 @@ export default function AdminDashboard() {
       // or fetch the balance of the first deployed contract owner
       const adminWalletAddress = contracts.length > 0 ? (contracts[0].owner || contracts[0].deployer) : '0xPlaceholder';
       if (adminWalletAddress !== '0xPlaceholder') {
-        const balanceResponse = await apiService.getBalance(adminWalletAddress);
+        const balanceResponse = await apiService.getBalance(adminWalletAddress, contracts[0].network);
         if (balanceResponse.success) {
           setBalance(balanceResponse.balance.formatted);
         } else {
@@ -186,7 +307,7 @@ export default function AdminDashboard() {
 
   const fetchContracts = async () => {
     try {
-      const response = await fetch('http://localhost:5000/api/contracts/deployments');
+      const response = await fetch('/api/contracts/deployments');
       const data = await response.json();
 
       if (data.success && Array.isArray(data.contracts)) {
@@ -235,10 +356,12 @@ export default function AdminDashboard() {
   const handleContractFormChange = (e) => {
     const { name, value } = e.target;
     setContractForm(prev => ({ ...prev, [name]: value }));
+    setCostEstimate(null);
   };
 
   const handleMintFormChange = (e) => {
     const { name, value, files } = e.target;
+    setCostEstimate(null);
     if (files) {
       setMintForm(prev => ({ ...prev, [name]: files[0] }));
     } else {
@@ -246,6 +369,92 @@ export default function AdminDashboard() {
     }
   };
 
+  const resetMintForm = () => {
+    setMintForm(EMPTY_MINT_FORM);
+    setCostEstimate(null);
+    setCsvValidation(null);
+    setTemplatePreview(null);
+  };
+
+  // Release the previous preview image when it is replaced or closed
+  useEffect(() => {
+    return () => {
+      if (templatePreview) URL.revokeObjectURL(templatePreview);
+    };
+  }, [templatePreview]);
+
+  const appendTemplateFields = (formData) => {
+    if (mintForm.templateImage) {
+      formData.append("templateImage", mintForm.templateImage);
+    }
+    if (mintForm.templateLayout.trim()) {
+      formData.append("templateLayout", mintForm.templateLayout);
+    }
+  };
+
+  const appendCertificateOptions = (formData) => {
+    const fields = ["certificateType", "level", "skills", "expiresAt"];
+    if (mintForm.certificateType === "custom") {
+      fields.push("certificateTypeLabel");
+    }
+    for (const field of fields) {
+      if (mintForm[field].trim()) {
+        formData.append(field, mintForm[field]);
+      }
+    }
+  };
+
+  const previewCertificate = async () => {
+    setPreviewLoading(true);
+    setError(null);
+
+    const selectedContract = contracts.find(contract =>
+      (contract.contractAddress || contract.address) === mintForm.contractAddress
+    );
+
+    const formData = new FormData();
+    formData.append("participantName", csvValidation?.preview?.[0]?.participant_name || "Jane Doe");
+    formData.append("eventName", mintForm.eventName);
+    formData.append("certificateName", mintForm.certificateName);
+    formData.append("contractAddress", mintForm.contractAddress);
+    formData.append("network", selectedContract?.network || DEFAULT_NETWORK);
+    appendTemplateFields(formData);
+
+    try {
+      const response = await fetch("/api/certificates/preview", {
+        method: "POST",
+        body: formData,
+      });
+
+      if (!response.ok) {
+        const result = await response.json();
+        setError(result.error || 'Failed to render preview');
+        return;
+      }
+      setTemplatePreview(URL.createObjectURL(await response.blob()));
+    } catch (error) {
+      setError('Failed to render preview: ' + error.message);
+    } finally {
+      setPreviewLoading(false);
+    }
+  };
+
+  // Simulate a deploy or mint on the server and show its cost for confirmation
+  const showCostEstimate = async (body) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/contracts/estimate`, body instanceof FormData
+        ? { method: 'POST', body }
+        : { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || 'Unknown error');
+      }
+      setCostEstimate(result.estimate);
+    } catch (error) {
+      setError('Failed to estimate cost: ' + error.message);
+    }
+  };
+
   const deployContract = async (e) => {
     e.preventDefault();
     setLoading(true);
@@ -253,7 +462,16 @@ export default function AdminDashboard() {
     setError(null);
 
     try {
-      const response = await fetch('http://localhost:5000/api/contracts/deploy', {
+      if (costEstimate?.action !== 'deploy') {
+        await showCostEstimate({
+          action: 'deploy',
+          network: contractForm.networkName,
+          contractName: contractForm.contractName,
+        });
+        return;
+      }
+
+      const response = await fetch('/api/contracts/deploy', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -268,7 +486,8 @@ export default function AdminDashboard() {
         await fetchContracts();
         setSuccess(`Contract deployed successfully! Address: ${result.deployment.contractAddress}`);
         setShowCreateContract(false);
-        setContractForm({ contractName: "", networkName: "apothem" });
+        setContractForm({ contractName: "", networkName: DEFAULT_NETWORK });
+        setCostEstimate(null);
       } else {
         setError(result.error);
       }
@@ -282,9 +501,12 @@ export default function AdminDashboard() {
   const validateCsv = async (file) => {
     const formData = new FormData();
     formData.append('csvFile', file);
+    if (mintForm.certificateType === 'custom' && mintForm.certificateTypeLabel.trim()) {
+      formData.append('certificateTypeLabel', mintForm.certificateTypeLabel);
+    }
 
     try {
-      const response = await fetch('http://localhost:5000/api/contracts/validate-csv', {
+      const response = await fetch('/api/contracts/validate-csv', {
         method: 'POST',
         body: formData,
       });
@@ -298,6 +520,100 @@ export default function AdminDashboard() {
     }
   };
 
+  const handleRevokeFormChange = (e) => {
+    const { name, value } = e.target;
+    setRevokeForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const revokeCertificate = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setSuccess(null);
+    setError(null);
+
+    const selectedContract = contracts.find(contract => contract.contractAddress === revokeForm.contractAddress);
+
+    try {
+      const response = await fetch(
+        `/api/certificates/${revokeForm.contractAddress}/${revokeForm.tokenId}/revoke`,
+        {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            reason: revokeForm.reason,
+            network: selectedContract?.network || DEFAULT_NETWORK,
+          }),
+        }
+      );
+
+      const result = await response.json();
+
+      if (response.ok) {
+        setSuccess(`${result.message} (Token ID: ${revokeForm.tokenId})`);
+        setShowRevokeCertificate(false);
+        setRevokeForm({ contractAddress: "", tokenId: "", reason: "" });
+      } else {
+        setError(result.error);
+      }
+    } catch (error) {
+      setError('Failed to revoke certificate: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openScoringRules = async () => {
+    setError(null);
+    try {
+      const response = await fetch("/api/scoring/rules");
+      const result = await response.json();
+      if (!response.ok) {
+        setError(result.error);
+        return;
+      }
+      setScoringRulesText(JSON.stringify(result.rules, null, 2));
+      setShowScoringRules(true);
+    } catch (error) {
+      setError('Failed to load scoring rules: ' + error.message);
+    }
+  };
+
+  const saveScoringRules = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setSuccess(null);
+    setError(null);
+
+    let rules;
+    try {
+      rules = JSON.parse(scoringRulesText);
+    } catch {
+      setError("Scoring rules must be valid JSON");
+      setLoading(false);
+      return;
+    }
+
+    try {
+      const response = await fetch("/api/scoring/rules", {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(rules),
+      });
+      const result = await response.json();
+
+      if (response.ok) {
+        setSuccess(result.message);
+        setShowScoringRules(false);
+      } else {
+        setError(Array.isArray(result.details) ? `${result.error}: ${result.details.join('; ')}` : result.error);
+      }
+    } catch (error) {
+      setError('Failed to save scoring rules: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const mintCertificates = async (e) => {
     e.preventDefault();
     setLoading(true);
@@ -315,29 +631,37 @@ export default function AdminDashboard() {
     formData.append("certificateName", mintForm.certificateName);
     formData.append("contractAddress", mintForm.contractAddress);
     formData.append("contractName", contractName);
+    formData.append("network", selectedContract?.network || DEFAULT_NETWORK);
+    formData.append("mintMode", mintForm.mintMode);
 
     if (mintForm.participantList) {
       formData.append("csvFile", mintForm.participantList);
     }
+    appendCertificateOptions(formData);
+    appendTemplateFields(formData);
 
     try {
-      const response = await fetch("http://localhost:5000/api/contracts/auto-mint-with-ipfs", {
+      if (costEstimate?.action !== 'mint') {
+        formData.append("action", "mint");
+        await showCostEstimate(formData);
+        return;
+      }
+
+      const response = await fetch("/api/contracts/auto-mint-with-ipfs", {
         method: "POST",
         body: formData,
       });
 
       const result = await response.json();
 
-      if (response.ok || response.status === 207) {
+      if (response.ok) {
         setSuccess(result.message);
-        if (result.results && Array.isArray(result.results.results)) {
-          setMintingProgress(result.results.results);
-        }
+        setMintingProgress(result.job);
+        localStorage.setItem('lastMintJobId', result.jobId);
         setShowMintCertificates(false);
-        setMintForm({ eventName: "", certificateName: "", contractAddress: "", participantList: null });
-        setCsvValidation(null);
+        resetMintForm();
       } else {
-        setError(result.error);
+        setError(Array.isArray(result.details) ? `${result.error}: ${result.details.join('; ')}` : result.error);
       }
     } catch (error) {
       setError('Failed to mint certificates: ' + error.message);
@@ -402,6 +726,15 @@ export default function AdminDashboard() {
                   >
                     {backendStatus.status === "OK" ? " Backend Online " : "Backend Offline "}
                   </span>
+                  {backendStatus.issues?.length > 0 && (
+                    <span
+                      title={backendStatus.issues.join("\n")}
+                      className="flex items-center gap-1 text-xs text-yellow-400 cursor-help"
+                    >
+                      <FaExclamationCircle />
+                      {backendStatus.issues.length} minting {backendStatus.issues.length === 1 ? "issue" : "issues"}
+                    </span>
+                  )}
                 </div>
               )}
 
@@ -542,6 +875,29 @@ export default function AdminDashboard() {
                 <FaCertificate />
                 Mint Certificates
               </button>
+              {isAdmin && (
+                <button
+                  onClick={() => setShowRevokeCertificate(true)}
+                  disabled={contracts.length === 0}
+                  className={`flex items-center gap-2 px-6 py-3 rounded-lg font-bold transition-colors ${
+                    contracts.length === 0
+                      ? "bg-gray-600 text-gray-400 cursor-not-allowed"
+                      : "bg-red-600 text-white hover:bg-red-700"
+                  }`}
+                >
+                  <FaBan />
+                  Revoke Certificate
+                </button>
+              )}
+              {isAdmin && (
+                <button
+                  onClick={openScoringRules}
+                  className="flex items-center gap-2 bg-yellow-500 text-black px-6 py-3 rounded-lg font-bold hover:bg-yellow-400 transition-colors"
+                >
+                  <FaStar />
+                  Scoring Rules
+                </button>
+              )}
             </div>
 
             {/* Success/Error Messages */}
@@ -563,26 +919,86 @@ export default function AdminDashboard() {
             )}
 
             {/* Minting Progress */}
-            {mintingProgress && Array.isArray(mintingProgress) && (
-              <div className="mb-8 p-6 bg-gray-800 rounded-lg border border-gray-600">
-                <h3 className="text-xl font-bold mb-4 text-[#2cf2f9]">
-                  Minting Results
-                </h3>
+            {mintingProgress?.progress && (
+              <div className="w-full mb-8 p-6 bg-gray-800 rounded-lg border border-gray-600">
+                <div className="flex justify-between items-center mb-2">
+                  <h3 className="text-xl font-bold text-[#2cf2f9]">
+                    {mintingProgress.status === "completed" ? "Minting Results" : "Minting Progress"}
+                  </h3>
+                  <span className="text-sm text-gray-400 capitalize">
+                    {mintingProgress.status}
+                  </span>
+                </div>
+                <div className="w-full h-3 bg-gray-700 rounded-full overflow-hidden mb-2">
+                  <div
+                    className="h-full bg-gradient-to-r from-[#54D1DC] to-green-400 transition-all duration-500"
+                    style={{
+                      width: `${mintingProgress.progress.total > 0
+                        ? (mintingProgress.progress.processed / mintingProgress.progress.total) * 100
+                        : 0}%`,
+                    }}
+                  ></div>
+                </div>
+                <p className="text-sm text-gray-400 mb-4">
+                  {mintingProgress.progress.processed} / {mintingProgress.progress.total} processed ·{" "}
+                  <span className="text-green-400">{mintingProgress.progress.successCount} minted</span> ·{" "}
+                  <span className="text-yellow-400">{mintingProgress.progress.skippedCount || 0} skipped</span> ·{" "}
+                  <span className="text-red-400">{mintingProgress.progress.failedCount} failed</span>
+                  {mintingProgress.progress.ipfs?.bytesSaved > 0 && (
+                    <>
+                      {" "}·{" "}
+                      <span className="text-[#54D1DC]">
+                        {formatBytes(mintingProgress.progress.ipfs.bytesSaved)} IPFS upload saved by deduplication
+                      </span>
+                    </>
+                  )}
+                  {mintingProgress.status === "completed" && mintingProgress.throughput?.minted > 0 && (
+                    <>
+                      {" "}·{" "}
+                      <span
+                        title={`${mintingProgress.throughput.mintMode === "batch"
+                          ? `Up to ${mintingProgress.throughput.batchSize} certificates per transaction`
+                          : "One certificate per transaction"}, ${mintingProgress.throughput.maxInFlight} transactions in flight, ${mintingProgress.throughput.nonceRecoveries} nonce recoveries`}
+                      >
+                        {mintingProgress.throughput.mintsPerMinute} mints/min over{" "}
+                        {Math.round(mintingProgress.throughput.durationMs / 1000)}s
+                      </span>
+                    </>
+                  )}
+                </p>
+                {mintingProgress.status === "completed" && mintingProgress.progress.failedCount > 0 && (
+                  <button
+                    onClick={retryFailedRows}
+                    className="mb-4 bg-white text-black px-4 py-2 rounded-lg font-semibold hover:bg-gray-200 transition-colors"
+                  >
+                    Retry {mintingProgress.progress.failedCount} Failed Rows
+                  </button>
+                )}
                 <div className="space-y-2 max-h-60 overflow-y-auto">
-                  {mintingProgress.map((result, index) => (
+                  {mintingProgress.rows.map((row) => (
                     <div
-                      key={index}
+                      key={row.index}
                       className={`p-3 rounded flex items-center justify-between ${
-                        result.success
+                        row.status === "minted"
                           ? "bg-green-900 text-green-100"
-                          : "bg-red-900 text-red-100"
+                          : row.status === "failed"
+                          ? "bg-red-900 text-red-100"
+                          : row.status === "skipped"
+                          ? "bg-yellow-900 text-yellow-100"
+                          : "bg-gray-700 text-gray-300"
                       }`}
                     >
-                      <span>{result.participant}</span>
+                      <span>{row.participant}</span>
                       <span className="text-sm">
-                        {result.success
-                          ? `✓ Token ID: ${result.tokenId}`
-                          : `✗ ${result.error}`}
+                        {row.status === "minted"
+                          ? `✓ Token ID: ${row.tokenId}`
+                          : row.status === "failed"
+                          ? `✗ ${row.error}`
+                          : row.status === "skipped"
+                          ? `Already minted (Token ID: ${row.tokenId})`
+                          : row.status === "uploaded"
+                          ? "Uploaded to IPFS"
+                          : "Pending"}
                       </span>
                     </div>
                   ))}
@@ -623,29 +1039,40 @@ export default function AdminDashboard() {
                   className="w-full bg-gray-700 p-4 rounded-xl border border-gray-600 text-gray-200 placeholder-gray-400 focus:outline-none focus:border-[#2cf2f9] transition-colors"
                 />
                 <select
-                  name="network"
-                  value={contractForm.network}
+                  name="networkName"
+                  value={contractForm.networkName}
                   onChange={handleContractFormChange}
                   className="w-full bg-gray-700 p-4 rounded-xl border border-gray-600 text-gray-200 focus:outline-none focus:border-[#2cf2f9] transition-colors"
                 >
-                  <option value="apothem">XDC Apothem Testnet</option>
+                  {Object.values(NETWORKS).map((network) => (
+                    <option key={network.key} value={network.key}>
+                      {network.name}
+                    </option>
+                  ))}
                 </select>
 
+                {costEstimate?.action === "deploy" && <CostEstimate estimate={costEstimate} />}
+
                 <div className="flex gap-4">
                   <button
                     type="button"
-                    onClick={() => setShowCreateContract(false)}
+                    onClick={() => {
+                      setShowCreateContract(false);
+                      setCostEstimate(null);
+                    }}
                     className="flex-1 py-3 px-6 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition-colors"
                   >
                     Cancel
                   </button>
                   <button
                     type="submit"
-                    disabled={loading}
+                    disabled={loading || costEstimate?.sufficient === false}
                     className="flex-1 py-3 px-6 bg-white text-black rounded-lg font-bold hover:bg-gray-200 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
                   >
                     {loading ? (
                       <FaSpinner className="animate-spin mx-auto" />
+                    ) : costEstimate?.action === "deploy" ? (
+                      "Confirm Deploy"
                     ) : (
                       "Deploy"
                     )}
@@ -667,13 +1094,7 @@ export default function AdminDashboard() {
                 <button
                   onClick={() => {
                     setShowMintCertificates(false);
-                    setCsvValidation(null);
-                    setMintForm({
-                      eventName: "",
-                      certificateName: "",
-                      contractAddress: "",
-                      participantList: null,
-                    });
+                    resetMintForm();
                   }}
                   className="text-gray-400 hover:text-white"
                 >
@@ -725,11 +1146,82 @@ export default function AdminDashboard() {
                   />
                 </div>
 
+                {/* Certificate Type, Level, Skills and Expiry */}
+                <div className="space-y-4">
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <select
+                      name="certificateType"
+                      value={mintForm.certificateType}
+                      onChange={handleMintFormChange}
+                      className="w-full bg-gray-700 p-4 rounded-xl border border-gray-600 text-gray-200 focus:outline-none focus:border-[#2cf2f9] transition-colors"
+                    >
+                      {CERTIFICATE_TYPES.map((type) => (
+                        <option key={type} value={type}>
+                          {getCertificateTypeLabel(type)}
+                        </option>
+                      ))}
+                    </select>
+                    {mintForm.certificateType === "custom" && (
+                      <input
+                        type="text"
+                        name="certificateTypeLabel"
+                        placeholder="Custom Type (e.g., Mentor)"
+                        value={mintForm.certificateTypeLabel}
+                        onChange={handleMintFormChange}
+                        required
+                        className="w-full bg-gray-700 p-4 rounded-xl border border-gray-600 text-gray-200 placeholder-gray-400 focus:outline-none focus:border-[#2cf2f9] transition-colors"
+                      />
+                    )}
+                    <input
+                      type="text"
+                      name="level"
+                      placeholder="Level (optional, e.g., Advanced)"
+                      value={mintForm.level}
+                      onChange={handleMintFormChange}
+                      className="w-full bg-gray-700 p-4 rounded-xl border border-gray-600 text-gray-200 placeholder-gray-400 focus:outline-none focus:border-[#2cf2f9] transition-colors"
+                    />
+                    <input
+                      type="date"
+                      name="expiresAt"
+                      title="Expiry date (optional)"
+                      value={mintForm.expiresAt}
+                      onChange={handleMintFormChange}
+                      className="w-full bg-gray-700 p-4 rounded-xl border border-gray-600 text-gray-200 placeholder-gray-400 focus:outline-none focus:border-[#2cf2f9] transition-colors"
+                    />
+                  </div>
+                  <input
+                    type="text"
+                    name="skills"
+                    placeholder="Skills (optional, comma separated, e.g., Solidity, Smart Contracts)"
+                    value={mintForm.skills}
+                    onChange={handleMintFormChange}
+                    className="w-full bg-gray-700 p-4 rounded-xl border border-gray-600 text-gray-200 placeholder-gray-400 focus:outline-none focus:border-[#2cf2f9] transition-colors"
+                  />
+                </div>
+
+                {/* Mint Mode */}
+                <select
+                  name="mintMode"
+                  value={mintForm.mintMode}
+                  onChange={handleMintFormChange}
+                  title="Contracts deployed without mintBatch always mint one certificate per transaction"
+                  className="w-full bg-gray-700 p-4 rounded-xl border border-gray-600 text-gray-200 focus:outline-none focus:border-[#2cf2f9] transition-colors"
+                >
+                  <option value="batch">Mint in batches (many certificates per transaction)</option>
+                  <option value="single">Mint one certificate per transaction</option>
+                </select>
+
                 {/* CSV Upload */}
                 <div className="space-y-4">
                   <label className="block text-gray-400">
                     Participant CSV File (participant_name, wallet_address):
                   </label>
+                  <p className="text-sm text-gray-500">
+                    Optional columns: certificate_name, email, role, team, score,
+                    attr:&lt;name&gt; for custom attributes, and certificate_type,
+                    certificate_type_label, level, skills (separated by ; or |) and
+                    expiry_date to override the options above for a row.
+                  </p>
                   <input
                     type="file"
                     name="participantList"
@@ -745,6 +1237,47 @@ export default function AdminDashboard() {
                   />
                 </div>
 
+                {/* Certificate Template */}
+                <div className="space-y-4">
+                  <label className="block text-gray-400">
+                    Certificate Template (PNG, JPEG, WebP or SVG, optional):
+                  </label>
+                  <input
+                    type="file"
+                    name="templateImage"
+                    accept="image/png,image/jpeg,image/webp,image/svg+xml"
+                    onChange={handleMintFormChange}
+                    className="w-full text-sm text-gray-400 file:mr-4 file:py-3 file:px-6 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-[#00b9c0] file:text-white hover:file:bg-[#2cf2f9] cursor-pointer transition-colors"
+                  />
+                  <textarea
+                    name="templateLayout"
+                    placeholder='Layout JSON (optional), e.g. {"name": {"y": 0.5, "color": "#000000"}, "qr": null}'
+                    value={mintForm.templateLayout}
+                    onChange={handleMintFormChange}
+                    rows={3}
+                    className="w-full bg-gray-700 p-4 rounded-xl border border-gray-600 text-gray-200 placeholder-gray-400 font-mono text-sm focus:outline-none focus:border-[#2cf2f9] transition-colors"
+                  />
+                  <button
+                    type="button"
+                    onClick={previewCertificate}
+                    disabled={previewLoading}
+                    className="py-2 px-6 bg-gray-700 text-white rounded-lg hover:bg-gray-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {previewLoading ? (
+                      <FaSpinner className="animate-spin mx-auto" />
+                    ) : (
+                      "Preview Certificate"
+                    )}
+                  </button>
+                  {templatePreview && (
+                    <img
+                      src={templatePreview}
+                      alt="Certificate preview"
+                      className="w-full rounded-lg border border-gray-600"
+                    />
+                  )}
+                </div>
+
                 {/* CSV Validation Results */}
                 {csvValidation && (
                   <div
@@ -758,9 +1291,9 @@ export default function AdminDashboard() {
                       <div>
                         <p className="font-semibold">CSV Validation Failed:</p>
                         <p>{csvValidation.error}</p>
-                        {csvValidation.details && (
+                        {csvValidation.errors && (
                           <ul className="mt-2 text-sm">
-                            {csvValidation.details.map((detail, index) => (
+                            {csvValidation.errors.map((detail, index) => (
                               <li key={index}>• {detail}</li>
                             ))}
                           </ul>
@@ -790,18 +1323,14 @@ export default function AdminDashboard() {
                   </div>
                 )}
 
+                {costEstimate?.action === "mint" && <CostEstimate estimate={costEstimate} />}
+
                 <div className="flex gap-4">
                   <button
                     type="button"
                     onClick={() => {
                       setShowMintCertificates(false);
-                      setCsvValidation(null);
-                      setMintForm({
-                        eventName: "",
-                        certificateName: "",
-                        contractAddress: "",
-                        participantList: null,
-                      });
+                      resetMintForm();
                     }}
                     className="flex-1 py-3 px-6 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition-colors"
                   >
@@ -810,12 +1339,14 @@ export default function AdminDashboard() {
                   <button
                     type="submit"
                     disabled={
-                      loading || !csvValidation || !mintForm.contractAddress
+                      loading || !csvValidation || !mintForm.contractAddress || costEstimate?.sufficient === false
                     }
                     className="flex-1 py-3 px-6 bg-white text-black rounded-lg font-bold hover:bg-gray-200 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
                   >
                     {loading ? (
                       <FaSpinner className="animate-spin mx-auto" />
+                    ) : costEstimate?.action === "mint" ? (
+                      "Confirm Mint"
                     ) : (
                       "Mint Certificates"
                     )}
@@ -825,6 +1356,147 @@ export default function AdminDashboard() {
             </div>
           </div>
         )}
+
+        {/* Revoke Certificate Modal */}
+        {showRevokeCertificate && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+            <div className="bg-gray-900 p-8 rounded-lg max-w-md w-full border border-gray-600">
+              <div className="flex justify-between items-center mb-6">
+                <h3 className="text-2xl font-bold text-red-400">
+                  Revoke Certificate
+                </h3>
+                <button
+                  onClick={() => setShowRevokeCertificate(false)}
+                  className="text-gray-400 hover:text-white"
+                >
+                  <FaTimes />
+                </button>
+              </div>
+
+              <form onSubmit={revokeCertificate} className="space-y-4">
+                <select
+                  name="contractAddress"
+                  value={revokeForm.contractAddress}
+                  onChange={handleRevokeFormChange}
+                  required
+                  className="w-full bg-gray-700 p-4 rounded-xl border border-gray-600 text-gray-200 focus:outline-none focus:border-[#2cf2f9] transition-colors"
+                >
+                  <option value="">Select Contract</option>
+                  {contracts.map((contract) => (
+                    <option
+                      key={contract.deploymentId || contract.contractAddress}
+                      value={contract.contractAddress}
+                    >
+                      {contract.contractName} ({contract.contractAddress?.substring(0, 10)}...)
+                    </option>
+                  ))}
+                </select>
+                <input
+                  type="number"
+                  name="tokenId"
+                  min="0"
+                  placeholder="Token ID"
+                  value={revokeForm.tokenId}
+                  onChange={handleRevokeFormChange}
+                  required
+                  className="w-full bg-gray-700 p-4 rounded-xl border border-gray-600 text-gray-200 placeholder-gray-400 focus:outline-none focus:border-[#2cf2f9] transition-colors"
+                />
+                <textarea
+                  name="reason"
+                  placeholder="Reason (shown to anyone who verifies this certificate)"
+                  value={revokeForm.reason}
+                  onChange={handleRevokeFormChange}
+                  required
+                  maxLength={500}
+                  rows={3}
+                  className="w-full bg-gray-700 p-4 rounded-xl border border-gray-600 text-gray-200 placeholder-gray-400 focus:outline-none focus:border-[#2cf2f9] transition-colors"
+                />
+                <p className="text-sm text-gray-400">
+                  Revocation is permanent. The certificate stays in the holder&apos;s wallet but every verifier will show it as revoked.
+                </p>
+
+                <div className="flex gap-4">
+                  <button
+                    type="button"
+                    onClick={() => setShowRevokeCertificate(false)}
+                    className="flex-1 py-3 px-6 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition-colors"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={loading}
+                    className="flex-1 py-3 px-6 bg-red-600 text-white rounded-lg font-bold hover:bg-red-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {loading ? (
+                      <FaSpinner className="animate-spin mx-auto" />
+                    ) : (
+                      "Revoke"
+                    )}
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        )}
+
+        {/* Scoring Rules Modal */}
+        {showScoringRules && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+            <div className="bg-gray-900 p-8 rounded-lg max-w-2xl w-full border border-gray-600 max-h-[90vh] overflow-y-auto">
+              <div className="flex justify-between items-center mb-6">
+                <h3 className="text-2xl font-bold text-yellow-400">
+                  Scoring Rules
+                </h3>
+                <button
+                  onClick={() => setShowScoringRules(false)}
+                  className="text-gray-400 hover:text-white"
+                >
+                  <FaTimes />
+                </button>
+              </div>
+
+              <form onSubmit={saveScoringRules} className="space-y-4">
+                <p className="text-sm text-gray-400">
+                  Base points, rarity and category per certificate type, point
+                  multipliers per event name (<code>events</code>) and contract
+                  address (<code>issuers</code>), and <code>scarcity</code> tiers
+                  that boost small batches. New batches are scored with these
+                  rules; certificates already minted keep their scores.
+                </p>
+                <textarea
+                  value={scoringRulesText}
+                  onChange={(e) => setScoringRulesText(e.target.value)}
+                  required
+                  rows={18}
+                  spellCheck={false}
+                  className="w-full bg-gray-700 p-4 rounded-xl border border-gray-600 text-gray-200 font-mono text-sm focus:outline-none focus:border-[#2cf2f9] transition-colors"
+                />
+
+                <div className="flex gap-4">
+                  <button
+                    type="button"
+                    onClick={() => setShowScoringRules(false)}
+                    className="flex-1 py-3 px-6 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition-colors"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={loading}
+                    className="flex-1 py-3 px-6 bg-yellow-500 text-black rounded-lg font-bold hover:bg-yellow-400 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {loading ? (
+                      <FaSpinner className="animate-spin mx-auto" />
+                    ) : (
+                      "Save Rules"
+                    )}
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        )}
       </main>
     </div>
   );
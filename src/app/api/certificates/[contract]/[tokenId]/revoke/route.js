@@ -0,0 +1,45 @@
+import { NextResponse } from 'next/server';
+import { revokeCertificate, RevocationError } from '../../../../../lib/revocation.js';
+import { getSessionEmail } from '../../../../../lib/auth.js';
+import { DEFAULT_NETWORK } from '../../../../../lib/networks.js';
+
+// POST - Revoke a certificate; body: { reason, network }
+export async function POST(request, { params }) {
+  try {
+    const { contract, tokenId } = await params;
+    const { reason, network = DEFAULT_NETWORK } = await request.json().catch(() => ({}));
+
+    const revocation = await revokeCertificate({
+      network,
+      contractAddress: contract,
+      tokenId,
+      reason,
+      revokedBy: await getSessionEmail()
+    });
+
+    return NextResponse.json({
+      success: true,
+      message: revocation.onChain
+        ? 'Certificate revoked on-chain'
+        : 'Certificate revoked (contract has no on-chain revocation; recorded by CERTIMOS)',
+      revocation
+    });
+  } catch (error) {
+    if (error instanceof RevocationError) {
+      return NextResponse.json(
+        { success: false, error: error.message },
+        { status: error.status }
+      );
+    }
+
+    console.error('Certificate revocation error:', error);
+    return NextResponse.json(
+      {
+        success: false,
+        error: error.reason || 'Failed to revoke certificate',
+        details: error.message || 'Unknown error occurred'
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,45 @@
+import { NextResponse } from 'next/server';
+import { ethers } from 'ethers';
+import { countTokens } from '../../../lib/repositories/tokens.js';
+import { syncIndexQuietly, getIndexerStatus } from '../../../lib/indexer.js';
+import { isSupportedNetwork } from '../../../lib/networks.js';
+
+export const dynamic = 'force-dynamic';
+
+// GET - Number of certificates issued by registered contracts (?network=, ?contract= to narrow)
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const network = searchParams.get('network');
+    const contractAddress = searchParams.get('contract');
+
+    if (network && !isSupportedNetwork(network)) {
+      return NextResponse.json(
+        { success: false, error: 'Unsupported network' },
+        { status: 400 }
+      );
+    }
+
+    if (contractAddress && !ethers.isAddress(contractAddress)) {
+      return NextResponse.json(
+        { success: false, error: 'Invalid contract address' },
+        { status: 400 }
+      );
+    }
+
+    await syncIndexQuietly();
+    const count = await countTokens({ network, contractAddress });
+
+    return NextResponse.json({
+      success: true,
+      count,
+      index: getIndexerStatus()
+    }, { headers: { 'Cache-Control': 'no-store' } });
+  } catch (error) {
+    console.error('Error counting certificates:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to count certificates', count: 0 },
+      { status: 500 }
+    );
+  }
+}
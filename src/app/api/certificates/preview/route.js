@@ -0,0 +1,47 @@
+import { NextResponse } from 'next/server';
+import { renderCertificate, buildTemplateFields, readTemplateUpload, TemplateError } from '../../../lib/certificateRenderer.js';
+import { getVerifyUrl } from '../../../lib/verify.js';
+import { DEFAULT_NETWORK } from '../../../lib/networks.js';
+
+// Render a sample certificate so organizers can check a template before minting
+export async function POST(request) {
+  try {
+    const formData = await request.formData();
+    const network = formData.get('network') || DEFAULT_NETWORK;
+    const contractAddress = formData.get('contractAddress') || null;
+    const tokenId = formData.get('tokenId') || '1';
+
+    const rendered = await renderCertificate({
+      template: await readTemplateUpload(formData.get('templateImage')),
+      layout: formData.get('templateLayout') || null,
+      format: formData.get('format') === 'svg' ? 'svg' : 'png',
+      fields: buildTemplateFields({
+        participantName: formData.get('participantName') || 'Jane Doe',
+        eventName: formData.get('eventName') || 'Sample Event',
+        certificateName: formData.get('certificateName'),
+        tokenId,
+        verifyUrl: getVerifyUrl({ tokenId, contractAddress, network })
+      })
+    });
+
+    return new NextResponse(rendered.buffer, {
+      headers: {
+        'Content-Type': rendered.contentType,
+        'Cache-Control': 'no-store'
+      }
+    });
+  } catch (error) {
+    if (error instanceof TemplateError) {
+      return NextResponse.json(
+        { success: false, error: error.message },
+        { status: error.status }
+      );
+    }
+
+    console.error('Certificate preview error:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to render certificate preview' },
+      { status: 500 }
+    );
+  }
+}
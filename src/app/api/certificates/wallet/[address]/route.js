@@ -0,0 +1,53 @@
+import { NextResponse } from 'next/server';
+import { ethers } from 'ethers';
+import { getWalletCertificates } from '../../../../lib/certificateIndex.js';
+import { isSupportedNetwork } from '../../../../lib/networks.js';
+
+export const dynamic = 'force-dynamic';
+
+// GET - Certificates held by a wallet, optionally narrowed with ?network= and ?contract=.
+// ?recompute=1 scores them with the current scoring rules.
+export async function GET(request, { params }) {
+  try {
+    const { address } = await params;
+    const { searchParams } = new URL(request.url);
+    const network = searchParams.get('network');
+    const contractAddress = searchParams.get('contract');
+    const recompute = searchParams.get('recompute') === '1';
+
+    if (!ethers.isAddress(address)) {
+      return NextResponse.json(
+        { success: false, error: 'Invalid wallet address' },
+        { status: 400 }
+      );
+    }
+
+    if (network && !isSupportedNetwork(network)) {
+      return NextResponse.json(
+        { success: false, error: 'Unsupported network' },
+        { status: 400 }
+      );
+    }
+
+    if (contractAddress && !ethers.isAddress(contractAddress)) {
+      return NextResponse.json(
+        { success: false, error: 'Invalid contract address' },
+        { status: 400 }
+      );
+    }
+
+    const result = await getWalletCertificates(address, { network, contractAddress, recompute });
+
+    return NextResponse.json({
+      success: true,
+      address: ethers.getAddress(address),
+      ...result
+    }, { headers: { 'Cache-Control': 'no-store' } });
+  } catch (error) {
+    console.error('Error fetching wallet certificates:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to fetch certificates', certificates: [], count: 0 },
+      { status: 500 }
+    );
+  }
+}
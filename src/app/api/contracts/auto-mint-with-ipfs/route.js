@@ -1,28 +1,16 @@
 import { NextResponse } from 'next/server';
-import { ethers } from 'ethers';
-import Papa from 'papaparse';
 import IPFSService from '../../../lib/ipfs.js';
-
-// Certificate contract ABI for minting
-const CERTIFICATE_CONTRACT_ABI = [
-  {
-    "inputs": [
-      { "internalType": "address", "name": "to", "type": "address" },
-      { "internalType": "string", "name": "tokenURI", "type": "string" }
-    ],
-    "name": "mintCertificate",
-    "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }],
-    "stateMutability": "nonpayable",
-    "type": "function"
-  },
-  {
-    "inputs": [],
-    "name": "tokenIdCounter",
-    "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }],
-    "stateMutability": "view",
-    "type": "function"
-  }
-];
+import { createBatch } from '../../../lib/repositories/batches.js';
+import { recordAuditEvent } from '../../../lib/repositories/auditEvents.js';
+import { readTemplateUpload, parseTemplateLayout, TemplateError } from '../../../lib/certificateRenderer.js';
+import { getSessionEmail } from '../../../lib/auth.js';
+import { enqueueMintJob, getQueuePosition } from '../../../lib/mintWorker.js';
+import { MINT_MODES } from '../../../lib/gasEstimate.js';
+import { validateCertificateOptions } from '../../../lib/metadataSchema.js';
+import { parseParticipantCsv } from '../../../lib/participantCsv.js';
+import { normalizeAddress, describeAddressError } from '../../../lib/address.js';
+import { getScoringRules } from '../../../lib/repositories/settings.js';
+import { DEFAULT_NETWORK, isSupportedNetwork, getSupportedNetworks } from '../../../lib/networks.js';
 
 export async function POST(request) {
   try {
@@ -32,37 +20,74 @@ export async function POST(request) {
     const eventName = formData.get('eventName');
     const certificateName = formData.get('certificateName');
     const csvFile = formData.get('csvFile');
-    const contractAddress = formData.get('contractAddress');
+    const contractAddressInput = formData.get('contractAddress');
     const contractName = formData.get('contractName');
-    const network = formData.get('network') || 'apothem';
+    const network = formData.get('network') || DEFAULT_NETWORK;
+    // Batch minting falls back to one transaction per row on contracts without mintBatch
+    const mintMode = formData.get('mintMode') || 'batch';
 
     // Validate required fields
-    if (!eventName || !certificateName || !csvFile || !contractAddress) {
+    if (!eventName || !certificateName || !csvFile || !contractAddressInput) {
       return NextResponse.json(
         { error: 'Missing required fields: eventName, certificateName, csvFile, contractAddress' },
         { status: 400 }
       );
     }
 
-    // Parse CSV file
+    // Same address rules as the CSV wallets: 0x or xdc prefix, checksum when mixed case
+    const contract = normalizeAddress(contractAddressInput);
+    if (!contract.valid) {
+      return NextResponse.json(
+        {
+          error: `Invalid contract address: ${describeAddressError(contract)}`,
+          suggestion: contract.suggestion
+        },
+        { status: 400 }
+      );
+    }
+    const contractAddress = contract.address;
+
+    // Certificate type, level, skills and expiry for the whole batch
+    const certificateOptions = validateCertificateOptions({
+      certificateType: formData.get('certificateType'),
+      certificateTypeLabel: formData.get('certificateTypeLabel'),
+      level: formData.get('level'),
+      skills: formData.get('skills'),
+      expiresAt: formData.get('expiresAt')
+    });
+    if (certificateOptions.errors.length > 0) {
+      return NextResponse.json(
+        { error: 'Invalid certificate options', details: certificateOptions.errors },
+        { status: 400 }
+      );
+    }
+
+    // Parse CSV file; optional columns become per-row fields over the batch's options
     const csvText = await csvFile.text();
-    const parseResult = Papa.parse(csvText, {
-      header: true,
-      skipEmptyLines: true,
-      transformHeader: (header) => header.trim().toLowerCase()
+    const { participants, errors, missingColumns, parseErrors } = parseParticipantCsv(csvText, {
+      defaults: certificateOptions.values
     });
 
-    if (parseResult.errors.length > 0) {
+    if (parseErrors.length > 0) {
+      return NextResponse.json(
+        { error: 'CSV parsing failed', details: parseErrors },
+        { status: 400 }
+      );
+    }
+
+    if (missingColumns.length > 0) {
       return NextResponse.json(
-        { error: 'CSV parsing failed', details: parseResult.errors },
+        { error: `Missing required columns: ${missingColumns.join(', ')}` },
         { status: 400 }
       );
     }
 
-    const participants = parseResult.data.map(row => ({
-      name: row.participant_name?.trim(),
-      walletAddress: row.wallet_address?.trim().toLowerCase()
-    })).filter(p => p.name && p.walletAddress);
+    if (errors.length > 0) {
+      return NextResponse.json(
+        { error: 'CSV validation failed', details: errors },
+        { status: 400 }
+      );
+    }
 
     if (participants.length === 0) {
       return NextResponse.json(
@@ -71,38 +96,30 @@ export async function POST(request) {
       );
     }
 
-    // Get network configuration
-    const networkConfigs = {
-      'localhost': { rpcUrl: 'http://localhost:8545', chainId: 1337 },
-      'apothem': { rpcUrl: 'https://rpc.apothem.network', chainId: 51 },
-      'xdc-mainnet': { rpcUrl: 'https://rpc.xinfin.network', chainId: 50 }
-    };
-
-    const config = networkConfigs[network];
-    if (!config) {
+    if (!isSupportedNetwork(network)) {
       return NextResponse.json(
         { error: 'Unsupported network' },
         { status: 400 }
       );
     }
 
-    // Setup blockchain connection
-    const privateKey = process.env.DEPLOYER_PRIVATE_KEY;
-    if (!privateKey) {
+    if (!MINT_MODES.includes(mintMode)) {
+      return NextResponse.json(
+        { error: `mintMode must be one of: ${MINT_MODES.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    // The worker signs with the deployer key, so fail fast if it is missing
+    if (!process.env.DEPLOYER_PRIVATE_KEY) {
       return NextResponse.json(
         { error: 'Deployer private key not configured' },
         { status: 500 }
       );
     }
 
-    const provider = new ethers.JsonRpcProvider(config.rpcUrl);
-    const wallet = new ethers.Wallet(privateKey, provider);
-    const contract = new ethers.Contract(contractAddress, CERTIFICATE_CONTRACT_ABI, wallet);
-
-    // Initialize IPFS service
-    const ipfsService = new IPFSService();
-    
     // Validate IPFS configuration
+    const ipfsService = new IPFSService();
     const ipfsValidation = await ipfsService.validateConfiguration();
     if (!ipfsValidation.valid) {
       return NextResponse.json(
@@ -111,122 +128,66 @@ export async function POST(request) {
       );
     }
 
-    // Handle template image (optional in simplified form)
-    let imageBuffer = null;
-    let imageFilename = 'certificate-template.png';
-    
-    const templateImage = formData.get('templateImage');
-    if (templateImage && templateImage.size > 0) {
-      imageBuffer = Buffer.from(await templateImage.arrayBuffer());
-      imageFilename = templateImage.name || 'certificate-template.png';
-    }
-
-    // Get starting token ID
-    let currentTokenId;
-    try {
-      currentTokenId = await contract.tokenIdCounter();
-    } catch (error) {
-      // If tokenIdCounter doesn't exist, start from 1
-      currentTokenId = BigInt(1);
-    }
-
-    const results = {
-      success: [],
-      failed: [],
-      totalParticipants: participants.length,
-      successCount: 0,
-      failedCount: 0,
-      startTime: new Date().toISOString()
-    };
-
-    // Process each participant
-    for (let i = 0; i < participants.length; i++) {
-      const participant = participants[i];
-      const tokenId = currentTokenId + BigInt(i);
-      
-      try {
-        console.log(`Processing participant ${i + 1}/${participants.length}: ${participant.name}`);
-        
-        // Upload certificate bundle to IPFS
-        const ipfsResult = await ipfsService.uploadCertificateBundle(
-          participant.name,
-          eventName,
-          certificateName, // Use certificateName instead of eventDate
-          imageBuffer,
-          imageFilename,
-          tokenId.toString(),
-          contractName // Add contract name to metadata
-        );
-
-        // Mint certificate
-        console.log(`Minting certificate for ${participant.name}...`);
-        const mintTx = await contract.mintCertificate(
-          participant.walletAddress,
-          ipfsResult.tokenURI
-        );
-
-        const receipt = await mintTx.wait();
-        
-        results.success.push({
-          participant: participant.name,
-          walletAddress: participant.walletAddress,
-          tokenId: tokenId.toString(),
-          transactionHash: mintTx.hash,
-          blockNumber: receipt.blockNumber,
-          gasUsed: receipt.gasUsed.toString(),
-          ipfs: ipfsResult,
-          explorerUrl: network === 'apothem' 
-            ? `https://explorer.apothem.network/tx/${mintTx.hash}`
-            : network === 'xdc-mainnet'
-            ? `https://explorer.xinfin.network/tx/${mintTx.hash}`
-            : null
-        });
-
-        results.successCount++;
-        console.log(`✅ Successfully minted certificate for ${participant.name}`);
-
-      } catch (error) {
-        console.error(`❌ Failed to mint certificate for ${participant.name}:`, error);
-        
-        results.failed.push({
-          participant: participant.name,
-          walletAddress: participant.walletAddress,
-          error: error.message || 'Unknown error',
-          tokenId: tokenId.toString()
-        });
-        
-        results.failedCount++;
-      }
-
-      // Add small delay to avoid overwhelming the network
-      if (i < participants.length - 1) {
-        await new Promise(resolve => setTimeout(resolve, 1000));
-      }
-    }
-
-    results.endTime = new Date().toISOString();
-    results.duration = `${Math.round((new Date(results.endTime) - new Date(results.startTime)) / 1000)}s`;
+    // The worker renders each participant's certificate from the stored template
+    // and layout; without a template the built-in design is used
+    const template = await readTemplateUpload(formData.get('templateImage'));
+    const templateLayout = formData.get('templateLayout')
+      ? parseTemplateLayout(formData.get('templateLayout'))
+      : null;
 
-    // Return results
-    const statusCode = results.failedCount > 0 ? 207 : 200; // 207 Multi-Status if some failed
+    // Rules are fixed when the batch is queued so retried rows score the same
+    const { rules: scoringRules } = await getScoringRules();
 
-    return NextResponse.json({
-      message: `Bulk minting completed. ${results.successCount} successful, ${results.failedCount} failed.`,
-      results,
-      summary: {
+    const createdBy = await getSessionEmail();
+    const job = await createBatch({
+      type: 'bulk-mint',
+      params: {
         eventName,
         certificateName,
-        contractName,
-        totalParticipants: results.totalParticipants,
-        successfulMints: results.successCount,
-        failedMints: results.failedCount,
         contractAddress,
+        contractName,
         network,
-        duration: results.duration
-      }
-    }, { status: statusCode });
+        mintMode,
+        templateLayout,
+        certificateOptions: certificateOptions.values,
+        scoringRules
+      },
+      rows: participants.map(participant => ({
+        participant: participant.participantName,
+        walletAddress: participant.walletAddress,
+        overrides: participant.fields
+      })),
+      template,
+      createdBy
+    });
+
+    await recordAuditEvent({
+      type: 'batch.created',
+      actor: createdBy,
+      subjectType: 'batch',
+      subjectId: job.id,
+      data: { network, contractAddress, eventName, total: job.progress.total }
+    });
+
+    await enqueueMintJob(job.id);
+
+    return NextResponse.json({
+      success: true,
+      message: `Bulk minting queued for ${participants.length} participants.`,
+      jobId: job.id,
+      statusUrl: `/api/jobs/${job.id}`,
+      queuePosition: getQueuePosition(job.id),
+      job
+    }, { status: 202 });
 
   } catch (error) {
+    if (error instanceof TemplateError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: error.status }
+      );
+    }
+
     console.error('Bulk minting error:', error);
     return NextResponse.json(
       { 
@@ -250,15 +211,18 @@ export async function GET() {
       ready: !!privateKey && ipfsValidation.valid,
       configuration: {
         DEPLOYER_PRIVATE_KEY: !!privateKey ? 'Configured' : 'Missing',
-        IPFS: ipfsValidation.valid ? 'Configured' : ipfsValidation.error
+        IPFS: ipfsValidation.valid ? 'Configured' : ipfsValidation.error,
+        IPFS_PROVIDER: ipfsService.storage.name
       },
-      supportedNetworks: ['localhost', 'apothem', 'xdc-mainnet'],
+      supportedNetworks: getSupportedNetworks(),
       requirements: [
         'DEPLOYER_PRIVATE_KEY environment variable',
-        'PINATA_JWT environment variable for IPFS uploads',
+        'IPFS storage provider (IPFS_PROVIDER; Pinata needs PINATA_JWT)',
         'Valid contract address',
         'CSV file with participant data',
-        'Template image file'
+        'Optional template image (PNG, JPEG, WebP or SVG) and layout JSON',
+        'Optional certificate type, level, skills and expiry date for the batch',
+        'Optional CSV columns for per-row fields (see /api/contracts/csv-template)'
       ]
     });
   } catch (error) {
@@ -1,31 +1,56 @@
 import { NextResponse } from 'next/server';
+import Papa from 'papaparse';
+import { REQUIRED_COLUMNS, OPTIONAL_COLUMNS } from '../../../lib/participantCsv.js';
+
+const EXAMPLE_DATA = [
+  {
+    participant_name: 'John Doe',
+    wallet_address: '0x1234567890123456789012345678901234567890',
+    email: 'john@example.com',
+    role: 'Mentor',
+    team: 'Team Alpha',
+    score: '92.5',
+    certificate_name: '',
+    'attr:Track': 'DeFi'
+  },
+  {
+    participant_name: 'Jane Smith',
+    wallet_address: '0x0987654321098765432109876543210987654321',
+    email: '',
+    role: '',
+    team: 'Team Beta',
+    score: '',
+    certificate_name: 'Best Project Certificate',
+    'attr:Track': 'Gaming'
+  }
+];
+
+const toCsv = () => Papa.unparse(EXAMPLE_DATA, { newline: '\n' });
 
 export async function GET() {
   try {
     const template = {
       format: 'CSV',
-      required_columns: ['participant_name', 'wallet_address'],
+      required_columns: REQUIRED_COLUMNS,
+      optional_columns: Object.keys(OPTIONAL_COLUMNS),
       description: 'CSV file format for bulk certificate minting',
-      example_data: [
-        {
-          participant_name: 'John Doe',
-          wallet_address: '0x1234567890123456789012345678901234567890'
-        },
-        {
-          participant_name: 'Jane Smith', 
-          wallet_address: '0x0987654321098765432109876543210987654321'
-        }
-      ],
+      example_data: EXAMPLE_DATA,
       requirements: {
         participant_name: 'String - Name of the certificate recipient',
-        wallet_address: 'String - Valid Ethereum wallet address (0x format, 42 characters)'
+        wallet_address: 'String - Wallet address with a 0x or xdc prefix and 40 hex characters; mixed case must be a valid checksum',
+        ...Object.fromEntries(
+          Object.entries(OPTIONAL_COLUMNS).map(([column, description]) => [column, `Optional - ${description}`])
+        )
       },
-      csv_example: 'participant_name,wallet_address\nJohn Doe,0x1234567890123456789012345678901234567890\nJane Smith,0x0987654321098765432109876543210987654321',
+      csv_example: toCsv(),
       validation_rules: [
         'participant_name must not be empty',
-        'wallet_address must be a valid Ethereum address (0x format)',
+        'wallet_address must be a valid address with a 0x or xdc prefix; mixed-case addresses must match their EIP-55 checksum',
         'No duplicate wallet addresses allowed',
-        'CSV must have header row with exact column names'
+        'CSV must have header row with exact column names',
+        'Optional columns may be left out or left empty; empty cells fall back to the batch options',
+        'Custom attr:<name> columns may not reuse a built-in attribute name and are limited to 10 per row',
+        'Optional values are written into the certificate metadata, which is public on IPFS'
       ]
     };
 
@@ -42,8 +67,8 @@ export async function GET() {
 export async function POST() {
   try {
     // Generate and return a downloadable CSV template
-    const csvContent = 'participant_name,wallet_address\nJohn Doe,0x1234567890123456789012345678901234567890\nJane Smith,0x0987654321098765432109876543210987654321';
-    
+    const csvContent = toCsv();
+
     return new NextResponse(csvContent, {
       status: 200,
       headers: {
@@ -58,4 +83,4 @@ export async function POST() {
       { status: 500 }
     );
   }
-}
\ No newline at end of file
+}
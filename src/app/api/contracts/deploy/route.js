@@ -1,30 +1,19 @@
 import { NextResponse } from 'next/server';
 import { ethers } from 'ethers';
-
-// Basic certificate contract ABI (you'll need to replace with your actual contract ABI)
-const CERTIFICATE_CONTRACT_ABI = [
-  {
-    "inputs": [
-      { "internalType": "string", "name": "name", "type": "string" },
-      { "internalType": "string", "name": "symbol", "type": "string" }
-    ],
-    "stateMutability": "nonpayable",
-    "type": "constructor"
-  },
-  {
-    "inputs": [
-      { "internalType": "address", "name": "to", "type": "address" },
-      { "internalType": "string", "name": "tokenURI", "type": "string" }
-    ],
-    "name": "mintCertificate",
-    "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }],
-    "stateMutability": "nonpayable",
-    "type": "function"
-  }
-];
-
-// You'll need to replace this with your actual contract bytecode
-const CERTIFICATE_CONTRACT_BYTECODE = "0x608060405234801561001057600080fd5b50..."; // Placeholder
+import {
+  CERTIFICATE_CONTRACT_ABI,
+  CERTIFICATE_CONTRACT_BYTECODE
+} from '../../../lib/contracts/CertimosCertificate.js';
+import {
+  getNetwork,
+  getProvider,
+  getSupportedNetworks,
+  getExplorerTxUrl
+} from '../../../lib/networks.js';
+import { saveDeployment } from '../../../lib/repositories/deployments.js';
+import { recordAuditEvent } from '../../../lib/repositories/auditEvents.js';
+import { getSessionEmail } from '../../../lib/auth.js';
+import { estimateDeployment, EstimateError, CERTIFICATE_SYMBOL } from '../../../lib/gasEstimate.js';
 
 export async function POST(request) {
   try {
@@ -38,26 +27,10 @@ export async function POST(request) {
       );
     }
 
-    // Get network configuration
-    const networkConfigs = {
-      'localhost': {
-        rpcUrl: 'http://localhost:8545',
-        chainId: 1337
-      },
-      'apothem': {
-        rpcUrl: 'https://rpc.apothem.network',
-        chainId: 51
-      },
-      'xdc-mainnet': {
-        rpcUrl: 'https://rpc.xinfin.network',
-        chainId: 50
-      }
-    };
-
-    const config = networkConfigs[network];
+    const config = getNetwork(network);
     if (!config) {
       return NextResponse.json(
-        { error: 'Unsupported network', supportedNetworks: Object.keys(networkConfigs) },
+        { error: 'Unsupported network', supportedNetworks: getSupportedNetworks() },
         { status: 400 }
       );
     }
@@ -72,20 +45,19 @@ export async function POST(request) {
     }
 
     // Create provider and wallet
-    const provider = new ethers.JsonRpcProvider(config.rpcUrl);
+    const provider = getProvider(network);
     const wallet = new ethers.Wallet(privateKey, provider);
 
-    // Check wallet balance
-    const balance = await wallet.getBalance();
-    const minBalance = ethers.parseEther('0.1'); // Minimum 0.1 ETH/XDC required
-
-    if (balance < minBalance) {
+    // The balance must cover the deployment at the current maximum fee
+    const estimate = await estimateDeployment({ network, contractName });
+    if (!estimate.sufficient) {
       return NextResponse.json(
         { 
           error: 'Insufficient balance for deployment',
-          currentBalance: ethers.formatEther(balance),
-          minimumRequired: ethers.formatEther(minBalance),
-          walletAddress: wallet.address
+          currentBalance: estimate.balance,
+          minimumRequired: estimate.maxCost,
+          walletAddress: wallet.address,
+          estimate
         },
         { status: 400 }
       );
@@ -100,15 +72,12 @@ export async function POST(request) {
 
     // Deploy contract with default symbol
     console.log('Deploying contract...');
-    const defaultSymbol = "CERT"; // Default symbol for all certificates
-    const contract = await contractFactory.deploy(contractName, defaultSymbol);
+    const contract = await contractFactory.deploy(contractName, CERTIFICATE_SYMBOL);
     
     // Wait for deployment
-    const deploymentReceipt = await contract.waitForDeployment();
+    await contract.waitForDeployment();
     const contractAddress = await contract.getAddress();
-
-    // Get deployment transaction details
-    const deploymentTx = await provider.getTransaction(contract.deploymentTransaction().hash);
+    const deploymentReceipt = await contract.deploymentTransaction().wait();
 
     const deploymentData = {
       contractAddress,
@@ -123,19 +92,16 @@ export async function POST(request) {
       timestamp: new Date().toISOString()
     };
 
-    // Save deployment to our deployments API
+    // A failed save must not hide a contract that is already on-chain
     try {
-      const deploymentsResponse = await fetch(`${process.env.NEXTAUTH_URL || 'http://localhost:5000'}/api/contracts/deployments`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(deploymentData),
+      const { deployment } = await saveDeployment(deploymentData);
+      await recordAuditEvent({
+        type: 'contract.deployed',
+        actor: await getSessionEmail(),
+        subjectType: 'contract',
+        subjectId: deployment.id,
+        data: { network, contractAddress, transactionHash: deploymentData.transactionHash }
       });
-      
-      if (!deploymentsResponse.ok) {
-        console.warn('Failed to save deployment to deployments API');
-      }
     } catch (deploymentSaveError) {
       console.warn('Error saving deployment:', deploymentSaveError);
     }
@@ -144,11 +110,7 @@ export async function POST(request) {
       success: true,
       message: 'Contract deployed successfully',
       deployment: deploymentData,
-      explorerUrl: network === 'apothem' 
-        ? `https://explorer.apothem.network/tx/${contract.deploymentTransaction().hash}`
-        : network === 'xdc-mainnet'
-        ? `https://explorer.xinfin.network/tx/${contract.deploymentTransaction().hash}`
-        : null
+      explorerUrl: getExplorerTxUrl(network, contract.deploymentTransaction().hash)
     });
 
   } catch (error) {
@@ -158,7 +120,10 @@ export async function POST(request) {
     let errorMessage = 'Contract deployment failed';
     let statusCode = 500;
 
-    if (error.code === 'INSUFFICIENT_FUNDS') {
+    if (error instanceof EstimateError) {
+      errorMessage = error.message;
+      statusCode = error.status;
+    } else if (error.code === 'INSUFFICIENT_FUNDS') {
       errorMessage = 'Insufficient funds for deployment';
       statusCode = 400;
     } else if (error.code === 'NETWORK_ERROR') {
@@ -187,7 +152,7 @@ export async function GET() {
     
     return NextResponse.json({
       ready: !!privateKey,
-      supportedNetworks: ['localhost', 'apothem', 'xdc-mainnet'],
+      supportedNetworks: getSupportedNetworks(),
       requirements: {
         DEPLOYER_PRIVATE_KEY: !!privateKey ? 'Configured' : 'Missing'
       },
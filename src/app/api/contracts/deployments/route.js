@@ -1,66 +1,41 @@
 import { NextResponse } from 'next/server';
-import fs from 'fs';
-import path from 'path';
+import { ethers } from 'ethers';
+import { CERTIFICATE_CONTRACT_ABI } from '../../../lib/contracts/CertimosCertificate.js';
+import { listDeployments, saveDeployment, deleteDeployment } from '../../../lib/repositories/deployments.js';
+import { recordAuditEvent } from '../../../lib/repositories/auditEvents.js';
+import { getSessionEmail } from '../../../lib/auth.js';
+import { isSupportedNetwork, getProvider } from '../../../lib/networks.js';
+import { normalizeAddress, describeAddressError } from '../../../lib/address.js';
 
-// In-memory storage for deployments (in a real app, this would be a database)
-let deployments = [];
+export const dynamic = 'force-dynamic';
 
-// File path for persistent storage
-const deploymentsFilePath = path.join(process.cwd(), 'data', 'deployments.json');
-
-// Initialize deployments from file if it exists
-const initializeDeployments = () => {
+// On-chain owner() of a contract, or null when it has no such function
+async function readContractOwner(network, contractAddress) {
+  const contract = new ethers.Contract(contractAddress, CERTIFICATE_CONTRACT_ABI, getProvider(network));
   try {
-    // Create data directory if it doesn't exist
-    const dataDir = path.dirname(deploymentsFilePath);
-    if (!fs.existsSync(dataDir)) {
-      fs.mkdirSync(dataDir, { recursive: true });
-    }
-
-    // Load existing deployments
-    if (fs.existsSync(deploymentsFilePath)) {
-      const data = fs.readFileSync(deploymentsFilePath, 'utf8');
-      deployments = JSON.parse(data);
-    }
+    return await contract.owner();
   } catch (error) {
-    console.error('Error initializing deployments:', error);
-    deployments = [];
+    if (error.code === 'CALL_EXCEPTION' || error.code === 'BAD_DATA') return null;
+    throw error;
   }
-};
-
-// Save deployments to file
-const saveDeployments = () => {
-  try {
-    const dataDir = path.dirname(deploymentsFilePath);
-    if (!fs.existsSync(dataDir)) {
-      fs.mkdirSync(dataDir, { recursive: true });
-    }
-    fs.writeFileSync(deploymentsFilePath, JSON.stringify(deployments, null, 2));
-  } catch (error) {
-    console.error('Error saving deployments:', error);
-  }
-};
-
-// Initialize on module load
-initializeDeployments();
+}
 
 // GET - Fetch all deployments
 export async function GET() {
   try {
-    // Refresh from file in case of external updates
-    initializeDeployments();
-    
+    const deployments = await listDeployments();
+
     // Return complete contract structure with guaranteed fields
     const contracts = deployments.map(deployment => ({
-      contractAddress: deployment.contractAddress || '',
-      network: deployment.network || 'apothem',
-      contractName: deployment.contractName || 'Unnamed Contract',
-      deployedAt: deployment.deployedAt || deployment.createdAt || new Date().toISOString(),
-      deployer: deployment.deployer || deployment.deployerAddress || 'unknown',
-      owner: deployment.owner || deployment.deployer || deployment.deployerAddress || 'unknown',
-      deploymentId: deployment.id || deployment.contractAddress || Date.now().toString(),
-      transactionHash: deployment.transactionHash || '',
-      blockNumber: deployment.blockNumber || 0
+      contractAddress: deployment.contractAddress,
+      network: deployment.network,
+      contractName: deployment.contractName,
+      deployedAt: deployment.deployedAt,
+      deployer: deployment.deployer,
+      owner: deployment.owner,
+      deploymentId: deployment.id,
+      transactionHash: deployment.transactionHash,
+      blockNumber: deployment.blockNumber
     }));
     
     return NextResponse.json({
@@ -98,31 +73,68 @@ export async function POST(request) {
       }
     }
 
-    // Create deployment object with all required fields
-    const newDeployment = {
-      contractAddress: deployment.contractAddress,
-      contractName: deployment.contractName,
-      contractSymbol: deployment.contractSymbol || 'CERT',
-      network: deployment.network,
-      blockNumber: deployment.blockNumber || 0,
-      transactionHash: deployment.transactionHash || '',
-      deployedAt: deployment.deployedAt || new Date().toISOString(),
-      deployer: deployment.deployer || 'unknown',
-      owner: deployment.owner || deployment.deployer || 'unknown',
-      createdAt: new Date().toISOString(),
-      id: Date.now().toString() // Simple ID generation
-    };
+    // Contract addresses may be pasted with the xdc prefix; they are stored as 0x
+    const contractAddress = normalizeAddress(deployment.contractAddress);
+    if (!contractAddress.valid) {
+      return NextResponse.json(
+        {
+          error: `Invalid contract address: ${describeAddressError(contractAddress)}`,
+          suggestion: contractAddress.suggestion
+        },
+        { status: 400 }
+      );
+    }
+    deployment.contractAddress = contractAddress.address;
 
-    // Add to deployments array
-    deployments.push(newDeployment);
-    
-    // Save to file
-    saveDeployments();
+    if (!isSupportedNetwork(deployment.network)) {
+      return NextResponse.json(
+        { error: 'Unsupported network' },
+        { status: 400 }
+      );
+    }
+
+    // Only contracts the deployer wallet owns can be registered, since verification
+    // vouches for every registered contract
+    const privateKey = process.env.DEPLOYER_PRIVATE_KEY;
+    if (!privateKey) {
+      return NextResponse.json(
+        { error: 'Deployer private key not configured' },
+        { status: 500 }
+      );
+    }
+    const deployerAddress = new ethers.Wallet(privateKey).address;
+
+    const owner = await readContractOwner(deployment.network, deployment.contractAddress);
+    if (!owner) {
+      return NextResponse.json(
+        { error: 'No certificate contract found at this address on the selected network' },
+        { status: 400 }
+      );
+    }
+    if (owner !== deployerAddress) {
+      return NextResponse.json(
+        { error: 'Contract is not owned by the CERTIMOS deployer wallet', owner, deployer: deployerAddress },
+        { status: 403 }
+      );
+    }
+    deployment.owner = owner;
+
+    const { deployment: saved, created } = await saveDeployment(deployment);
+
+    if (created) {
+      await recordAuditEvent({
+        type: 'contract.registered',
+        actor: await getSessionEmail(),
+        subjectType: 'contract',
+        subjectId: saved.id,
+        data: { network: saved.network, contractAddress: saved.contractAddress }
+      });
+    }
     
     return NextResponse.json({
       success: true,
-      deployment: newDeployment,
-      message: 'Deployment saved successfully'
+      deployment: saved,
+      message: created ? 'Deployment saved successfully' : 'Deployment already recorded'
     });
   } catch (error) {
     console.error('Error saving deployment:', error);
@@ -146,18 +158,22 @@ export async function DELETE(request) {
       );
     }
 
-    const initialLength = deployments.length;
-    deployments = deployments.filter(deployment => deployment.id !== id);
+    const deleted = await deleteDeployment(id);
     
-    if (deployments.length === initialLength) {
+    if (!deleted) {
       return NextResponse.json(
         { error: 'Deployment not found' },
         { status: 404 }
       );
     }
 
-    // Save updated deployments
-    saveDeployments();
+    await recordAuditEvent({
+      type: 'contract.deleted',
+      actor: await getSessionEmail(),
+      subjectType: 'contract',
+      subjectId: id,
+      data: { network: deleted.network, contractAddress: deleted.contractAddress }
+    });
     
     return NextResponse.json({
       success: true,
@@ -0,0 +1,134 @@
+import { NextResponse } from 'next/server';
+import { estimateDeployment, estimateMint, EstimateError, MINT_MODES } from '../../../lib/gasEstimate.js';
+import { parseParticipantCsv } from '../../../lib/participantCsv.js';
+import { normalizeAddress, describeAddressError } from '../../../lib/address.js';
+import { DEFAULT_NETWORK, isSupportedNetwork, getSupportedNetworks } from '../../../lib/networks.js';
+
+const ESTIMATE_ACTIONS = ['deploy', 'mint'];
+
+// The mint form posts multipart data with its CSV; other callers post JSON
+async function readEstimateRequest(request) {
+  if (!(request.headers.get('content-type') || '').includes('multipart/form-data')) {
+    const body = await request.json().catch(() => null);
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw new EstimateError('Request body must be a JSON object or multipart form data');
+    }
+    return body;
+  }
+
+  const formData = await request.formData().catch(() => null);
+  if (!formData) {
+    throw new EstimateError('Request body is not valid multipart form data');
+  }
+  const csvFile = formData.get('csvFile');
+  return {
+    action: formData.get('action'),
+    network: formData.get('network'),
+    contractName: formData.get('contractName'),
+    contractAddress: formData.get('contractAddress'),
+    mintMode: formData.get('mintMode'),
+    certificateTypeLabel: formData.get('certificateTypeLabel'),
+    csvText: csvFile ? await csvFile.text() : null
+  };
+}
+
+// Recipients from the uploaded CSV, or from a JSON `walletAddresses` list
+function readRecipients({ csvText, walletAddresses, certificateTypeLabel }) {
+  if (csvText) {
+    const { participants, errors, missingColumns, parseErrors } = parseParticipantCsv(csvText, {
+      defaults: { certificateTypeLabel: certificateTypeLabel || null }
+    });
+    if (parseErrors.length > 0 || missingColumns.length > 0 || errors.length > 0) {
+      throw new EstimateError('CSV validation failed; validate the CSV before estimating');
+    }
+    return participants.map(participant => participant.walletAddress);
+  }
+
+  if (!Array.isArray(walletAddresses)) {
+    throw new EstimateError('Provide a csvFile or a walletAddresses list');
+  }
+  return walletAddresses.map((address, index) => {
+    const wallet = normalizeAddress(address);
+    if (!wallet.valid) {
+      throw new EstimateError(`walletAddresses[${index}] is invalid: ${describeAddressError(wallet)}`);
+    }
+    return wallet.address;
+  });
+}
+
+/**
+ * POST - Simulate a contract deployment or a whole mint batch without sending
+ * anything. Returns the estimated gas, the fee per gas and total cost in the
+ * network's currency, and whether the deployer balance covers the maximum.
+ */
+export async function POST(request) {
+  try {
+    const body = await readEstimateRequest(request);
+    const action = body.action;
+    const network = body.network || DEFAULT_NETWORK;
+
+    if (!ESTIMATE_ACTIONS.includes(action)) {
+      return NextResponse.json(
+        { success: false, error: `action must be one of: ${ESTIMATE_ACTIONS.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    if (!isSupportedNetwork(network)) {
+      return NextResponse.json(
+        { success: false, error: 'Unsupported network', supportedNetworks: getSupportedNetworks() },
+        { status: 400 }
+      );
+    }
+
+    if (action === 'deploy') {
+      if (!body.contractName) {
+        return NextResponse.json(
+          { success: false, error: 'Missing required field: contractName' },
+          { status: 400 }
+        );
+      }
+      const estimate = await estimateDeployment({ network, contractName: body.contractName });
+      return NextResponse.json({ success: true, estimate });
+    }
+
+    const contract = normalizeAddress(body.contractAddress);
+    if (!contract.valid) {
+      return NextResponse.json(
+        { success: false, error: `Invalid contract address: ${describeAddressError(contract)}` },
+        { status: 400 }
+      );
+    }
+
+    const mintMode = body.mintMode || 'batch';
+    if (!MINT_MODES.includes(mintMode)) {
+      return NextResponse.json(
+        { success: false, error: `mintMode must be one of: ${MINT_MODES.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    const walletAddresses = readRecipients(body);
+    if (walletAddresses.length === 0) {
+      return NextResponse.json(
+        { success: false, error: 'No recipients to estimate' },
+        { status: 400 }
+      );
+    }
+
+    const estimate = await estimateMint({ network, contractAddress: contract.address, walletAddresses, mintMode });
+    return NextResponse.json({ success: true, estimate });
+  } catch (error) {
+    if (error instanceof EstimateError) {
+      return NextResponse.json(
+        { success: false, error: error.message },
+        { status: error.status }
+      );
+    }
+    console.error('Error estimating gas:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to estimate gas', details: error.message },
+      { status: 500 }
+    );
+  }
+}
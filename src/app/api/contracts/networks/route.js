@@ -1,38 +1,15 @@
 import { NextResponse } from 'next/server';
+import { NETWORKS, DEFAULT_NETWORK, describeNetwork } from '../../../lib/networks.js';
 
 export async function GET() {
   try {
-    const networks = {
-      localhost: {
-        name: 'Local Development',
-        rpcUrl: 'http://localhost:8545',
-        chainId: 1337,
-        currency: 'ETH',
-        explorerUrl: null,
-        description: 'Local development network (Hardhat/Ganache)'
-      },
-      apothem: {
-        name: 'XDC Apothem Testnet',
-        rpcUrl: 'https://rpc.apothem.network',
-        chainId: 51,
-        currency: 'TXDC',
-        explorerUrl: 'https://explorer.apothem.network',
-        description: 'XDC Network testnet for development and testing',
-        faucet: 'https://faucet.apothem.network'
-      },
-      'xdc-mainnet': {
-        name: 'XDC Mainnet',
-        rpcUrl: 'https://rpc.xinfin.network',
-        chainId: 50,
-        currency: 'XDC',
-        explorerUrl: 'https://explorer.xinfin.network',
-        description: 'XDC Network mainnet for production use'
-      }
-    };
+    const networks = Object.fromEntries(
+      Object.entries(NETWORKS).map(([key, network]) => [key, describeNetwork(network)])
+    );
 
     return NextResponse.json({
       networks,
-      defaultNetwork: 'apothem',
+      defaultNetwork: DEFAULT_NETWORK,
       supportedNetworks: Object.keys(networks),
       recommendations: {
         development: 'apothem',
@@ -47,4 +24,4 @@ export async function GET() {
       { status: 500 }
     );
   }
-}
\ No newline at end of file
+}
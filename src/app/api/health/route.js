@@ -0,0 +1,17 @@
+import { NextResponse } from 'next/server';
+import { getHealthReport } from '../../lib/health.js';
+
+export const dynamic = 'force-dynamic';
+
+// GET - Health of the app, its database, IPFS provider, RPC endpoints and
+// deployer wallet, for the dashboards and uptime checks. ?refresh=1 bypasses
+// the cached external checks.
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const report = await getHealthReport({ force: searchParams.get('refresh') === '1' });
+
+  return NextResponse.json(report, {
+    status: report.status === 'OK' ? 200 : 503,
+    headers: { 'Cache-Control': 'no-store' }
+  });
+}
@@ -0,0 +1,47 @@
+import { NextResponse } from 'next/server';
+import { LocalProvider } from '../../../lib/storage/local.js';
+
+export const dynamic = 'force-dynamic';
+
+// Recognise what was stored, like a public gateway does, since the local
+// store keeps bytes only
+function sniffContentType(data) {
+  const head = data.subarray(0, 512).toString('utf8').trimStart();
+  if (data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (data[0] === 0xff && data[1] === 0xd8) return 'image/jpeg';
+  if (head.startsWith('RIFF') && data.subarray(8, 12).toString() === 'WEBP') return 'image/webp';
+  if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*<svg[\s>]/i.test(head)) return 'image/svg+xml';
+  if (head.startsWith('{') || head.startsWith('[')) return 'application/json';
+  return 'application/octet-stream';
+}
+
+export async function GET(request, { params }) {
+  try {
+    const { cid } = await params;
+    const data = await new LocalProvider().read(cid);
+
+    if (!data) {
+      return NextResponse.json(
+        { success: false, error: 'Content not found' },
+        { status: 404 }
+      );
+    }
+
+    return new NextResponse(data, {
+      headers: {
+        'Content-Type': sniffContentType(data),
+        // Content-addressed, so a CID's bytes never change
+        'Cache-Control': 'public, max-age=31536000, immutable',
+        // Uploaded SVGs must not run script on the app's origin
+        'Content-Security-Policy': "default-src 'none'; img-src data:; style-src 'unsafe-inline'; sandbox",
+        'X-Content-Type-Options': 'nosniff'
+      }
+    });
+  } catch (error) {
+    console.error('Local IPFS read error:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to read content' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,70 @@
+import { NextResponse } from 'next/server';
+import { getBatch } from '../../../../lib/repositories/batches.js';
+import { recordAuditEvent } from '../../../../lib/repositories/auditEvents.js';
+import { getSessionEmail } from '../../../../lib/auth.js';
+import { reconcileTokenIds } from '../../../../lib/mintWorker.js';
+
+export const dynamic = 'force-dynamic';
+
+// Minted rows can only be compared with the chain once the worker is done with the job
+async function findFinishedJob(params) {
+  const { id } = await params;
+  const job = await getBatch(id);
+
+  if (!job) {
+    return { response: NextResponse.json({ success: false, error: 'Job not found' }, { status: 404 }) };
+  }
+  if (job.status === 'queued' || job.status === 'running') {
+    return { response: NextResponse.json({ success: false, error: 'Job is still in progress' }, { status: 409 }) };
+  }
+  return { job };
+}
+
+// GET - Flag minted rows whose recorded token ID or metadata disagrees with the mint receipt
+export async function GET(request, { params }) {
+  try {
+    const { job, response } = await findFinishedJob(params);
+    if (response) return response;
+
+    const result = await reconcileTokenIds(job.id);
+    return NextResponse.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error reconciling job:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to reconcile job', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+// POST - Correct recorded token IDs and re-pin metadata that names the wrong token
+export async function POST(request, { params }) {
+  try {
+    const { job, response } = await findFinishedJob(params);
+    if (response) return response;
+
+    const result = await reconcileTokenIds(job.id, { fix: true });
+    const fixedCount = result.mismatches.filter(mismatch => mismatch.fixed).length;
+    if (result.mismatches.length > 0) {
+      await recordAuditEvent({
+        type: 'batch.reconciled',
+        actor: await getSessionEmail(),
+        subjectType: 'batch',
+        subjectId: job.id,
+        data: { mismatchCount: result.mismatches.length, fixedCount }
+      });
+    }
+
+    return NextResponse.json({
+      success: true,
+      message: `Fixed ${fixedCount} of ${result.mismatches.length} mismatched rows.`,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error reconciling job:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to reconcile job', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,56 @@
+import { NextResponse } from 'next/server';
+import { getBatch } from '../../../../lib/repositories/batches.js';
+import { recordAuditEvent } from '../../../../lib/repositories/auditEvents.js';
+import { getSessionEmail } from '../../../../lib/auth.js';
+import { retryFailedRows, getQueuePosition } from '../../../../lib/mintWorker.js';
+
+// POST - Re-queue the failed rows of a finished bulk-mint job
+export async function POST(request, { params }) {
+  try {
+    const { id } = await params;
+    const job = await getBatch(id);
+
+    if (!job) {
+      return NextResponse.json(
+        { success: false, error: 'Job not found' },
+        { status: 404 }
+      );
+    }
+
+    if (job.status === 'queued' || job.status === 'running') {
+      return NextResponse.json(
+        { success: false, error: 'Job is still in progress' },
+        { status: 409 }
+      );
+    }
+
+    if (job.progress.failedCount === 0) {
+      return NextResponse.json(
+        { success: false, error: 'Job has no failed rows to retry' },
+        { status: 400 }
+      );
+    }
+
+    const retried = await retryFailedRows(id);
+    await recordAuditEvent({
+      type: 'batch.retried',
+      actor: await getSessionEmail(),
+      subjectType: 'batch',
+      subjectId: id,
+      data: { failedCount: job.progress.failedCount }
+    });
+
+    return NextResponse.json({
+      success: true,
+      message: `Retrying ${job.progress.failedCount} failed rows.`,
+      queuePosition: getQueuePosition(id),
+      job: retried
+    }, { status: 202 });
+  } catch (error) {
+    console.error('Error retrying job:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to retry job', details: error.message },
+      { status: 500 }
+    );
+  }
+}
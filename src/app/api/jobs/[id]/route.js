@@ -0,0 +1,42 @@
+import { NextResponse } from 'next/server';
+import { getBatch } from '../../../lib/repositories/batches.js';
+import { getQueuePosition, startMintWorker } from '../../../lib/mintWorker.js';
+
+export const dynamic = 'force-dynamic';
+
+// GET - Poll the status and per-row progress of a bulk-mint job
+export async function GET(request, { params }) {
+  try {
+    // Make sure jobs queued before a restart get picked up again
+    await startMintWorker();
+
+    const { id } = await params;
+    const job = await getBatch(id);
+
+    if (!job) {
+      return NextResponse.json(
+        { success: false, error: 'Job not found' },
+        { status: 404 }
+      );
+    }
+
+    const { progress } = job;
+    return NextResponse.json({
+      success: true,
+      job: {
+        ...job,
+        queuePosition: getQueuePosition(job.id),
+        progress: {
+          ...progress,
+          percent: progress.total > 0 ? Math.round((progress.processed / progress.total) * 100) : 100
+        }
+      }
+    }, { headers: { 'Cache-Control': 'no-store' } });
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to fetch job' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,31 @@
+import { NextResponse } from 'next/server';
+import { listBatches } from '../../lib/repositories/batches.js';
+import { startMintWorker } from '../../lib/mintWorker.js';
+
+export const dynamic = 'force-dynamic';
+
+// GET - List bulk-mint jobs, newest first, without their per-row details
+export async function GET(request) {
+  try {
+    await startMintWorker();
+
+    const { searchParams } = new URL(request.url);
+    const status = searchParams.get('status');
+
+    const jobs = (await listBatches(status ? { status } : {}))
+      .reverse()
+      .map(({ template, ...job }) => job);
+
+    return NextResponse.json({
+      success: true,
+      jobs,
+      count: jobs.length
+    }, { headers: { 'Cache-Control': 'no-store' } });
+  } catch (error) {
+    console.error('Error listing jobs:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to list jobs', jobs: [], count: 0 },
+      { status: 500 }
+    );
+  }
+}
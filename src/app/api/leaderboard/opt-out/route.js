@@ -0,0 +1,70 @@
+import { NextResponse } from 'next/server';
+import { ethers } from 'ethers';
+import { setOptOut, claimOptOutRequest } from '../../../lib/repositories/leaderboardOptOuts.js';
+import { getOptOutMessage, OPT_OUT_SIGNATURE_TTL_MS } from '../../../lib/leaderboard.js';
+
+// How far ahead of the server's clock a signed timestamp may be
+const CLOCK_SKEW_MS = 60000;
+
+// POST - Hide a wallet from the public leaderboard, or show it again.
+// Body: { address, hidden, timestamp, signature } where `signature` is the
+// wallet's personal_sign of getOptOutMessage(address, hidden, timestamp).
+// Each signed message is accepted once.
+export async function POST(request) {
+  try {
+    const { address, hidden, timestamp, signature } = await request.json().catch(() => ({}));
+
+    if (!ethers.isAddress(address) || typeof hidden !== 'boolean' || !timestamp || !signature) {
+      return NextResponse.json(
+        { success: false, error: 'address, hidden, timestamp and signature are required' },
+        { status: 400 }
+      );
+    }
+
+    const age = Date.now() - new Date(timestamp).getTime();
+    if (!(age >= -CLOCK_SKEW_MS && age <= OPT_OUT_SIGNATURE_TTL_MS)) {
+      return NextResponse.json(
+        { success: false, error: 'Signature has expired; sign the request again' },
+        { status: 400 }
+      );
+    }
+
+    const message = getOptOutMessage(address, hidden, timestamp);
+    let signer;
+    try {
+      signer = ethers.verifyMessage(message, signature);
+    } catch {
+      signer = null;
+    }
+    if (!signer || signer.toLowerCase() !== address.toLowerCase()) {
+      return NextResponse.json(
+        { success: false, error: 'Signature does not match the wallet address' },
+        { status: 403 }
+      );
+    }
+
+    // Keyed by the message rather than the signature, which can be re-encoded
+    const forgetBefore = new Date(Date.now() - OPT_OUT_SIGNATURE_TTL_MS - CLOCK_SKEW_MS).toISOString();
+    if (!(await claimOptOutRequest(ethers.hashMessage(message), forgetBefore))) {
+      return NextResponse.json(
+        { success: false, error: 'This signature has already been used; sign the request again' },
+        { status: 409 }
+      );
+    }
+
+    await setOptOut(address, hidden);
+
+    return NextResponse.json({
+      success: true,
+      address: ethers.getAddress(address),
+      hidden,
+      message: hidden ? 'Wallet hidden from the leaderboard' : 'Wallet shown on the leaderboard'
+    });
+  } catch (error) {
+    console.error('Leaderboard opt-out error:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to update leaderboard visibility' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,68 @@
+import { NextResponse } from 'next/server';
+import { ethers } from 'ethers';
+import { getLeaderboard } from '../../lib/certificateIndex.js';
+import { LEADERBOARD_WINDOWS } from '../../lib/leaderboard.js';
+import { isSupportedNetwork } from '../../lib/networks.js';
+
+export const dynamic = 'force-dynamic';
+
+const MAX_PAGE_SIZE = 100;
+
+// GET - Wallets ranked by certificate points (?network=, ?contract=, ?event=,
+// ?window=all|7d|30d|90d|365d, ?limit=, ?offset=); ?address= adds that wallet's rank
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const network = searchParams.get('network');
+    const contractAddress = searchParams.get('contract');
+    const eventName = searchParams.get('event');
+    const window = searchParams.get('window') || 'all';
+    const address = searchParams.get('address');
+    const limit = Math.min(Math.max(Number(searchParams.get('limit')) || 25, 1), MAX_PAGE_SIZE);
+    const offset = Math.max(Number(searchParams.get('offset')) || 0, 0);
+
+    if (network && !isSupportedNetwork(network)) {
+      return NextResponse.json(
+        { success: false, error: 'Unsupported network' },
+        { status: 400 }
+      );
+    }
+
+    if (contractAddress && !ethers.isAddress(contractAddress)) {
+      return NextResponse.json(
+        { success: false, error: 'Invalid contract address' },
+        { status: 400 }
+      );
+    }
+
+    if (address && !ethers.isAddress(address)) {
+      return NextResponse.json(
+        { success: false, error: 'Invalid wallet address' },
+        { status: 400 }
+      );
+    }
+
+    if (!(window in LEADERBOARD_WINDOWS)) {
+      return NextResponse.json(
+        { success: false, error: `window must be one of ${Object.keys(LEADERBOARD_WINDOWS).join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    const leaderboard = await getLeaderboard({ network, contractAddress, eventName, window, limit, offset, address });
+
+    return NextResponse.json({
+      success: true,
+      window,
+      limit,
+      offset,
+      ...leaderboard
+    }, { headers: { 'Cache-Control': address ? 'no-store' : 'public, max-age=60' } });
+  } catch (error) {
+    console.error('Error building leaderboard:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to build leaderboard', entries: [], total: 0 },
+      { status: 500 }
+    );
+  }
+}
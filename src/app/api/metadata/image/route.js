@@ -0,0 +1,47 @@
+import { NextResponse } from 'next/server';
+import { getIpfsThumbnail, IpfsContentError } from '../../../lib/ipfsCache.js';
+
+export const dynamic = 'force-dynamic';
+
+// GET - Resized WebP of an image behind an ipfs:// URI or IPFS gateway URL (?width=, default 400)
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const uri = searchParams.get('uri');
+    if (!uri) {
+      return NextResponse.json(
+        { success: false, error: 'uri query parameter is required' },
+        { status: 400 }
+      );
+    }
+
+    const width = Number(searchParams.get('width') || 400);
+    if (!Number.isInteger(width) || width <= 0) {
+      return NextResponse.json(
+        { success: false, error: 'width must be a positive integer' },
+        { status: 400 }
+      );
+    }
+
+    const thumbnail = await getIpfsThumbnail(uri, width);
+    return new NextResponse(thumbnail.buffer, {
+      headers: {
+        'Content-Type': thumbnail.contentType,
+        'Cache-Control': thumbnail.verified ? 'public, max-age=31536000, immutable' : 'public, max-age=300'
+      }
+    });
+  } catch (error) {
+    if (error instanceof IpfsContentError) {
+      return NextResponse.json(
+        { success: false, error: error.message },
+        { status: error.status }
+      );
+    }
+
+    console.error('Thumbnail error:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to load image' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,53 @@
+import { NextResponse } from 'next/server';
+import { getIpfsMetadata, IpfsContentError } from '../../lib/ipfsCache.js';
+import { validateCertificateMetadata, normalizeCertificateMetadata } from '../../lib/metadataSchema.js';
+
+export const dynamic = 'force-dynamic';
+
+// GET - Certificate metadata behind an ipfs:// URI or IPFS gateway URL
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const uri = searchParams.get('uri');
+    if (!uri) {
+      return NextResponse.json(
+        { success: false, error: 'uri query parameter is required' },
+        { status: 400 }
+      );
+    }
+
+    const { metadata, verified, ...content } = await getIpfsMetadata(uri);
+    const validation = validateCertificateMetadata(metadata);
+    if (!validation.valid) {
+      return NextResponse.json(
+        { success: false, error: 'Metadata does not match the certificate schema', details: validation.errors, ...content },
+        { status: 422 }
+      );
+    }
+
+    return NextResponse.json(
+      {
+        success: true,
+        ...content,
+        schemaVersion: validation.version,
+        metadata,
+        details: normalizeCertificateMetadata(metadata)
+      },
+      // A CID's content never changes, once the gateway's bytes are known to match it
+      { headers: { 'Cache-Control': verified ? 'public, max-age=31536000, immutable' : 'public, max-age=300' } }
+    );
+  } catch (error) {
+    if (error instanceof IpfsContentError) {
+      return NextResponse.json(
+        { success: false, error: error.message },
+        { status: error.status }
+      );
+    }
+
+    console.error('Metadata proxy error:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to load metadata' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,9 @@
+import { NextResponse } from 'next/server';
+import { CERTIFICATE_METADATA_SCHEMA } from '../../../lib/metadataSchema.js';
+
+// GET - JSON Schema new certificate metadata is written against
+export async function GET() {
+  return NextResponse.json(CERTIFICATE_METADATA_SCHEMA, {
+    headers: { 'Content-Type': 'application/schema+json' }
+  });
+}
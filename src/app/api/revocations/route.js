@@ -0,0 +1,52 @@
+import { NextResponse } from 'next/server';
+import { ethers } from 'ethers';
+import { listRevocations } from '../../lib/repositories/revocations.js';
+import { syncIndexQuietly } from '../../lib/indexer.js';
+import { isSupportedNetwork } from '../../lib/networks.js';
+
+export const dynamic = 'force-dynamic';
+
+const MAX_PAGE_SIZE = 500;
+
+// GET - Public list of revoked certificates (?network=, ?contract=, ?limit=, ?offset=)
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const network = searchParams.get('network');
+    const contractAddress = searchParams.get('contract');
+    const limit = Math.min(Math.max(Number(searchParams.get('limit')) || 100, 1), MAX_PAGE_SIZE);
+    const offset = Math.max(Number(searchParams.get('offset')) || 0, 0);
+
+    if (network && !isSupportedNetwork(network)) {
+      return NextResponse.json(
+        { success: false, error: 'Unsupported network' },
+        { status: 400 }
+      );
+    }
+
+    if (contractAddress && !ethers.isAddress(contractAddress)) {
+      return NextResponse.json(
+        { success: false, error: 'Invalid contract address' },
+        { status: 400 }
+      );
+    }
+
+    await syncIndexQuietly();
+    const { revocations, total } = await listRevocations({ network, contractAddress, limit, offset });
+
+    return NextResponse.json({
+      success: true,
+      // Who revoked a certificate is kept for the audit trail, not published
+      revocations: revocations.map(({ revokedBy, ...revocation }) => revocation),
+      total,
+      limit,
+      offset
+    }, { headers: { 'Cache-Control': 'public, max-age=60' } });
+  } catch (error) {
+    console.error('Error listing revocations:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to list revocations', revocations: [], total: 0 },
+      { status: 500 }
+    );
+  }
+}
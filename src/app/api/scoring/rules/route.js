@@ -0,0 +1,65 @@
+import { NextResponse } from 'next/server';
+import { getScoringRules, saveScoringRules } from '../../../lib/repositories/settings.js';
+import { recordAuditEvent } from '../../../lib/repositories/auditEvents.js';
+import { getSessionEmail } from '../../../lib/auth.js';
+import { DEFAULT_SCORING_RULES, RARITY_LEVELS, validateScoringRules } from '../../../lib/scoring.js';
+
+export const dynamic = 'force-dynamic';
+
+// GET - Scoring rules applied to newly minted certificates, and the defaults
+export async function GET() {
+  try {
+    const { rules, updatedAt } = await getScoringRules();
+    return NextResponse.json({
+      success: true,
+      rules,
+      defaults: DEFAULT_SCORING_RULES,
+      rarityLevels: RARITY_LEVELS,
+      updatedAt
+    });
+  } catch (error) {
+    console.error('Error loading scoring rules:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to load scoring rules' },
+      { status: 500 }
+    );
+  }
+}
+
+// PUT - Replace the scoring rules; body: { types, events, issuers, scarcity }
+export async function PUT(request) {
+  try {
+    const input = await request.json().catch(() => null);
+    const { rules, errors } = validateScoringRules(input);
+    if (errors.length > 0) {
+      return NextResponse.json(
+        { success: false, error: 'Invalid scoring rules', details: errors },
+        { status: 400 }
+      );
+    }
+
+    const updatedBy = await getSessionEmail();
+    const saved = await saveScoringRules(rules, updatedBy);
+
+    await recordAuditEvent({
+      type: 'scoring.updated',
+      actor: updatedBy,
+      subjectType: 'settings',
+      subjectId: 'scoring_rules',
+      data: rules
+    });
+
+    return NextResponse.json({
+      success: true,
+      message: 'Scoring rules saved. They apply to certificates minted from now on.',
+      rules,
+      updatedAt: saved.updatedAt
+    });
+  } catch (error) {
+    console.error('Error saving scoring rules:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to save scoring rules' },
+      { status: 500 }
+    );
+  }
+}
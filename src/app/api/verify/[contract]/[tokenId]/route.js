@@ -0,0 +1,44 @@
+import { NextResponse } from 'next/server';
+import { verifyCertificate, VerificationError } from '../../../../lib/verify.js';
+import { DEFAULT_NETWORK } from '../../../../lib/networks.js';
+
+export const dynamic = 'force-dynamic';
+
+export async function GET(request, { params }) {
+  try {
+    const { contract, tokenId } = await params;
+    const { searchParams } = new URL(request.url);
+    const network = searchParams.get('network') || DEFAULT_NETWORK;
+
+    const verification = await verifyCertificate({
+      contractAddress: contract,
+      tokenId,
+      network
+    });
+
+    return NextResponse.json(
+      { success: true, ...verification },
+      {
+        status: verification.status === 'not_found' ? 404 : 200,
+        headers: { 'Cache-Control': 'no-store' }
+      }
+    );
+  } catch (error) {
+    if (error instanceof VerificationError) {
+      return NextResponse.json(
+        { success: false, error: error.message },
+        { status: error.status }
+      );
+    }
+
+    console.error('Certificate verification error:', error);
+    return NextResponse.json(
+      {
+        success: false,
+        error: 'Failed to verify certificate',
+        details: error.message || 'Unknown error occurred'
+      },
+      { status: 503 }
+    );
+  }
+}
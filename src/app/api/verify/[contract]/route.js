@@ -0,0 +1,46 @@
+import { NextResponse } from 'next/server';
+import { verifyCertificate, VerificationError } from '../../../lib/verify.js';
+import { DEFAULT_NETWORK, DEFAULT_CONTRACT_ADDRESS } from '../../../lib/networks.js';
+
+export const dynamic = 'force-dynamic';
+
+// GET /api/verify/:tokenId - verify a token on the default contract.
+// The segment shares the [contract] name with /api/verify/:contract/:tokenId
+// because Next.js requires sibling dynamic segments to use the same name.
+export async function GET(request, { params }) {
+  try {
+    const { contract: tokenId } = await params;
+    const { searchParams } = new URL(request.url);
+
+    const verification = await verifyCertificate({
+      contractAddress: searchParams.get('contract') || DEFAULT_CONTRACT_ADDRESS,
+      tokenId,
+      network: searchParams.get('network') || DEFAULT_NETWORK
+    });
+
+    return NextResponse.json(
+      { success: true, ...verification },
+      {
+        status: verification.status === 'not_found' ? 404 : 200,
+        headers: { 'Cache-Control': 'no-store' }
+      }
+    );
+  } catch (error) {
+    if (error instanceof VerificationError) {
+      return NextResponse.json(
+        { success: false, error: error.message },
+        { status: error.status }
+      );
+    }
+
+    console.error('Certificate verification error:', error);
+    return NextResponse.json(
+      {
+        success: false,
+        error: 'Failed to verify certificate',
+        details: error.message || 'Unknown error occurred'
+      },
+      { status: 503 }
+    );
+  }
+}
@@ -0,0 +1,48 @@
+import { NextResponse } from 'next/server';
+import { ethers } from 'ethers';
+import { DEFAULT_NETWORK, getNetwork, getProvider } from '../../../../lib/networks.js';
+
+export const dynamic = 'force-dynamic';
+
+// GET - Native token balance of a wallet (?network= defaults to the default network)
+export async function GET(request, { params }) {
+  try {
+    const { address } = await params;
+    const { searchParams } = new URL(request.url);
+    const network = searchParams.get('network') || DEFAULT_NETWORK;
+
+    if (!ethers.isAddress(address)) {
+      return NextResponse.json(
+        { success: false, error: 'Invalid wallet address' },
+        { status: 400 }
+      );
+    }
+
+    const networkConfig = getNetwork(network);
+    if (!networkConfig) {
+      return NextResponse.json(
+        { success: false, error: 'Unsupported network' },
+        { status: 400 }
+      );
+    }
+
+    const balance = await getProvider(network).getBalance(address);
+
+    return NextResponse.json({
+      success: true,
+      address: ethers.getAddress(address),
+      network,
+      balance: {
+        wei: balance.toString(),
+        formatted: ethers.formatUnits(balance, networkConfig.currency.decimals),
+        symbol: networkConfig.currency.symbol
+      }
+    }, { headers: { 'Cache-Control': 'no-store' } });
+  } catch (error) {
+    console.error('Error fetching wallet balance:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to fetch balance', details: error.message },
+      { status: 503 }
+    );
+  }
+}
@@ -0,0 +1,211 @@
+"use client";
+import { useEffect, useState } from "react";
+import Link from "next/link";
+import { getExplorerAddressUrl, DEFAULT_NETWORK } from "../lib/networks";
+import { shortenAddress } from "../lib/address";
+
+const PAGE_SIZE = 25;
+
+const WINDOW_LABELS = {
+  all: "All time",
+  "7d": "Last 7 days",
+  "30d": "Last 30 days",
+  "90d": "Last 90 days",
+  "365d": "Last year",
+};
+
+const rarityStyles = {
+  Legendary: "text-yellow-400",
+  Epic: "text-purple-400",
+  Rare: "text-blue-400",
+  Uncommon: "text-green-400",
+  Common: "text-gray-400",
+};
+
+export default function LeaderboardPage() {
+  const [contracts, setContracts] = useState([]);
+  const [filters, setFilters] = useState({ window: "all", contract: "", network: "", event: "" });
+  const [eventInput, setEventInput] = useState("");
+  const [offset, setOffset] = useState(0);
+  const [leaderboard, setLeaderboard] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetch("/api/contracts/deployments")
+      .then(response => response.json())
+      .then(result => setContracts(result.contracts || []))
+      .catch(() => setContracts([]));
+  }, []);
+
+  useEffect(() => {
+    const params = new URLSearchParams({ window: filters.window, limit: PAGE_SIZE, offset });
+    if (filters.contract) {
+      params.set("contract", filters.contract);
+      params.set("network", filters.network);
+    }
+    if (filters.event) params.set("event", filters.event);
+
+    setLoading(true);
+    setError(null);
+    fetch(`/api/leaderboard?${params}`)
+      .then(response => response.json())
+      .then(result => {
+        if (!result.success) throw new Error(result.error);
+        setLeaderboard(result);
+      })
+      .catch(err => setError(err.message || "Failed to load leaderboard"))
+      .finally(() => setLoading(false));
+  }, [filters, offset]);
+
+  const updateFilter = (changes) => {
+    setFilters(prev => ({ ...prev, ...changes }));
+    setOffset(0);
+  };
+
+  const selectContract = (contractAddress) => {
+    const selected = contracts.find(contract => contract.contractAddress === contractAddress);
+    updateFilter({ contract: contractAddress, network: selected?.network || DEFAULT_NETWORK });
+  };
+
+  const total = leaderboard?.total || 0;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-900 via-black to-gray-900 text-white">
+      <header className="border-b border-gray-800 bg-black/50 backdrop-blur-sm">
+        <div className="max-w-4xl mx-auto px-6 py-4 flex justify-between items-center">
+          <Link href="/" className="text-2xl font-extrabold tracking-wide hover:text-[#54D1DC] transition-colors">
+            CERTIMOS
+          </Link>
+          <span className="text-gray-400 text-sm">Leaderboard</span>
+        </div>
+      </header>
+
+      <main className="max-w-4xl mx-auto px-6 py-10 space-y-6">
+        <div className="flex flex-col md:flex-row gap-4">
+          <select
+            value={filters.window}
+            onChange={(e) => updateFilter({ window: e.target.value })}
+            className="bg-gray-800 p-3 rounded-xl border border-gray-700 text-gray-200 focus:outline-none focus:border-[#54D1DC]"
+          >
+            {Object.entries(WINDOW_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <select
+            value={filters.contract}
+            onChange={(e) => selectContract(e.target.value)}
+            className="bg-gray-800 p-3 rounded-xl border border-gray-700 text-gray-200 focus:outline-none focus:border-[#54D1DC]"
+          >
+            <option value="">All contracts</option>
+            {contracts.map(contract => (
+              <option key={contract.deploymentId || contract.contractAddress} value={contract.contractAddress}>
+                {contract.contractName || shortenAddress(contract.contractAddress, contract.network)}
+              </option>
+            ))}
+          </select>
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              updateFilter({ event: eventInput.trim() });
+            }}
+            className="flex flex-1 gap-2"
+          >
+            <input
+              type="text"
+              value={eventInput}
+              onChange={(e) => setEventInput(e.target.value)}
+              placeholder="Event name"
+              className="flex-1 bg-gray-800 p-3 rounded-xl border border-gray-700 text-gray-200 placeholder-gray-500 focus:outline-none focus:border-[#54D1DC]"
+            />
+            <button
+              type="submit"
+              className="px-4 bg-gray-700 rounded-xl hover:bg-gray-600 transition-colors"
+            >
+              Filter
+            </button>
+          </form>
+        </div>
+
+        {error && (
+          <div className="bg-red-900/50 border border-red-500 rounded-lg p-4 text-red-200">{error}</div>
+        )}
+
+        <div className="bg-gray-800/50 rounded-2xl border border-gray-700 overflow-hidden">
+          <table className="w-full text-left">
+            <thead className="bg-gray-800 text-gray-400 text-sm">
+              <tr>
+                <th className="px-4 py-3">Rank</th>
+                <th className="px-4 py-3">Wallet</th>
+                <th className="px-4 py-3 text-right">Certificates</th>
+                <th className="px-4 py-3 text-right">Points</th>
+              </tr>
+            </thead>
+            <tbody>
+              {loading && (
+                <tr>
+                  <td colSpan={4} className="px-4 py-8 text-center text-gray-400">Loading leaderboard...</td>
+                </tr>
+              )}
+              {!loading && leaderboard?.entries.length === 0 && (
+                <tr>
+                  <td colSpan={4} className="px-4 py-8 text-center text-gray-400">No certificates found for these filters</td>
+                </tr>
+              )}
+              {!loading && leaderboard?.entries.map(entry => (
+                <tr key={entry.address} className="border-t border-gray-700">
+                  <td className="px-4 py-3 font-bold text-[#54D1DC]">#{entry.rank}</td>
+                  <td className="px-4 py-3 font-mono text-sm">
+                    <a
+                      href={getExplorerAddressUrl(filters.network || DEFAULT_NETWORK, entry.address)}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="hover:text-[#54D1DC]"
+                    >
+                      {shortenAddress(entry.address, filters.network || DEFAULT_NETWORK)}
+                    </a>
+                    <span className="ml-3 text-xs">
+                      {Object.entries(entry.rarityDistribution).map(([rarity, count]) => (
+                        <span key={rarity} className={`mr-2 ${rarityStyles[rarity] || "text-gray-400"}`}>
+                          {count} {rarity}
+                        </span>
+                      ))}
+                    </span>
+                  </td>
+                  <td className="px-4 py-3 text-right">{entry.certificates}</td>
+                  <td className="px-4 py-3 text-right font-bold text-yellow-400">{entry.totalPoints} PTS</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="flex justify-between items-center text-sm text-gray-400">
+          <span>
+            {total > 0 ? `${offset + 1}-${Math.min(offset + PAGE_SIZE, total)} of ${total} wallets` : ""}
+          </span>
+          <div className="flex gap-2">
+            <button
+              onClick={() => setOffset(Math.max(offset - PAGE_SIZE, 0))}
+              disabled={loading || offset === 0}
+              className="px-4 py-2 bg-gray-700 rounded-lg hover:bg-gray-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Previous
+            </button>
+            <button
+              onClick={() => setOffset(offset + PAGE_SIZE)}
+              disabled={loading || offset + PAGE_SIZE >= total}
+              className="px-4 py-2 bg-gray-700 rounded-lg hover:bg-gray-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+
+        <p className="text-gray-500 text-xs">
+          Revoked certificates do not count. Holders can hide their wallet from the leaderboard on the participant dashboard.
+        </p>
+      </main>
+    </div>
+  );
+}
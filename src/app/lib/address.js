@@ -0,0 +1,114 @@
+import { ethers } from 'ethers';
+import { getNetwork, DEFAULT_NETWORK } from './networks.js';
+
+// Wallet and contract address parsing shared by the CSV parser, the API routes
+// and the dashboards. XDC wallets show addresses with an `xdc` prefix instead
+// of `0x`; the 40 hex characters and their EIP-55 checksum are the same.
+// Shared by the API routes (server) and the dashboards (browser), so it must
+// not import Node-only modules.
+
+const PREFIX_PATTERN = /^(0x|xdc)/i;
+const HEX_BODY = /^[0-9a-fA-F]{40}$/;
+const HEX_CHARS = '0123456789abcdef';
+
+// Characters people copy in place of hex digits
+const LOOKALIKES = { o: '0', O: '0', l: '1', I: '1', i: '1' };
+
+const isMixedCase = (body) => body !== body.toLowerCase() && body !== body.toUpperCase();
+const checksumBody = (body) => ethers.getAddress(`0x${body.toLowerCase()}`).slice(2);
+
+// Address with the prefix the input used (or `prefix`), keeping the checksum casing
+export const withPrefix = (address, prefix = '0x') => `${prefix}${address.slice(2)}`;
+
+/**
+ * The address a mixed-case input with a bad checksum most likely meant: one
+ * with a single mistyped character whose checksum matches the input's casing
+ * everywhere else. Returns the checksummed body, or null when there is no
+ * single such candidate.
+ */
+function findChecksumTypo(body) {
+  const expected = checksumBody(body);
+  const caseDifferences = [...body].filter((char, index) => char !== expected[index]).length;
+  if (caseDifferences === 1) return expected;
+
+  const candidates = new Set();
+  for (let index = 0; index < body.length; index++) {
+    for (const hex of HEX_CHARS) {
+      if (hex === body[index].toLowerCase()) continue;
+      const candidate = checksumBody(body.slice(0, index) + hex + body.slice(index + 1));
+      const matches = [...candidate].every((char, position) =>
+        position === index ? true : char === body[position]
+      );
+      if (matches) candidates.add(candidate);
+    }
+  }
+  return candidates.size === 1 ? [...candidates][0] : null;
+}
+
+/**
+ * Parse a wallet or contract address written with a `0x` or `xdc` prefix.
+ * Mixed-case input must carry a valid EIP-55 checksum; all-lowercase or
+ * all-uppercase input is accepted as is. Returns { valid, address, prefix }
+ * with `address` checksummed and `0x`-prefixed, or { valid: false, error,
+ * suggestion } where `suggestion` is the likely intended address, if any.
+ */
+export function normalizeAddress(input) {
+  const raw = String(input ?? '').trim();
+  if (!raw) {
+    return { valid: false, error: 'Address is required', suggestion: null };
+  }
+
+  const prefix = PREFIX_PATTERN.exec(raw)?.[0].toLowerCase() || null;
+  const body = prefix ? raw.slice(prefix.length) : raw;
+  const suggest = (checksummed) => (checksummed ? `${prefix || '0x'}${checksummed}` : null);
+
+  if (!prefix) {
+    return {
+      valid: false,
+      error: 'Address must start with 0x or xdc',
+      suggestion: HEX_BODY.test(body) ? suggest(checksumBody(body)) : null
+    };
+  }
+
+  if (!HEX_BODY.test(body)) {
+    const fixed = body.replace(/[oOlIi]/g, char => LOOKALIKES[char]);
+    return {
+      valid: false,
+      error: body.length === 40
+        ? 'Address contains characters that are not hexadecimal'
+        : `Address must have 40 hexadecimal characters after the prefix, found ${body.length}`,
+      suggestion: HEX_BODY.test(fixed) ? suggest(checksumBody(fixed)) : null
+    };
+  }
+
+  const checksummed = checksumBody(body);
+  if (isMixedCase(body) && checksummed !== body) {
+    return {
+      valid: false,
+      error: 'Address checksum does not match; it probably contains a typo',
+      suggestion: suggest(findChecksumTypo(body))
+    };
+  }
+
+  return { valid: true, address: `0x${checksummed}`, prefix };
+}
+
+// One-line error for an invalid normalizeAddress result, with the suggestion
+export const describeAddressError = ({ error, suggestion }) =>
+  suggestion ? `${error} (did you mean ${suggestion}?)` : error;
+
+// Address as wallets on `network` display it (xdc… on XDC networks)
+export function formatAddress(address, network = DEFAULT_NETWORK) {
+  if (!address) return address;
+  const { valid, address: checksummed } = normalizeAddress(address);
+  if (!valid) return address;
+  return withPrefix(checksummed, getNetwork(network)?.addressPrefix || '0x');
+}
+
+// Shortened formatAddress for tight layouts, e.g. xdc1234...abcd
+export function shortenAddress(address, network = DEFAULT_NETWORK) {
+  const formatted = formatAddress(address, network);
+  if (!formatted) return formatted;
+  const prefixLength = formatted.toLowerCase().startsWith('xdc') ? 3 : 2;
+  return `${formatted.slice(0, prefixLength + 4)}...${formatted.slice(-4)}`;
+}
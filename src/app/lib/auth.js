@@ -0,0 +1,29 @@
+import { getServerSession } from "next-auth";
+import GoogleProvider from "next-auth/providers/google";
+import { getRoleForEmail } from "./roles.js";
+
+export const authOptions = {
+  providers: [
+    GoogleProvider({
+      clientId: process.env.GOOGLE_CLIENT_ID,
+      clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+    }),
+  ],
+  callbacks: {
+    async jwt({ token }) {
+      // Re-resolve on every refresh so roster changes apply without a re-login
+      token.role = getRoleForEmail(token.email);
+      return token;
+    },
+    async session({ session, token }) {
+      session.user.role = token.role;
+      return session;
+    },
+  },
+};
+
+// Email of the signed-in user for the current request, used as the audit actor
+export async function getSessionEmail() {
+  const session = await getServerSession(authOptions);
+  return session?.user?.email || null;
+}
@@ -0,0 +1,206 @@
+import { listTokens, listTokensByOwner, saveTokenMetadata } from './repositories/tokens.js';
+import { toEventKey } from './repositories/certificates.js';
+import { listOptOuts } from './repositories/leaderboardOptOuts.js';
+import { listDeployments } from './repositories/deployments.js';
+import { syncIndexQuietly } from './indexer.js';
+import { fetchMetadata } from './verify.js';
+import { resolveIpfsUrl } from './ipfsGateway.js';
+import { normalizeCertificateMetadata, validateCertificateMetadata, isCertificateExpired } from './metadataSchema.js';
+import { scoreCertificate, summarizeValue } from './scoring.js';
+import { getScoringRules } from './repositories/settings.js';
+import { getExplorerTokenUrl, getExplorerTxUrl } from './networks.js';
+import { cachedCheck } from './checkCache.js';
+import { getWindowStart, LEADERBOARD_WINDOWS } from './leaderboard.js';
+
+// Metadata requests in flight at once when filling the cache for a wallet
+const METADATA_CONCURRENCY = 5;
+
+// Leaderboard standings are rebuilt from the index at most this often per filter
+const LEADERBOARD_TTL_MS = Number(process.env.LEADERBOARD_CACHE_TTL_MS || 60000);
+
+async function loadMetadata(token) {
+  if (token.metadata || !token.tokenURI) return token.metadata;
+
+  try {
+    const metadata = await fetchMetadata(token.tokenURI);
+    await saveTokenMetadata(token, metadata);
+    return metadata;
+  } catch (error) {
+    console.error(`Metadata fetch failed for token ${token.tokenId} of ${token.contractAddress}:`, error);
+    return null;
+  }
+}
+
+async function mapWithConcurrency(items, limit, mapper) {
+  const results = new Array(items.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await mapper(items[index]);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Certificates held by a wallet across every registered contract, with their
+ * metadata, points, rarity and category, plus the wallet's value breakdown.
+ * With `recompute`, every certificate is scored with the current rules
+ * instead of the values it was minted with. Wallets hidden from the
+ * leaderboard get no totals, like their leaderboard standing.
+ */
+export async function getWalletCertificates(walletAddress, { network, contractAddress, recompute = false } = {}) {
+  await syncIndexQuietly();
+
+  const [tokens, deployments, { rules }, optOuts] = await Promise.all([
+    listTokensByOwner(walletAddress, { network, contractAddress }),
+    listDeployments(),
+    getScoringRules(),
+    listOptOuts()
+  ]);
+  const contractNames = new Map(
+    deployments.map(deployment => [`${deployment.network}:${deployment.contractAddress.toLowerCase()}`, deployment.contractName])
+  );
+
+  const certificates = await mapWithConcurrency(tokens, METADATA_CONCURRENCY, async (token) => {
+    const metadata = await loadMetadata(token);
+    const details = normalizeCertificateMetadata(metadata);
+    return {
+      tokenId: token.tokenId,
+      tokenURI: token.tokenURI,
+      owner: token.owner,
+      network: token.network,
+      contractAddress: token.contractAddress,
+      contractName: contractNames.get(`${token.network}:${token.contractAddress.toLowerCase()}`) || null,
+      name: details?.name || `Certificate #${token.tokenId}`,
+      description: details?.description || '',
+      image: details?.image ? resolveIpfsUrl(details.image) : null,
+      attributes: details?.attributes || [],
+      details,
+      metadata,
+      metadataValid: metadata ? validateCertificateMetadata(metadata).valid : null,
+      mintedAt: token.mintedAt,
+      blockNumber: token.mintedBlock,
+      transactionHash: token.mintedTransactionHash,
+      explorerUrl: getExplorerTokenUrl(token.network, token.contractAddress, token.tokenId),
+      transactionUrl: token.mintedTransactionHash ? getExplorerTxUrl(token.network, token.mintedTransactionHash) : null,
+      status: token.revocation ? 'revoked' : isCertificateExpired(details?.expiresAt) ? 'expired' : 'valid',
+      revocation: token.revocation,
+      ...scoreCertificate(metadata, details, { contractAddress: token.contractAddress, rules, recompute })
+    };
+  });
+
+  if (optOuts.has(walletAddress.toLowerCase())) {
+    return { certificates, count: certificates.length, totalPoints: null, valueBreakdown: null, optedOut: true };
+  }
+
+  const valueBreakdown = summarizeValue(certificates);
+  return {
+    certificates,
+    count: certificates.length,
+    totalPoints: valueBreakdown.totalPoints,
+    valueBreakdown,
+    optedOut: false
+  };
+}
+
+// Points and certificate counts per wallet, best first; revoked certificates do not count
+async function computeStandings({ network, contractAddress, eventName, window }) {
+  await syncIndexQuietly();
+
+  const [tokens, { rules }] = await Promise.all([
+    listTokens({ network, contractAddress, mintedAfter: getWindowStart(window) }),
+    getScoringRules()
+  ]);
+  const eventKey = toEventKey(eventName);
+
+  const scored = await mapWithConcurrency(tokens.filter(token => !token.revocation), METADATA_CONCURRENCY, async (token) => {
+    const metadata = await loadMetadata(token);
+    const details = normalizeCertificateMetadata(metadata);
+    if (eventKey && toEventKey(details?.event) !== eventKey) return null;
+    return {
+      owner: token.owner,
+      mintedAt: token.mintedAt,
+      ...scoreCertificate(metadata, details, { contractAddress: token.contractAddress, rules })
+    };
+  });
+
+  const wallets = new Map();
+  for (const cert of scored.filter(Boolean)) {
+    const key = cert.owner.toLowerCase();
+    const entry = wallets.get(key) || {
+      address: cert.owner,
+      totalPoints: 0,
+      certificates: 0,
+      rarityDistribution: {},
+      lastEarnedAt: null
+    };
+    entry.totalPoints += cert.points;
+    entry.certificates += 1;
+    entry.rarityDistribution[cert.rarity] = (entry.rarityDistribution[cert.rarity] || 0) + 1;
+    if (cert.mintedAt && (!entry.lastEarnedAt || cert.mintedAt > entry.lastEarnedAt)) {
+      entry.lastEarnedAt = cert.mintedAt;
+    }
+    wallets.set(key, entry);
+  }
+
+  const standings = [...wallets.values()].sort((a, b) =>
+    b.totalPoints - a.totalPoints || b.certificates - a.certificates || a.address.localeCompare(b.address)
+  );
+  return { standings };
+}
+
+/**
+ * Wallets ranked by points across the certificate index, optionally for one
+ * network, contract, event (by name) or time window (a LEADERBOARD_WINDOWS
+ * key). Wallets that opted out are left out and do not take a rank. Wallets
+ * with equal points share a rank. `address` adds that wallet's standing as
+ * `you`. Anyone can pass any address, so for an opted-out wallet `you` only
+ * says so (for its owner to opt back in) and leaves out its points and count.
+ */
+export async function getLeaderboard({
+  network = null, contractAddress = null, eventName = null, window = 'all',
+  limit = 25, offset = 0, address = null, force = false
+} = {}) {
+  if (!(window in LEADERBOARD_WINDOWS)) {
+    throw new Error(`Unknown leaderboard window: ${window}`);
+  }
+
+  const filters = { network, contractAddress: contractAddress?.toLowerCase() || null, eventName: toEventKey(eventName) || null, window };
+  const [{ standings, checkedAt }, optOuts] = await Promise.all([
+    cachedCheck(`leaderboard:${JSON.stringify(filters)}`, () => computeStandings(filters), { ttlMs: LEADERBOARD_TTL_MS, force }),
+    listOptOuts()
+  ]);
+
+  const ranked = [];
+  for (const entry of standings) {
+    if (optOuts.has(entry.address.toLowerCase())) continue;
+    const previous = ranked[ranked.length - 1];
+    const rank = previous && previous.totalPoints === entry.totalPoints ? previous.rank : ranked.length + 1;
+    ranked.push({ rank, ...entry });
+  }
+
+  let you = null;
+  if (address) {
+    const key = address.toLowerCase();
+    const optedOut = optOuts.has(key);
+    const standing = optedOut ? null : standings.find(entry => entry.address.toLowerCase() === key);
+    you = {
+      address: standing?.address || address,
+      rank: optedOut ? null : ranked.find(entry => entry.address.toLowerCase() === key)?.rank ?? null,
+      totalPoints: optedOut ? null : standing?.totalPoints || 0,
+      certificates: optedOut ? null : standing?.certificates || 0,
+      rankedWallets: ranked.length,
+      optedOut
+    };
+  }
+
+  return {
+    entries: ranked.slice(offset, offset + limit),
+    total: ranked.length,
+    you,
+    updatedAt: checkedAt
+  };
+}
@@ -0,0 +1,222 @@
+import sharp from 'sharp';
+import QRCode from 'qrcode';
+
+// Personalised certificate images, rendered on the server before IPFS upload.
+//
+// A template is either a raster background (PNG/JPEG/WebP) or an SVG. Text and
+// the QR code are drawn at the positions in the layout, given as fractions of
+// the image size so one layout fits any resolution. SVG templates may instead
+// contain {{name}}, {{event}}, {{certificateName}}, {{date}}, {{tokenId}},
+// {{verifyUrl}} and {{qr}} (a PNG data URI for an <image href>) placeholders,
+// which are substituted in place.
+
+export const MAX_TEMPLATE_BYTES = 10 * 1024 * 1024;
+
+export const TEMPLATE_PLACEHOLDERS = ['name', 'event', 'certificateName', 'date', 'tokenId', 'verifyUrl', 'qr'];
+
+const TEXT_FIELDS = ['name', 'event', 'certificateName', 'date', 'tokenId'];
+
+export const DEFAULT_LAYOUT = {
+  certificateName: { x: 0.5, y: 0.2, fontSize: 0.05, color: '#1f2937', fontWeight: 'bold' },
+  name: { x: 0.5, y: 0.45, fontSize: 0.07, color: '#111827', fontWeight: 'bold' },
+  event: { x: 0.5, y: 0.56, fontSize: 0.035, color: '#374151' },
+  date: { x: 0.5, y: 0.64, fontSize: 0.025, color: '#6b7280' },
+  tokenId: { x: 0.08, y: 0.92, fontSize: 0.02, color: '#6b7280', align: 'start', prefix: 'Token #' },
+  qr: { x: 0.8, y: 0.72, size: 0.18 }
+};
+
+// Used when a batch has no uploaded template
+const DEFAULT_TEMPLATE_SVG = `<svg xmlns="http://www.w3.org/2000/svg" width="1600" height="1131" viewBox="0 0 1600 1131">
+  <rect width="1600" height="1131" fill="#f8fafc"/>
+  <rect x="40" y="40" width="1520" height="1051" fill="none" stroke="#54D1DC" stroke-width="8"/>
+  <rect x="64" y="64" width="1472" height="1003" fill="none" stroke="#1f2937" stroke-width="2"/>
+  <text x="800" y="330" text-anchor="middle" font-family="sans-serif" font-size="32" fill="#6b7280">This certifies that</text>
+</svg>`;
+
+const ALIGNMENTS = { start: 'start', middle: 'middle', end: 'end', left: 'start', center: 'middle', right: 'end' };
+
+export class TemplateError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'TemplateError';
+    this.status = status;
+  }
+}
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const isFraction = (value) => typeof value === 'number' && value >= 0 && value <= 1;
+
+const isSvg = (template) =>
+  /\.svg$/i.test(template.filename || '') || /^\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*<svg[\s>]/i.test(template.data.subarray(0, 1024).toString('utf8'));
+
+/**
+ * Merge a layout supplied by an admin (object or JSON string) over the
+ * defaults. Set a field to null to leave it off the certificate.
+ */
+export function parseTemplateLayout(input) {
+  if (input === null || input === undefined || input === '') {
+    return DEFAULT_LAYOUT;
+  }
+
+  let layout = input;
+  if (typeof input === 'string') {
+    try {
+      layout = JSON.parse(input);
+    } catch {
+      throw new TemplateError('Template layout must be valid JSON');
+    }
+  }
+  if (typeof layout !== 'object' || Array.isArray(layout)) {
+    throw new TemplateError('Template layout must be an object');
+  }
+
+  const merged = { ...DEFAULT_LAYOUT };
+  for (const [field, settings] of Object.entries(layout)) {
+    if (!(field in DEFAULT_LAYOUT)) {
+      throw new TemplateError(`Unknown template field: ${field}`);
+    }
+    if (settings === null) {
+      merged[field] = null;
+      continue;
+    }
+
+    const value = { ...DEFAULT_LAYOUT[field], ...settings };
+    if (!isFraction(value.x) || !isFraction(value.y)) {
+      throw new TemplateError(`${field}: x and y must be fractions between 0 and 1`);
+    }
+    if (field === 'qr' ? !isFraction(value.size) : !isFraction(value.fontSize)) {
+      throw new TemplateError(`${field}: ${field === 'qr' ? 'size' : 'fontSize'} must be a fraction between 0 and 1`);
+    }
+    if (value.align && !ALIGNMENTS[value.align]) {
+      throw new TemplateError(`${field}: align must be start, middle or end`);
+    }
+    merged[field] = value;
+  }
+  return merged;
+}
+
+function validateTemplate(template) {
+  if (!template?.data?.length) return;
+  if (template.data.length > MAX_TEMPLATE_BYTES) {
+    throw new TemplateError(`Template image must be smaller than ${MAX_TEMPLATE_BYTES / (1024 * 1024)}MB`);
+  }
+}
+
+/**
+ * Read an uploaded template file from a form into { filename, data }, checking
+ * that it is an image we can draw on. Returns null when nothing was uploaded.
+ */
+export async function readTemplateUpload(file) {
+  if (!file || typeof file === 'string' || file.size === 0) return null;
+
+  const template = {
+    filename: file.name || 'certificate-template.png',
+    data: Buffer.from(await file.arrayBuffer())
+  };
+  validateTemplate(template);
+
+  try {
+    const { width, height } = await sharp(template.data).metadata();
+    if (!width || !height) throw new Error('no dimensions');
+  } catch {
+    throw new TemplateError('Template must be a PNG, JPEG, WebP or SVG image');
+  }
+  return template;
+}
+
+function buildTextOverlay(width, height, layout, fields) {
+  const elements = TEXT_FIELDS
+    .filter(field => layout[field] && fields[field])
+    .map((field) => {
+      const settings = layout[field];
+      const fontSize = Math.round(settings.fontSize * height);
+      return `<text x="${Math.round(settings.x * width)}" y="${Math.round(settings.y * height)}"
+        font-family="${escapeXml(settings.fontFamily || 'sans-serif')}" font-size="${fontSize}"
+        font-weight="${escapeXml(settings.fontWeight || 'normal')}" fill="${escapeXml(settings.color || '#111827')}"
+        text-anchor="${ALIGNMENTS[settings.align || 'middle']}" dominant-baseline="middle">${escapeXml((settings.prefix || '') + fields[field])}</text>`;
+    });
+
+  return Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${elements.join('')}</svg>`
+  );
+}
+
+async function renderOverBackground(background, layout, fields) {
+  const image = sharp(background);
+  const { width, height } = await image.metadata();
+  if (!width || !height) {
+    throw new TemplateError('Template image has no readable dimensions');
+  }
+
+  const layers = [{ input: buildTextOverlay(width, height, layout, fields), left: 0, top: 0 }];
+
+  if (layout.qr && fields.verifyUrl) {
+    const size = Math.max(64, Math.round(layout.qr.size * Math.min(width, height)));
+    const qr = await QRCode.toBuffer(fields.verifyUrl, { width: size, margin: 1 });
+    layers.push({
+      input: qr,
+      left: Math.min(Math.max(0, Math.round(layout.qr.x * width)), width - size),
+      top: Math.min(Math.max(0, Math.round(layout.qr.y * height)), height - size)
+    });
+  }
+
+  return image.composite(layers).png().toBuffer();
+}
+
+/**
+ * Render one participant's certificate.
+ *
+ * `template` is the uploaded { filename, data } or null for the built-in
+ * design; `fields` holds the participant's values. Returns the image with
+ * its content type and file extension. `format: 'svg'` is only honoured for
+ * SVG templates with placeholders, which can be output without rasterising.
+ */
+export async function renderCertificate({ template = null, layout = DEFAULT_LAYOUT, fields, format = 'png' }) {
+  validateTemplate(template);
+  const resolvedLayout = parseTemplateLayout(layout);
+
+  try {
+    const background = template?.data?.length ? template : { filename: 'default.svg', data: Buffer.from(DEFAULT_TEMPLATE_SVG) };
+
+    if (isSvg(background)) {
+      const source = background.data.toString('utf8');
+
+      if (source.includes('{{')) {
+        const values = {
+          ...fields,
+          qr: fields.verifyUrl ? await QRCode.toDataURL(fields.verifyUrl, { margin: 1, width: 512 }) : ''
+        };
+        const svg = source.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) =>
+          TEMPLATE_PLACEHOLDERS.includes(key) ? escapeXml(values[key]) : match
+        );
+
+        if (format === 'svg') {
+          return { buffer: Buffer.from(svg), contentType: 'image/svg+xml', extension: 'svg' };
+        }
+        return { buffer: await sharp(Buffer.from(svg)).png().toBuffer(), contentType: 'image/png', extension: 'png' };
+      }
+    }
+
+    const buffer = await renderOverBackground(background.data, resolvedLayout, fields);
+    return { buffer, contentType: 'image/png', extension: 'png' };
+  } catch (error) {
+    if (error instanceof TemplateError) throw error;
+    throw new TemplateError(`Failed to render certificate template: ${error.message}`);
+  }
+}
+
+// Values substituted into a template for one participant
+export const buildTemplateFields = ({ participantName, eventName, certificateName, tokenId, verifyUrl, issueDate = new Date() }) => ({
+  name: participantName,
+  event: eventName,
+  certificateName: certificateName || 'Certificate',
+  date: issueDate.toISOString().split('T')[0],
+  tokenId: tokenId ? String(tokenId) : '',
+  verifyUrl
+});
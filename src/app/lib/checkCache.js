@@ -0,0 +1,32 @@
+// Results of slow external checks (IPFS credentials, RPC endpoints), kept for
+// HEALTH_CHECK_TTL_MS so dashboards polling the health route do not hammer
+// providers. Shared on globalThis by every route bundle.
+const DEFAULT_TTL_MS = Number(process.env.HEALTH_CHECK_TTL_MS || 60000);
+
+const entries = globalThis.__certimosCheckCache || new Map();
+globalThis.__certimosCheckCache = entries;
+
+/**
+ * Run `check` at most once per TTL for `key`. Concurrent callers share the
+ * in-flight promise; `force` skips the cached value.
+ */
+export async function cachedCheck(key, check, { ttlMs = DEFAULT_TTL_MS, force = false } = {}) {
+  const entry = entries.get(key);
+  if (entry && !force && (entry.pending || Date.now() - entry.checkedAt < ttlMs)) {
+    return entry.pending || entry.result;
+  }
+
+  const pending = Promise.resolve()
+    .then(check)
+    .then((result) => {
+      entries.set(key, { result: { ...result, checkedAt: new Date().toISOString() }, checkedAt: Date.now() });
+      return entries.get(key).result;
+    })
+    .catch((error) => {
+      entries.delete(key);
+      throw error;
+    });
+
+  entries.set(key, { ...entry, pending });
+  return pending;
+}
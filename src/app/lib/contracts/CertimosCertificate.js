@@ -0,0 +1,1052 @@
+// Generated by scripts/compile-contract.mjs from contracts/CertimosCertificate.sol.
+// Do not edit by hand; run `npm run compile:contract` after changing the contract.
+
+export const CERTIFICATE_CONTRACT_NAME = "CertimosCertificate";
+
+export const CERTIFICATE_COMPILER = {
+  "solc": "0.8.24+commit.e11b9ed9.Emscripten.clang",
+  "evmVersion": "paris",
+  "optimizerRuns": 200
+};
+
+export const CERTIFICATE_CONTRACT_ABI = [
+  {
+    "inputs": [
+      {
+        "internalType": "string",
+        "name": "name_",
+        "type": "string"
+      },
+      {
+        "internalType": "string",
+        "name": "symbol_",
+        "type": "string"
+      }
+    ],
+    "stateMutability": "nonpayable",
+    "type": "constructor"
+  },
+  {
+    "inputs": [],
+    "name": "AccessControlBadConfirmation",
+    "type": "error"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "account",
+        "type": "address"
+      },
+      {
+        "internalType": "bytes32",
+        "name": "neededRole",
+        "type": "bytes32"
+      }
+    ],
+    "name": "AccessControlUnauthorizedAccount",
+    "type": "error"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "recipients",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "uris",
+        "type": "uint256"
+      }
+    ],
+    "name": "BatchLengthMismatch",
+    "type": "error"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "tokenId",
+        "type": "uint256"
+      }
+    ],
+    "name": "CertificateAlreadyRevoked",
+    "type": "error"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "sender",
+        "type": "address"
+      },
+      {
+        "internalType": "uint256",
+        "name": "tokenId",
+        "type": "uint256"
+      },
+      {
+        "internalType": "address",
+        "name": "owner",
+        "type": "address"
+      }
+    ],
+    "name": "ERC721IncorrectOwner",
+    "type": "error"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "operator",
+        "type": "address"
+      },
+      {
+        "internalType": "uint256",
+        "name": "tokenId",
+        "type": "uint256"
+      }
+    ],
+    "name": "ERC721InsufficientApproval",
+    "type": "error"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "approver",
+        "type": "address"
+      }
+    ],
+    "name": "ERC721InvalidApprover",
+    "type": "error"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "operator",
+        "type": "address"
+      }
+    ],
+    "name": "ERC721InvalidOperator",
+    "type": "error"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "owner",
+        "type": "address"
+      }
+    ],
+    "name": "ERC721InvalidOwner",
+    "type": "error"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "receiver",
+        "type": "address"
+      }
+    ],
+    "name": "ERC721InvalidReceiver",
+    "type": "error"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "sender",
+        "type": "address"
+      }
+    ],
+    "name": "ERC721InvalidSender",
+    "type": "error"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "tokenId",
+        "type": "uint256"
+      }
+    ],
+    "name": "ERC721NonexistentToken",
+    "type": "error"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "owner",
+        "type": "address"
+      }
+    ],
+    "name": "OwnableInvalidOwner",
+    "type": "error"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "account",
+        "type": "address"
+      }
+    ],
+    "name": "OwnableUnauthorizedAccount",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "TransfersLocked",
+    "type": "error"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "owner",
+        "type": "address"
+      },
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "approved",
+        "type": "address"
+      },
+      {
+        "indexed": true,
+        "internalType": "uint256",
+        "name": "tokenId",
+        "type": "uint256"
+      }
+    ],
+    "name": "Approval",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "owner",
+        "type": "address"
+      },
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "operator",
+        "type": "address"
+      },
+      {
+        "indexed": false,
+        "internalType": "bool",
+        "name": "approved",
+        "type": "bool"
+      }
+    ],
+    "name": "ApprovalForAll",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "_fromTokenId",
+        "type": "uint256"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "_toTokenId",
+        "type": "uint256"
+      }
+    ],
+    "name": "BatchMetadataUpdate",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "to",
+        "type": "address"
+      },
+      {
+        "indexed": true,
+        "internalType": "uint256",
+        "name": "tokenId",
+        "type": "uint256"
+      },
+      {
+        "indexed": false,
+        "internalType": "string",
+        "name": "tokenURI",
+        "type": "string"
+      }
+    ],
+    "name": "CertificateMinted",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "uint256",
+        "name": "tokenId",
+        "type": "uint256"
+      },
+      {
+        "indexed": false,
+        "internalType": "string",
+        "name": "reason",
+        "type": "string"
+      }
+    ],
+    "name": "CertificateRevoked",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "_tokenId",
+        "type": "uint256"
+      }
+    ],
+    "name": "MetadataUpdate",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "previousOwner",
+        "type": "address"
+      },
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "newOwner",
+        "type": "address"
+      }
+    ],
+    "name": "OwnershipTransferred",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "bytes32",
+        "name": "role",
+        "type": "bytes32"
+      },
+      {
+        "indexed": true,
+        "internalType": "bytes32",
+        "name": "previousAdminRole",
+        "type": "bytes32"
+      },
+      {
+        "indexed": true,
+        "internalType": "bytes32",
+        "name": "newAdminRole",
+        "type": "bytes32"
+      }
+    ],
+    "name": "RoleAdminChanged",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "bytes32",
+        "name": "role",
+        "type": "bytes32"
+      },
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "account",
+        "type": "address"
+      },
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "sender",
+        "type": "address"
+      }
+    ],
+    "name": "RoleGranted",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "bytes32",
+        "name": "role",
+        "type": "bytes32"
+      },
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "account",
+        "type": "address"
+      },
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "sender",
+        "type": "address"
+      }
+    ],
+    "name": "RoleRevoked",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "from",
+        "type": "address"
+      },
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "to",
+        "type": "address"
+      },
+      {
+        "indexed": true,
+        "internalType": "uint256",
+        "name": "tokenId",
+        "type": "uint256"
+      }
+    ],
+    "name": "Transfer",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": false,
+        "internalType": "bool",
+        "name": "locked",
+        "type": "bool"
+      }
+    ],
+    "name": "TransferLockUpdated",
+    "type": "event"
+  },
+  {
+    "inputs": [],
+    "name": "DEFAULT_ADMIN_ROLE",
+    "outputs": [
+      {
+        "internalType": "bytes32",
+        "name": "",
+        "type": "bytes32"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "MINTER_ROLE",
+    "outputs": [
+      {
+        "internalType": "bytes32",
+        "name": "",
+        "type": "bytes32"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "to",
+        "type": "address"
+      },
+      {
+        "internalType": "uint256",
+        "name": "tokenId",
+        "type": "uint256"
+      }
+    ],
+    "name": "approve",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "owner",
+        "type": "address"
+      }
+    ],
+    "name": "balanceOf",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "tokenId",
+        "type": "uint256"
+      }
+    ],
+    "name": "getApproved",
+    "outputs": [
+      {
+        "internalType": "address",
+        "name": "",
+        "type": "address"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "bytes32",
+        "name": "role",
+        "type": "bytes32"
+      }
+    ],
+    "name": "getRoleAdmin",
+    "outputs": [
+      {
+        "internalType": "bytes32",
+        "name": "",
+        "type": "bytes32"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "bytes32",
+        "name": "role",
+        "type": "bytes32"
+      },
+      {
+        "internalType": "address",
+        "name": "account",
+        "type": "address"
+      }
+    ],
+    "name": "grantRole",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "bytes32",
+        "name": "role",
+        "type": "bytes32"
+      },
+      {
+        "internalType": "address",
+        "name": "account",
+        "type": "address"
+      }
+    ],
+    "name": "hasRole",
+    "outputs": [
+      {
+        "internalType": "bool",
+        "name": "",
+        "type": "bool"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "owner",
+        "type": "address"
+      },
+      {
+        "internalType": "address",
+        "name": "operator",
+        "type": "address"
+      }
+    ],
+    "name": "isApprovedForAll",
+    "outputs": [
+      {
+        "internalType": "bool",
+        "name": "",
+        "type": "bool"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "tokenId",
+        "type": "uint256"
+      }
+    ],
+    "name": "isRevoked",
+    "outputs": [
+      {
+        "internalType": "bool",
+        "name": "",
+        "type": "bool"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address[]",
+        "name": "recipients",
+        "type": "address[]"
+      },
+      {
+        "internalType": "string[]",
+        "name": "uris",
+        "type": "string[]"
+      }
+    ],
+    "name": "mintBatch",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "firstTokenId",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "to",
+        "type": "address"
+      },
+      {
+        "internalType": "string",
+        "name": "uri",
+        "type": "string"
+      }
+    ],
+    "name": "mintCertificate",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "name",
+    "outputs": [
+      {
+        "internalType": "string",
+        "name": "",
+        "type": "string"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "owner",
+    "outputs": [
+      {
+        "internalType": "address",
+        "name": "",
+        "type": "address"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "tokenId",
+        "type": "uint256"
+      }
+    ],
+    "name": "ownerOf",
+    "outputs": [
+      {
+        "internalType": "address",
+        "name": "",
+        "type": "address"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "renounceOwnership",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "bytes32",
+        "name": "role",
+        "type": "bytes32"
+      },
+      {
+        "internalType": "address",
+        "name": "callerConfirmation",
+        "type": "address"
+      }
+    ],
+    "name": "renounceRole",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "tokenId",
+        "type": "uint256"
+      }
+    ],
+    "name": "revocationReason",
+    "outputs": [
+      {
+        "internalType": "string",
+        "name": "",
+        "type": "string"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "tokenId",
+        "type": "uint256"
+      },
+      {
+        "internalType": "string",
+        "name": "reason",
+        "type": "string"
+      }
+    ],
+    "name": "revoke",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "bytes32",
+        "name": "role",
+        "type": "bytes32"
+      },
+      {
+        "internalType": "address",
+        "name": "account",
+        "type": "address"
+      }
+    ],
+    "name": "revokeRole",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "from",
+        "type": "address"
+      },
+      {
+        "internalType": "address",
+        "name": "to",
+        "type": "address"
+      },
+      {
+        "internalType": "uint256",
+        "name": "tokenId",
+        "type": "uint256"
+      }
+    ],
+    "name": "safeTransferFrom",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "from",
+        "type": "address"
+      },
+      {
+        "internalType": "address",
+        "name": "to",
+        "type": "address"
+      },
+      {
+        "internalType": "uint256",
+        "name": "tokenId",
+        "type": "uint256"
+      },
+      {
+        "internalType": "bytes",
+        "name": "data",
+        "type": "bytes"
+      }
+    ],
+    "name": "safeTransferFrom",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "operator",
+        "type": "address"
+      },
+      {
+        "internalType": "bool",
+        "name": "approved",
+        "type": "bool"
+      }
+    ],
+    "name": "setApprovalForAll",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "tokenId",
+        "type": "uint256"
+      },
+      {
+        "internalType": "string",
+        "name": "uri",
+        "type": "string"
+      }
+    ],
+    "name": "setTokenURI",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "bool",
+        "name": "locked",
+        "type": "bool"
+      }
+    ],
+    "name": "setTransfersLocked",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "bytes4",
+        "name": "interfaceId",
+        "type": "bytes4"
+      }
+    ],
+    "name": "supportsInterface",
+    "outputs": [
+      {
+        "internalType": "bool",
+        "name": "",
+        "type": "bool"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "symbol",
+    "outputs": [
+      {
+        "internalType": "string",
+        "name": "",
+        "type": "string"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "tokenIdCounter",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "tokenId",
+        "type": "uint256"
+      }
+    ],
+    "name": "tokenURI",
+    "outputs": [
+      {
+        "internalType": "string",
+        "name": "",
+        "type": "string"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "totalMinted",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "from",
+        "type": "address"
+      },
+      {
+        "internalType": "address",
+        "name": "to",
+        "type": "address"
+      },
+      {
+        "internalType": "uint256",
+        "name": "tokenId",
+        "type": "uint256"
+      }
+    ],
+    "name": "transferFrom",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "newOwner",
+        "type": "address"
+      }
+    ],
+    "name": "transferOwnership",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "transfersLocked",
+    "outputs": [
+      {
+        "internalType": "bool",
+        "name": "",
+        "type": "bool"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  }
+];
+
+export const CERTIFICATE_CONTRACT_BYTECODE = "0x608060405260016009819055600a805460ff191690911790553480156200002557600080fd5b5060405162002480380380620024808339810160408190526200004891620002b6565b3382826000620000598382620003b1565b506001620000688282620003b1565b5050506001600160a01b0381166200009a57604051631e4fbdf760e01b81526000600482015260240160405180910390fd5b620000a581620000e9565b50620000b36000336200013b565b50620000e07f9f2df0fed2c77648de5860a4cc508cd0818c85b8b8a1ab4ceeef8d981c8956a6336200013b565b5050506200047d565b600880546001600160a01b038381166001600160a01b0319831681179093556040519116919082907f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e090600090a35050565b60008281526007602090815260408083206001600160a01b038516845290915281205460ff16620001e45760008381526007602090815260408083206001600160a01b03861684529091529020805460ff191660011790556200019b3390565b6001600160a01b0316826001600160a01b0316847f2f8788117e7eff1d82e926ec794901d17c78024a50270940304540a733656f0d60405160405180910390a4506001620001e8565b5060005b92915050565b634e487b7160e01b600052604160045260246000fd5b600082601f8301126200021657600080fd5b81516001600160401b0380821115620002335762000233620001ee565b604051601f8301601f19908116603f011681019082821181831017156200025e576200025e620001ee565b81604052838152602092508660208588010111156200027c57600080fd5b600091505b83821015620002a0578582018301518183018401529082019062000281565b6000602085830101528094505050505092915050565b60008060408385031215620002ca57600080fd5b82516001600160401b0380821115620002e257600080fd5b620002f08683870162000204565b935060208501519150808211156200030757600080fd5b50620003168582860162000204565b9150509250929050565b600181811c908216806200033557607f821691505b6020821081036200035657634e487b7160e01b600052602260045260246000fd5b50919050565b601f821115620003ac576000816000526020600020601f850160051c81016020861015620003875750805b601f850160051c820191505b81811015620003a85782815560010162000393565b5050505b505050565b81516001600160401b03811115620003cd57620003cd620001ee565b620003e581620003de845462000320565b846200035c565b602080601f8311600181146200041d5760008415620004045750858301515b600019600386901b1c1916600185901b178555620003a8565b600085815260208120601f198616915b828110156200044e578886015182559484019460019091019084016200042d565b50858210156200046d5787850151600019600388901b60f8161c191681555b5050505050600190811b01905550565b611ff3806200048d6000396000f3fe608060405234801561001057600080fd5b50600436106101fb5760003560e01c806383f1211b1161011a578063a22cb465116100ad578063d53913931161007c578063d539139314610434578063d547741f14610449578063e985e9c51461045c578063eb929ad51461046f578063f2fde38b1461048257600080fd5b8063a22cb465146103f3578063a2309ff814610406578063b88d4fde1461040e578063c87b56dd1461042157600080fd5b806395d89b41116100e957806395d89b41146103c857806398bdf6f5146103d05780639da76969146103d8578063a217fddf146103eb57600080fd5b806383f1211b146103845780638da5cb5b1461039157806391d14854146103a2578063924cff6d146103b557600080fd5b8063248a9ca3116101925780635ccc561e116101615780635ccc561e146103335780636352211e1461035657806370a0823114610369578063715018a61461037c57600080fd5b8063248a9ca3146102d75780632f2ff15d146102fa57806336568abe1461030d57806342842e0e1461032057600080fd5b8063095ea7b3116101ce578063095ea7b3146102895780630eda3c551461029e578063162094c4146102b157806323b872dd146102c457600080fd5b806301ffc9a71461020057806306fdde03146102285780630712249f1461023d578063081812fc1461025e575b600080fd5b61021361020e3660046117e9565b610495565b60405190151581526020015b60405180910390f35b6102306104a6565b60405161021f9190611856565b61025061024b3660046118ce565b610538565b60405190815260200161021f565b61027161026c366004611921565b610600565b6040516001600160a01b03909116815260200161021f565b61029c61029736600461193a565b610629565b005b61029c6102ac366004611974565b610638565b61029c6102bf36600461198f565b610687565b61029c6102d23660046119c2565b6106ef565b6102506102e5366004611921565b60009081526007602052604090206001015490565b61029c6103083660046119fe565b610779565b61029c61031b3660046119fe565b61079e565b61029c61032e3660046119c2565b6107d6565b610213610341366004611921565b6000908152600b602052604090205460ff1690565b610271610364366004611921565b6107f1565b610250610377366004611a2a565b6107fc565b61029c610844565b600a546102139060ff1681565b6008546001600160a01b0316610271565b6102136103b03660046119fe565b610858565b6102506103c3366004611a8a565b610883565b610230610a1f565b600954610250565b6102306103e6366004611921565b610a2e565b610250600081565b61029c610401366004611af6565b610ad0565b610250610adb565b61029c61041c366004611b36565b610af1565b61023061042f366004611921565b610b08565b610250600080516020611f9e83398151915281565b61029c6104573660046119fe565b610c19565b61021361046a366004611c12565b610c3e565b61029c61047d36600461198f565b610c6c565b61029c610490366004611a2a565b610d23565b60006104a082610d61565b92915050565b6060600080546104b590611c3c565b80601f01602080910402602001604051908101604052809291908181526020018280546104e190611c3c565b801561052e5780601f106105035761010080835404028352916020019161052e565b820191906000526020600020905b81548152906001019060200180831161051157829003601f168201915b5050505050905090565b6000600080516020611f9e83398151915261055281610d86565b600980546000918261056383611c8c565b9190505590506105738682610d90565b6105b38186868080601f016020809104026020016040519081016040528093929190818152602001838380828437600092019190915250610daa92505050565b80866001600160a01b03167fde5d6fd45e32fffb472bcbaeedf6a2e3944633c9701eec7d99adfa07ad6104c187876040516105ef929190611ca5565b60405180910390a395945050505050565b600061060b82610dfa565b506000828152600460205260409020546001600160a01b03166104a0565b610634828233610e33565b5050565b610640610e40565b600a805460ff19168215159081179091556040519081527fe283de4922ea2344d1d1bc86307cd12000476529895ad843b194478831e029e99060200160405180910390a150565b600080516020611f9e83398151915261069f81610d86565b6106a884610dfa565b506106e98484848080601f016020809104026020016040519081016040528093929190818152602001838380828437600092019190915250610daa92505050565b50505050565b6001600160a01b03821661071e57604051633250574960e11b8152600060048201526024015b60405180910390fd5b600061072b838333610e6d565b9050836001600160a01b0316816001600160a01b0316146106e9576040516364283d7b60e01b81526001600160a01b0380861660048301526024820184905282166044820152606401610715565b60008281526007602052604090206001015461079481610d86565b6106e98383610ee8565b6001600160a01b03811633146107c75760405163334bd91960e11b815260040160405180910390fd5b6107d18282610f7c565b505050565b6107d183838360405180602001604052806000815250610af1565b60006104a082610dfa565b60006001600160a01b038216610828576040516322718ad960e21b815260006004820152602401610715565b506001600160a01b031660009081526003602052604090205490565b61084c610e40565b6108566000610fe9565b565b60009182526007602090815260408084206001600160a01b0393909316845291905290205460ff1690565b6000600080516020611f9e83398151915261089d81610d86565b8483146108c7576040516381b5b20760e01b81526004810186905260248101849052604401610715565b600954915060005b85811015610a155760098054600091826108e883611c8c565b91905055905061091e88888481811061090357610903611cd4565b90506020020160208101906109189190611a2a565b82610d90565b6109808187878581811061093457610934611cd4565b90506020028101906109469190611cea565b8080601f016020809104026020016040519081016040528093929190818152602001838380828437600092019190915250610daa92505050565b8088888481811061099357610993611cd4565b90506020020160208101906109a89190611a2a565b6001600160a01b03167fde5d6fd45e32fffb472bcbaeedf6a2e3944633c9701eec7d99adfa07ad6104c18888868181106109e4576109e4611cd4565b90506020028101906109f69190611cea565b604051610a04929190611ca5565b60405180910390a3506001016108cf565b5050949350505050565b6060600180546104b590611c3c565b6000818152600c60205260409020805460609190610a4b90611c3c565b80601f0160208091040260200160405190810160405280929190818152602001828054610a7790611c3c565b8015610ac45780601f10610a9957610100808354040283529160200191610ac4565b820191906000526020600020905b815481529060010190602001808311610aa757829003601f168201915b50505050509050919050565b61063433838361103b565b60006001600954610aec9190611d31565b905090565b610afc8484846106ef565b6106e9848484846110da565b6060610b1382610dfa565b5060008281526006602052604081208054610b2d90611c3c565b80601f0160208091040260200160405190810160405280929190818152602001828054610b5990611c3c565b8015610ba65780601f10610b7b57610100808354040283529160200191610ba6565b820191906000526020600020905b815481529060010190602001808311610b8957829003601f168201915b505050505090506000610bc460408051602081019091526000815290565b90508051600003610bd6575092915050565b815115610c08578082604051602001610bf0929190611d44565b60405160208183030381529060405292505050919050565b610c1184611203565b949350505050565b600082815260076020526040902060010154610c3481610d86565b6106e98383610f7c565b6001600160a01b03918216600090815260056020908152604080832093909416825291909152205460ff1690565b6000610c7781610d86565b610c8084610dfa565b506000848152600b602052604090205460ff1615610cb45760405163e309256560e01b815260048101859052602401610715565b6000848152600b60209081526040808320805460ff19166001179055600c9091529020610ce2838583611dc3565b50837f65032d3cc955c731f4c2a4178f663dbcc6c08e5163bad5a3149773f3894548d38484604051610d15929190611ca5565b60405180910390a250505050565b610d2b610e40565b6001600160a01b038116610d5557604051631e4fbdf760e01b815260006004820152602401610715565b610d5e81610fe9565b50565b60006001600160e01b03198216637965db0b60e01b14806104a057506104a082611278565b610d5e813361129d565b6106348282604051806020016040528060008152506112d6565b6000828152600660205260409020610dc28282611e83565b506040518281527ff8e1a15aba9398e019f0b49df1a4fde98ee17ae345cb5f6b5e2c27f5033e8ce79060200160405180910390a15050565b6000818152600260205260408120546001600160a01b0316806104a057604051637e27328960e01b815260048101849052602401610715565b6107d183838360016112ed565b6008546001600160a01b031633146108565760405163118cdaa760e01b8152336004820152602401610715565b600082815260026020526040812054600a546001600160a01b039091169060ff168015610ea257506001600160a01b03811615155b8015610eb657506001600160a01b03851615155b15610ed4576040516336e278fd60e21b815260040160405180910390fd5b610edf8585856113f3565b95945050505050565b6000610ef48383610858565b610f745760008381526007602090815260408083206001600160a01b03861684529091529020805460ff19166001179055610f2c3390565b6001600160a01b0316826001600160a01b0316847f2f8788117e7eff1d82e926ec794901d17c78024a50270940304540a733656f0d60405160405180910390a45060016104a0565b5060006104a0565b6000610f888383610858565b15610f745760008381526007602090815260408083206001600160a01b0386168085529252808320805460ff1916905551339286917ff6391f5c32d9c69d2a47ea670b442974b53935d1edc7fd64eb21e047a839171b9190a45060016104a0565b600880546001600160a01b038381166001600160a01b0319831681179093556040519116919082907f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e090600090a35050565b6001600160a01b03821661106d57604051630b61174360e31b81526001600160a01b0383166004820152602401610715565b6001600160a01b03838116600081815260056020908152604080832094871680845294825291829020805460ff191686151590811790915591519182527f17307eab39ab6107e8899845ad3d59bd9653f200f220920489ca2b5937696c31910160405180910390a3505050565b6001600160a01b0383163b156106e957604051630a85bd0160e11b81526001600160a01b0384169063150b7a029061111c903390889087908790600401611f43565b6020604051808303816000875af1925050508015611157575060408051601f3d908101601f1916820190925261115491810190611f80565b60015b6111c0573d808015611185576040519150601f19603f3d011682016040523d82523d6000602084013e61118a565b606091505b5080516000036111b857604051633250574960e11b81526001600160a01b0385166004820152602401610715565b805181602001fd5b6001600160e01b03198116630a85bd0160e11b146111fc57604051633250574960e11b81526001600160a01b0385166004820152602401610715565b5050505050565b606061120e82610dfa565b50600061122660408051602081019091526000815290565b905060008151116112465760405180602001604052806000815250611271565b80611250846114ec565b604051602001611261929190611d44565b6040516020818303038152906040525b9392505050565b60006001600160e01b03198216632483248360e11b14806104a057506104a08261157f565b6112a78282610858565b6106345760405163e2517d3f60e01b81526001600160a01b038216600482015260248101839052604401610715565b6112e083836115cf565b6107d160008484846110da565b808061130157506001600160a01b03821615155b156113c357600061131184610dfa565b90506001600160a01b0383161580159061133d5750826001600160a01b0316816001600160a01b031614155b8015611350575061134e8184610c3e565b155b156113795760405163a9fbf51f60e01b81526001600160a01b0384166004820152602401610715565b81156113c15783856001600160a01b0316826001600160a01b03167f8c5be1e5ebec7d5bd14f71427d1e84f3dd0314c0f7b2291e5b200ac8c7c3b92560405160405180910390a45b505b5050600090815260046020526040902080546001600160a01b0319166001600160a01b0392909216919091179055565b6000828152600260205260408120546001600160a01b039081169083161561142057611420818486611634565b6001600160a01b0381161561145e5761143d6000856000806112ed565b6001600160a01b038116600090815260036020526040902080546000190190555b6001600160a01b0385161561148d576001600160a01b0385166000908152600360205260409020805460010190555b60008481526002602052604080822080546001600160a01b0319166001600160a01b0389811691821790925591518793918516917fddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef91a4949350505050565b606060006114f983611698565b600101905060008167ffffffffffffffff81111561151957611519611b20565b6040519080825280601f01601f191660200182016040528015611543576020820181803683370190505b5090508181016020015b600019016f181899199a1a9b1b9c1cb0b131b232b360811b600a86061a8153600a850494508461154d57509392505050565b60006001600160e01b031982166380ac58cd60e01b14806115b057506001600160e01b03198216635b5e139f60e01b145b806104a057506301ffc9a760e01b6001600160e01b03198316146104a0565b6001600160a01b0382166115f957604051633250574960e11b815260006004820152602401610715565b600061160783836000610e6d565b90506001600160a01b038116156107d1576040516339e3563760e11b815260006004820152602401610715565b61163f838383611770565b6107d1576001600160a01b03831661166d57604051637e27328960e01b815260048101829052602401610715565b60405163177e802f60e01b81526001600160a01b038316600482015260248101829052604401610715565b60008072184f03e93ff9f4daa797ed6e38ed64bf6a1f0160401b83106116d75772184f03e93ff9f4daa797ed6e38ed64bf6a1f0160401b830492506040015b6d04ee2d6d415b85acef81000000008310611703576d04ee2d6d415b85acef8100000000830492506020015b662386f26fc10000831061172157662386f26fc10000830492506010015b6305f5e1008310611739576305f5e100830492506008015b612710831061174d57612710830492506004015b6064831061175f576064830492506002015b600a83106104a05760010192915050565b60006001600160a01b03831615801590610c115750826001600160a01b0316846001600160a01b031614806117aa57506117aa8484610c3e565b80610c115750506000908152600460205260409020546001600160a01b03908116911614919050565b6001600160e01b031981168114610d5e57600080fd5b6000602082840312156117fb57600080fd5b8135611271816117d3565b60005b83811015611821578181015183820152602001611809565b50506000910152565b60008151808452611842816020860160208601611806565b601f01601f19169290920160200192915050565b602081526000611271602083018461182a565b80356001600160a01b038116811461188057600080fd5b919050565b60008083601f84011261189757600080fd5b50813567ffffffffffffffff8111156118af57600080fd5b6020830191508360208285010111156118c757600080fd5b9250929050565b6000806000604084860312156118e357600080fd5b6118ec84611869565b9250602084013567ffffffffffffffff81111561190857600080fd5b61191486828701611885565b9497909650939450505050565b60006020828403121561193357600080fd5b5035919050565b6000806040838503121561194d57600080fd5b61195683611869565b946020939093013593505050565b8035801515811461188057600080fd5b60006020828403121561198657600080fd5b61127182611964565b6000806000604084860312156119a457600080fd5b83359250602084013567ffffffffffffffff81111561190857600080fd5b6000806000606084860312156119d757600080fd5b6119e084611869565b92506119ee60208501611869565b9150604084013590509250925092565b60008060408385031215611a1157600080fd5b82359150611a2160208401611869565b90509250929050565b600060208284031215611a3c57600080fd5b61127182611869565b60008083601f840112611a5757600080fd5b50813567ffffffffffffffff811115611a6f57600080fd5b6020830191508360208260051b85010111156118c757600080fd5b60008060008060408587031215611aa057600080fd5b843567ffffffffffffffff80821115611ab857600080fd5b611ac488838901611a45565b90965094506020870135915080821115611add57600080fd5b50611aea87828801611a45565b95989497509550505050565b60008060408385031215611b0957600080fd5b611b1283611869565b9150611a2160208401611964565b634e487b7160e01b600052604160045260246000fd5b60008060008060808587031215611b4c57600080fd5b611b5585611869565b9350611b6360208601611869565b925060408501359150606085013567ffffffffffffffff80821115611b8757600080fd5b818701915087601f830112611b9b57600080fd5b813581811115611bad57611bad611b20565b604051601f8201601f19908116603f01168101908382118183101715611bd557611bd5611b20565b816040528281528a6020848701011115611bee57600080fd5b82602086016020830137600060208483010152809550505050505092959194509250565b60008060408385031215611c2557600080fd5b611c2e83611869565b9150611a2160208401611869565b600181811c90821680611c5057607f821691505b602082108103611c7057634e487b7160e01b600052602260045260246000fd5b50919050565b634e487b7160e01b600052601160045260246000fd5b600060018201611c9e57611c9e611c76565b5060010190565b60208152816020820152818360408301376000818301604090810191909152601f909201601f19160101919050565b634e487b7160e01b600052603260045260246000fd5b6000808335601e19843603018112611d0157600080fd5b83018035915067ffffffffffffffff821115611d1c57600080fd5b6020019150368190038213156118c757600080fd5b818103818111156104a0576104a0611c76565b60008351611d56818460208801611806565b835190830190611d6a818360208801611806565b01949350505050565b601f8211156107d1576000816000526020600020601f850160051c81016020861015611d9c5750805b601f850160051c820191505b81811015611dbb57828155600101611da8565b505050505050565b67ffffffffffffffff831115611ddb57611ddb611b20565b611def83611de98354611c3c565b83611d73565b6000601f841160018114611e235760008515611e0b5750838201355b600019600387901b1c1916600186901b1783556111fc565b600083815260209020601f19861690835b82811015611e545786850135825560209485019460019092019101611e34565b5086821015611e715760001960f88860031b161c19848701351681555b505060018560011b0183555050505050565b815167ffffffffffffffff811115611e9d57611e9d611b20565b611eb181611eab8454611c3c565b84611d73565b602080601f831160018114611ee65760008415611ece5750858301515b600019600386901b1c1916600185901b178555611dbb565b600085815260208120601f198616915b82811015611f1557888601518255948401946001909101908401611ef6565b5085821015611f335787850151600019600388901b60f8161c191681555b5050505050600190811b01905550565b6001600160a01b0385811682528416602082015260408101839052608060608201819052600090611f769083018461182a565b9695505050505050565b600060208284031215611f9257600080fd5b8151611271816117d356fe9f2df0fed2c77648de5860a4cc508cd0818c85b8b8a1ab4ceeef8d981c8956a6a26469706673582212200ef48cd67419c85450ee3d0d7d3ec2adeabc3ab9f504432af21f8b692f86911f64736f6c63430008180033";
@@ -0,0 +1,63 @@
+import path from 'path';
+import { runMigrations } from './migrations.js';
+
+// One connection (or pool) per process, shared across route bundles
+const state = globalThis.__certimosDb || { connecting: null };
+globalThis.__certimosDb = state;
+
+/**
+ * Resolve the configured backend. DATABASE_URL selects Postgres when it is a
+ * postgres:// URL and SQLite when it is sqlite:<path>; without it the app
+ * keeps a SQLite file at data/certimos.db.
+ */
+function resolveConfig() {
+  const url = process.env.DATABASE_URL;
+  if (url && /^postgres(ql)?:\/\//.test(url)) {
+    return { dialect: 'postgres', url };
+  }
+
+  const file = url?.startsWith('sqlite:')
+    ? url.slice('sqlite:'.length)
+    : path.join(process.cwd(), 'data', 'certimos.db');
+  return { dialect: 'sqlite', file: file === ':memory:' ? file : path.resolve(file) };
+}
+
+async function connect() {
+  const config = resolveConfig();
+
+  let db;
+  if (config.dialect === 'postgres') {
+    // Imported lazily so SQLite installs never load the pg driver (and vice versa)
+    const { PostgresDatabase } = await import('./postgres.js');
+    db = new PostgresDatabase(config.url);
+  } else {
+    const { SqliteDatabase } = await import('./sqlite.js');
+    db = new SqliteDatabase(config.file);
+  }
+
+  await runMigrations(db);
+  return db;
+}
+
+// Connected, migrated database handle
+export function getDb() {
+  if (!state.connecting) {
+    state.connecting = connect().catch((error) => {
+      state.connecting = null;
+      throw error;
+    });
+  }
+  return state.connecting;
+}
+
+// JSON columns are stored as TEXT so the schema stays portable
+export const toJson = (value) => (value === null || value === undefined ? null : JSON.stringify(value));
+
+export const fromJson = (value) => {
+  if (value === null || value === undefined) return null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+};
@@ -0,0 +1,307 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { DEFAULT_NETWORK, DEFAULT_CONTRACT_ADDRESS } from '../networks.js';
+
+// Ordered schema changes. Each runs once, inside a transaction, and is recorded
+// in schema_migrations. Never edit a migration that has shipped; add a new one.
+// Keep the SQL portable between SQLite and Postgres (TEXT timestamps, JSON as TEXT).
+export const MIGRATIONS = [
+  {
+    id: '001_initial_schema',
+    up: async (db) => {
+      await db.exec(`
+        CREATE TABLE contracts (
+          id TEXT PRIMARY KEY,
+          contract_address TEXT NOT NULL,
+          network TEXT NOT NULL,
+          contract_name TEXT NOT NULL,
+          contract_symbol TEXT NOT NULL DEFAULT 'CERT',
+          deployer TEXT,
+          owner TEXT,
+          transaction_hash TEXT,
+          block_number INTEGER,
+          gas_used TEXT,
+          deployed_at TEXT NOT NULL,
+          created_at TEXT NOT NULL,
+          UNIQUE (network, contract_address)
+        );
+
+        CREATE TABLE batches (
+          id TEXT PRIMARY KEY,
+          type TEXT NOT NULL,
+          status TEXT NOT NULL,
+          network TEXT NOT NULL,
+          contract_address TEXT NOT NULL,
+          params TEXT NOT NULL,
+          template_filename TEXT,
+          template_data ${db.types.blob},
+          error TEXT,
+          created_by TEXT,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL,
+          started_at TEXT,
+          finished_at TEXT
+        );
+        CREATE INDEX idx_batches_status ON batches (status, created_at);
+
+        CREATE TABLE certificates (
+          id TEXT PRIMARY KEY,
+          batch_id TEXT REFERENCES batches (id) ON DELETE CASCADE,
+          row_index INTEGER,
+          network TEXT NOT NULL,
+          contract_address TEXT NOT NULL,
+          event_key TEXT NOT NULL,
+          participant TEXT NOT NULL,
+          wallet_address TEXT NOT NULL,
+          status TEXT NOT NULL,
+          token_id TEXT,
+          token_uri TEXT,
+          transaction_hash TEXT,
+          block_number INTEGER,
+          gas_used TEXT,
+          explorer_url TEXT,
+          ipfs TEXT,
+          duplicate_of TEXT,
+          error TEXT,
+          failed_stage TEXT,
+          retries INTEGER NOT NULL DEFAULT 0,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL,
+          UNIQUE (batch_id, row_index)
+        );
+        CREATE INDEX idx_certificates_recipient
+          ON certificates (network, contract_address, event_key, wallet_address);
+        CREATE INDEX idx_certificates_wallet ON certificates (wallet_address);
+
+        CREATE TABLE audit_events (
+          id TEXT PRIMARY KEY,
+          type TEXT NOT NULL,
+          actor TEXT,
+          subject_type TEXT,
+          subject_id TEXT,
+          data TEXT,
+          created_at TEXT NOT NULL
+        );
+        CREATE INDEX idx_audit_events_subject ON audit_events (subject_type, subject_id, created_at);
+      `);
+    }
+  },
+  {
+    // Carry over deployments recorded by the old JSON-file store
+    id: '002_import_deployments_json',
+    up: async (db) => {
+      const legacyPath = path.join(process.cwd(), 'data', 'deployments.json');
+      if (!fs.existsSync(legacyPath)) return;
+
+      let deployments;
+      try {
+        deployments = JSON.parse(fs.readFileSync(legacyPath, 'utf8'));
+      } catch (error) {
+        console.error('Skipping unreadable data/deployments.json:', error);
+        return;
+      }
+
+      for (const deployment of Array.isArray(deployments) ? deployments : []) {
+        if (!deployment.contractAddress || !deployment.network) continue;
+
+        const createdAt = deployment.createdAt || deployment.deployedAt || new Date().toISOString();
+        await db.run(
+          `INSERT INTO contracts (id, contract_address, network, contract_name, contract_symbol,
+             deployer, owner, transaction_hash, block_number, deployed_at, created_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+           ON CONFLICT (network, contract_address) DO NOTHING`,
+          [
+            crypto.randomUUID(),
+            deployment.contractAddress.toLowerCase(),
+            deployment.network,
+            deployment.contractName || 'Unnamed Contract',
+            deployment.contractSymbol || 'CERT',
+            deployment.deployer || deployment.deployerAddress || null,
+            deployment.owner || deployment.deployer || deployment.deployerAddress || null,
+            deployment.transactionHash || null,
+            deployment.blockNumber || null,
+            deployment.deployedAt || createdAt,
+            createdAt
+          ]
+        );
+      }
+    }
+  },
+  {
+    // On-chain certificate index built from Transfer events of registered contracts
+    id: '003_token_index',
+    up: async (db) => {
+      await db.exec(`
+        CREATE TABLE tokens (
+          network TEXT NOT NULL,
+          contract_address TEXT NOT NULL,
+          token_id TEXT NOT NULL,
+          owner TEXT NOT NULL,
+          token_uri TEXT,
+          metadata TEXT,
+          metadata_fetched_at TEXT,
+          minted_block INTEGER,
+          minted_transaction_hash TEXT,
+          minted_at TEXT,
+          updated_at TEXT NOT NULL,
+          PRIMARY KEY (network, contract_address, token_id)
+        );
+        CREATE INDEX idx_tokens_owner ON tokens (owner);
+
+        ALTER TABLE contracts ADD COLUMN indexed_block INTEGER;
+      `);
+    }
+  },
+  {
+    // Withdrawn certificates, whether revoked on-chain or only recorded here
+    id: '004_revocations',
+    up: async (db) => {
+      await db.exec(`
+        CREATE TABLE revocations (
+          network TEXT NOT NULL,
+          contract_address TEXT NOT NULL,
+          token_id TEXT NOT NULL,
+          reason TEXT,
+          on_chain INTEGER NOT NULL DEFAULT 0,
+          transaction_hash TEXT,
+          revoked_by TEXT,
+          revoked_at TEXT NOT NULL,
+          PRIMARY KEY (network, contract_address, token_id)
+        );
+        CREATE INDEX idx_revocations_revoked_at ON revocations (revoked_at);
+      `);
+    }
+  },
+  {
+    // Content already pinned per storage provider, keyed by the locally computed CID
+    id: '005_ipfs_pins',
+    up: async (db) => {
+      await db.exec(`
+        CREATE TABLE ipfs_pins (
+          provider TEXT NOT NULL,
+          content_cid TEXT NOT NULL,
+          cid TEXT NOT NULL,
+          size INTEGER NOT NULL,
+          created_at TEXT NOT NULL,
+          PRIMARY KEY (provider, content_cid)
+        );
+      `);
+    }
+  },
+  {
+    // Certificate metadata fetched from IPFS; content-addressed, so never stale
+    id: '006_ipfs_metadata_cache',
+    up: async (db) => {
+      await db.exec(`
+        CREATE TABLE ipfs_metadata (
+          cid TEXT NOT NULL,
+          path TEXT NOT NULL DEFAULT '',
+          metadata TEXT NOT NULL,
+          fetched_at TEXT NOT NULL,
+          PRIMARY KEY (cid, path)
+        );
+      `);
+    }
+  },
+  {
+    // Per-row certificate type, level, skills and expiry from extra CSV columns
+    id: '007_certificate_overrides',
+    up: async (db) => {
+      await db.exec('ALTER TABLE certificates ADD COLUMN overrides TEXT');
+    }
+  },
+  {
+    // Admin-edited configuration such as the scoring rules, one JSON value per key
+    id: '008_settings',
+    up: async (db) => {
+      await db.exec(`
+        CREATE TABLE settings (
+          key TEXT PRIMARY KEY,
+          value TEXT NOT NULL,
+          updated_by TEXT,
+          updated_at TEXT NOT NULL
+        );
+      `);
+    }
+  },
+  {
+    // Wallets that asked to be left off the public leaderboard
+    id: '009_leaderboard_opt_outs',
+    up: async (db) => {
+      await db.exec(`
+        CREATE TABLE leaderboard_opt_outs (
+          wallet_address TEXT PRIMARY KEY,
+          created_at TEXT NOT NULL
+        );
+      `);
+    }
+  },
+  {
+    // Submission and confirmation counts and mint rate of a batch's latest run
+    id: '010_batch_throughput',
+    up: async (db) => {
+      await db.exec('ALTER TABLE batches ADD COLUMN throughput TEXT');
+    }
+  },
+  {
+    // Register the contract the dashboards fall back to, so verification and the
+    // indexer treat it like any contract deployed through CERTIMOS
+    id: '011_register_default_contract',
+    up: async (db) => {
+      const now = new Date().toISOString();
+      await db.run(
+        `INSERT INTO contracts (id, contract_address, network, contract_name, contract_symbol,
+           deployed_at, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT (network, contract_address) DO NOTHING`,
+        [
+          crypto.randomUUID(),
+          DEFAULT_CONTRACT_ADDRESS.toLowerCase(),
+          DEFAULT_NETWORK,
+          'CERTIMOS Default Contract',
+          'CERT',
+          now,
+          now
+        ]
+      );
+    }
+  },
+  {
+    // Opt-out messages already accepted, so a captured signature cannot be replayed
+    id: '012_leaderboard_opt_out_requests',
+    up: async (db) => {
+      await db.exec(`
+        CREATE TABLE leaderboard_opt_out_requests (
+          message_hash TEXT PRIMARY KEY,
+          used_at TEXT NOT NULL
+        );
+        CREATE INDEX idx_leaderboard_opt_out_requests_used_at ON leaderboard_opt_out_requests (used_at);
+      `);
+    }
+  }
+];
+
+export async function runMigrations(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      id TEXT PRIMARY KEY,
+      applied_at TEXT NOT NULL
+    )
+  `);
+
+  const applied = new Set((await db.query('SELECT id FROM schema_migrations')).map(row => row.id));
+
+  for (const migration of MIGRATIONS) {
+    if (applied.has(migration.id)) continue;
+
+    await db.transaction(async (tx) => {
+      await migration.up(tx);
+      await tx.run(
+        'INSERT INTO schema_migrations (id, applied_at) VALUES (?, ?)',
+        [migration.id, new Date().toISOString()]
+      );
+    });
+    console.log(`Applied database migration ${migration.id}`);
+  }
+}
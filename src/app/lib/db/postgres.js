@@ -0,0 +1,50 @@
+import pg from 'pg';
+
+// Repositories write `?` placeholders; Postgres numbers them
+const toPostgresPlaceholders = (sql) => {
+  let index = 0;
+  return sql.replace(/\?/g, () => `$${++index}`);
+};
+
+const wrap = (client, dialect, types) => ({
+  dialect,
+  types,
+  query: async (sql, params = []) => (await client.query(toPostgresPlaceholders(sql), params)).rows,
+  get: async (sql, params = []) => (await client.query(toPostgresPlaceholders(sql), params)).rows[0] || null,
+  run: async (sql, params = []) => ({ changes: (await client.query(toPostgresPlaceholders(sql), params)).rowCount }),
+  exec: async (sql) => { await client.query(sql); }
+});
+
+export class PostgresDatabase {
+  constructor(connectionString) {
+    this.dialect = 'postgres';
+    this.types = { blob: 'BYTEA' };
+    this.pool = new pg.Pool({
+      connectionString,
+      max: Number(process.env.DATABASE_POOL_SIZE || 10)
+    });
+    this.pool.on('error', (error) => {
+      console.error('Postgres pool error:', error);
+    });
+    Object.assign(this, wrap(this.pool, this.dialect, this.types));
+  }
+
+  async transaction(callback) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await callback(wrap(client, this.dialect, this.types));
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async close() {
+    await this.pool.end();
+  }
+}
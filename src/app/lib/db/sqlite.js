@@ -0,0 +1,105 @@
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+
+// better-sqlite3 is synchronous; this wraps it in the same async interface as
+// the Postgres adapter so repositories never care which one they talk to.
+export class SqliteDatabase {
+  constructor(filename) {
+    if (filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(filename), { recursive: true });
+    }
+
+    this.dialect = 'sqlite';
+    this.types = { blob: 'BLOB' };
+    this.connection = new Database(filename);
+    this.connection.pragma('journal_mode = WAL');
+    this.connection.pragma('foreign_keys = ON');
+    this.connection.pragma('busy_timeout = 5000');
+
+    // Queries wait for an open transaction so they never land inside it
+    this.transactionLock = Promise.resolve();
+  }
+
+  #statement(sql, params) {
+    const statement = this.connection.prepare(sql);
+    return { statement, params: params.map(toSqliteValue) };
+  }
+
+  async query(sql, params = []) {
+    await this.transactionLock;
+    return this.#query(sql, params);
+  }
+
+  async get(sql, params = []) {
+    const rows = await this.query(sql, params);
+    return rows[0] || null;
+  }
+
+  async run(sql, params = []) {
+    await this.transactionLock;
+    return this.#run(sql, params);
+  }
+
+  async exec(sql) {
+    await this.transactionLock;
+    this.connection.exec(sql);
+  }
+
+  #query(sql, params) {
+    const { statement, params: values } = this.#statement(sql, params);
+    return statement.reader ? statement.all(...values) : (statement.run(...values), []);
+  }
+
+  #run(sql, params) {
+    const { statement, params: values } = this.#statement(sql, params);
+    const { changes } = statement.run(...values);
+    return { changes };
+  }
+
+  /**
+   * Run `callback` inside a transaction. It receives a handle with the same
+   * query/get/run/exec methods; anything it throws rolls the transaction back.
+   */
+  async transaction(callback) {
+    const previous = this.transactionLock;
+    let release;
+    this.transactionLock = new Promise(resolve => { release = resolve; });
+    await previous;
+
+    const handle = {
+      dialect: this.dialect,
+      types: this.types,
+      query: async (sql, params = []) => this.#query(sql, params),
+      get: async (sql, params = []) => this.#query(sql, params)[0] || null,
+      run: async (sql, params = []) => this.#run(sql, params),
+      exec: async (sql) => { this.connection.exec(sql); }
+    };
+
+    try {
+      this.connection.exec('BEGIN IMMEDIATE');
+      const result = await callback(handle);
+      this.connection.exec('COMMIT');
+      return result;
+    } catch (error) {
+      if (this.connection.inTransaction) {
+        this.connection.exec('ROLLBACK');
+      }
+      throw error;
+    } finally {
+      release();
+    }
+  }
+
+  async close() {
+    this.connection.close();
+  }
+}
+
+// SQLite has no boolean or Date types
+function toSqliteValue(value) {
+  if (value === undefined) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value instanceof Date) return value.toISOString();
+  return value;
+}
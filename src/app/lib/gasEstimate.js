@@ -0,0 +1,193 @@
+import { ethers } from 'ethers';
+import { CERTIFICATE_CONTRACT_ABI, CERTIFICATE_CONTRACT_BYTECODE } from './contracts/CertimosCertificate.js';
+import { getNetwork, getProvider } from './networks.js';
+
+// Gas and cost estimates for deploying the certificate contract and minting a
+// batch, shared by the mint worker, the deploy route and the estimate route.
+
+// Symbol every deployed certificate contract uses
+export const CERTIFICATE_SYMBOL = 'CERT';
+
+// `batch` mints groups of recipients with mintBatch where the contract has it; `single` never does
+export const MINT_MODES = ['batch', 'single'];
+
+// Upper bound on recipients per mintBatch, whatever the gas estimate allows
+const MINT_BATCH_MAX_SIZE = Number(process.env.MINT_BATCH_MAX_SIZE ?? 100);
+
+// Share of the block gas limit one mintBatch transaction may use, and headroom over the estimate
+const MINT_BATCH_GAS_SHARE = 0.5;
+const MINT_BATCH_GAS_MARGIN = 1.25;
+
+// Same length as a pinned ipfs://<CIDv1> tokenURI, for estimates made before anything is pinned
+const PLACEHOLDER_TOKEN_URI = `ipfs://${'b'.repeat(59)}`;
+
+// Single mints simulated per estimate; the rest of a large batch is extrapolated from their average
+const MAX_SINGLE_MINT_SIMULATIONS = 25;
+
+export class EstimateError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'EstimateError';
+    this.status = status;
+  }
+}
+
+// Run a gas estimate, reporting a reverting simulation as what the transaction would hit
+async function simulate(estimate) {
+  try {
+    return await estimate();
+  } catch (error) {
+    if (error.code === 'CALL_EXCEPTION') {
+      throw new EstimateError(`Transaction would revert: ${error.revert?.name || error.reason || error.shortMessage}`);
+    }
+    throw error;
+  }
+}
+
+const getDeployerWallet = (network) => {
+  if (!process.env.DEPLOYER_PRIVATE_KEY) {
+    throw new EstimateError('Deployer private key not configured', 500);
+  }
+  return new ethers.Wallet(process.env.DEPLOYER_PRIVATE_KEY, getProvider(network));
+};
+
+/**
+ * Whether `contract` (connected to the deployer) has mintBatch, probed with an
+ * empty batch. Contracts deployed before it existed revert without data for
+ * the unknown selector (or return nothing from a fallback); a revert with data
+ * came from inside mintBatch, so the function is there.
+ */
+export async function supportsMintBatch(contract) {
+  try {
+    await contract.mintBatch.staticCall([], []);
+    return true;
+  } catch (error) {
+    if (error.code === 'CALL_EXCEPTION') {
+      return Boolean(error.data && error.data !== '0x');
+    }
+    if (error.code === 'BAD_DATA' && error.value === '0x') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Recipients per mintBatch on the contract's network: what fits in a share
+ * of the block gas limit, from the estimated cost of minting `tokenURI` once
+ * and twice to the deployer (the contract's signer). Capped at
+ * MINT_BATCH_MAX_SIZE.
+ */
+export async function estimateMintBatchSize(contract, tokenURI = PLACEHOLDER_TOKEN_URI) {
+  const deployer = await contract.runner.getAddress();
+  const [block, single, double] = await Promise.all([
+    contract.runner.provider.getBlock('latest'),
+    simulate(() => contract.mintBatch.estimateGas([deployer], [tokenURI])),
+    simulate(() => contract.mintBatch.estimateGas([deployer, deployer], [tokenURI, tokenURI]))
+  ]);
+
+  const perRecipient = Number(double - single) * MINT_BATCH_GAS_MARGIN;
+  const base = Number(single) * MINT_BATCH_GAS_MARGIN - perRecipient;
+  const budget = Number(block.gasLimit) * MINT_BATCH_GAS_SHARE;
+  const fits = Math.floor((budget - base) / perRecipient);
+  return Math.max(1, Math.min(MINT_BATCH_MAX_SIZE, fits));
+}
+
+/**
+ * Current price per unit of gas: `expected` is the latest base fee plus the
+ * priority fee and `max` the maxFeePerGas a transaction would allow. Networks
+ * without EIP-1559 fees use gasPrice for both.
+ */
+export async function getFeeQuote(provider) {
+  const [feeData, block] = await Promise.all([provider.getFeeData(), provider.getBlock('latest')]);
+  if (feeData.maxFeePerGas && block?.baseFeePerGas != null) {
+    const priorityFee = feeData.maxPriorityFeePerGas ?? 0n;
+    return { type: 'eip1559', expected: block.baseFeePerGas + priorityFee, max: feeData.maxFeePerGas };
+  }
+  return { type: 'legacy', expected: feeData.gasPrice, max: feeData.gasPrice };
+}
+
+// Cost of `gas` at current fees in the network's currency, and whether the deployer can pay the maximum
+async function priceGas(network, wallet, gas, details) {
+  const [fees, balance] = await Promise.all([
+    getFeeQuote(wallet.provider),
+    wallet.provider.getBalance(wallet.address)
+  ]);
+  const maxCost = gas * fees.max;
+
+  return {
+    ...details,
+    network,
+    currency: getNetwork(network).currency.symbol,
+    gas: gas.toString(),
+    fees: {
+      type: fees.type,
+      expectedGwei: ethers.formatUnits(fees.expected, 'gwei'),
+      maxGwei: ethers.formatUnits(fees.max, 'gwei')
+    },
+    estimatedCost: ethers.formatEther(gas * fees.expected),
+    maxCost: ethers.formatEther(maxCost),
+    deployer: wallet.address,
+    balance: ethers.formatEther(balance),
+    sufficient: balance >= maxCost,
+    shortfall: ethers.formatEther(balance >= maxCost ? 0n : maxCost - balance)
+  };
+}
+
+// Gas and cost of deploying a certificate contract named `contractName`
+export async function estimateDeployment({ network, contractName }) {
+  const wallet = getDeployerWallet(network);
+  const factory = new ethers.ContractFactory(CERTIFICATE_CONTRACT_ABI, CERTIFICATE_CONTRACT_BYTECODE, wallet);
+  const deployTx = await factory.getDeployTransaction(contractName, CERTIFICATE_SYMBOL);
+  const gas = await simulate(() => wallet.estimateGas(deployTx));
+
+  return priceGas(network, wallet, gas, { action: 'deploy', transactions: 1 });
+}
+
+/**
+ * Gas and cost of minting to every address in `walletAddresses`, grouped the
+ * way the mint worker would for `mintMode`. IPFS is skipped: every tokenURI
+ * is a placeholder of the pinned length. mintBatch groups are all simulated;
+ * single mints are simulated for the first MAX_SINGLE_MINT_SIMULATIONS
+ * recipients and extrapolated for the rest.
+ */
+export async function estimateMint({ network, contractAddress, walletAddresses, mintMode = 'batch' }) {
+  const wallet = getDeployerWallet(network);
+  const contract = new ethers.Contract(contractAddress, CERTIFICATE_CONTRACT_ABI, wallet);
+  const recipients = walletAddresses.length;
+
+  if ((await wallet.provider.getCode(contractAddress)) === '0x') {
+    throw new EstimateError(`No contract is deployed at ${contractAddress} on ${network}`);
+  }
+
+  if (mintMode === 'batch' && recipients > 1 && await supportsMintBatch(contract)) {
+    const batchSize = await estimateMintBatchSize(contract);
+    let gas = 0n;
+    for (let start = 0; start < recipients; start += batchSize) {
+      const group = walletAddresses.slice(start, start + batchSize);
+      gas += await simulate(() => contract.mintBatch.estimateGas(group, group.map(() => PLACEHOLDER_TOKEN_URI)));
+    }
+    return priceGas(network, wallet, gas, {
+      action: 'mint',
+      mintMode: 'batch',
+      recipients,
+      batchSize,
+      transactions: Math.ceil(recipients / batchSize),
+      simulatedRecipients: recipients
+    });
+  }
+
+  const simulated = walletAddresses.slice(0, MAX_SINGLE_MINT_SIMULATIONS);
+  let simulatedGas = 0n;
+  for (const to of simulated) {
+    simulatedGas += await simulate(() => contract.mintCertificate.estimateGas(to, PLACEHOLDER_TOKEN_URI));
+  }
+  return priceGas(network, wallet, (simulatedGas * BigInt(recipients)) / BigInt(simulated.length), {
+    action: 'mint',
+    mintMode: 'single',
+    recipients,
+    batchSize: 1,
+    transactions: recipients,
+    simulatedRecipients: simulated.length
+  });
+}
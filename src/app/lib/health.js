@@ -0,0 +1,136 @@
+import { ethers } from 'ethers';
+import { getDb } from './db/index.js';
+import IPFSService from './ipfs.js';
+import { getIndexerStatus } from './indexer.js';
+import { cachedCheck } from './checkCache.js';
+import { listDeployments } from './repositories/deployments.js';
+import { NETWORKS, DEFAULT_NETWORK, getProvider } from './networks.js';
+
+// Deployer balance below which a network in use is reported as an issue
+const MIN_DEPLOYER_BALANCE = process.env.DEPLOYER_MIN_BALANCE || '0.01';
+
+const RPC_TIMEOUT_MS = 5000;
+
+const withTimeout = (promise, ms) => Promise.race([
+  promise,
+  new Promise((_, reject) => {
+    setTimeout(() => reject(new Error(`No response within ${ms}ms`)), ms).unref?.();
+  })
+]);
+
+async function checkDatabase() {
+  try {
+    const db = await getDb();
+    await db.get('SELECT 1 AS ok');
+    return { status: 'OK', dialect: db.dialect };
+  } catch (error) {
+    console.error('Database health check failed:', error);
+    return { status: 'ERROR', error: error.message };
+  }
+}
+
+async function checkIpfs(force) {
+  try {
+    const result = await new IPFSService().validateConfiguration({ force });
+    return { status: result.valid ? 'OK' : 'ERROR', ...result };
+  } catch (error) {
+    // An unknown IPFS_PROVIDER fails before any check can run
+    return { status: 'ERROR', valid: false, error: error.message };
+  }
+}
+
+function getDeployer() {
+  const privateKey = process.env.DEPLOYER_PRIVATE_KEY;
+  if (!privateKey) {
+    return { configured: false, address: null, error: 'DEPLOYER_PRIVATE_KEY environment variable not configured' };
+  }
+  try {
+    return { configured: true, address: new ethers.Wallet(privateKey).address };
+  } catch {
+    return { configured: false, address: null, error: 'DEPLOYER_PRIVATE_KEY is not a valid private key' };
+  }
+}
+
+// RPC reachability, and the deployer's balance when a key is configured
+async function checkNetwork(key, deployerAddress, force) {
+  return cachedCheck(`rpc:${key}:${deployerAddress || ''}`, async () => {
+    const provider = getProvider(key);
+    const startedAt = Date.now();
+    try {
+      const blockNumber = await withTimeout(provider.getBlockNumber(), RPC_TIMEOUT_MS);
+      const result = { status: 'OK', blockNumber, latencyMs: Date.now() - startedAt };
+
+      if (deployerAddress) {
+        const balance = await withTimeout(provider.getBalance(deployerAddress), RPC_TIMEOUT_MS);
+        result.deployerBalance = {
+          wei: balance.toString(),
+          formatted: ethers.formatEther(balance),
+          symbol: NETWORKS[key].currency.symbol,
+          low: balance < ethers.parseEther(MIN_DEPLOYER_BALANCE)
+        };
+      }
+      return result;
+    } catch (error) {
+      return { status: 'ERROR', error: error.shortMessage || error.message, latencyMs: Date.now() - startedAt };
+    } finally {
+      // Unreachable endpoints would otherwise keep ethers retrying in the background
+      provider.destroy();
+    }
+  }, { force });
+}
+
+/**
+ * Combined health report for the dashboards and uptime checks.
+ *
+ * `status` is OK while the app and its database work. Problems with IPFS,
+ * RPC endpoints of networks in use or the deployer key are listed in
+ * `issues` and make `ready` false, since minting would fail.
+ */
+export async function getHealthReport({ force = false } = {}) {
+  const database = await checkDatabase();
+
+  // Only networks with registered contracts (and the default) block minting
+  let networksInUse = [DEFAULT_NETWORK];
+  if (database.status === 'OK') {
+    const deployments = await listDeployments().catch(() => []);
+    networksInUse = [...new Set([DEFAULT_NETWORK, ...deployments.map(d => d.network)])];
+  }
+
+  const deployer = getDeployer();
+  const [ipfs, ...networkResults] = await Promise.all([
+    checkIpfs(force),
+    ...Object.keys(NETWORKS).map(key => checkNetwork(key, deployer.address, force))
+  ]);
+
+  const networks = Object.fromEntries(Object.keys(NETWORKS).map((key, index) => [
+    key,
+    { ...networkResults[index], inUse: networksInUse.includes(key) }
+  ]));
+
+  const issues = [];
+  if (database.status !== 'OK') issues.push(`Database: ${database.error}`);
+  if (ipfs.status !== 'OK') issues.push(`IPFS: ${ipfs.error}`);
+  if (!deployer.configured) issues.push(`Deployer: ${deployer.error}`);
+  for (const [key, network] of Object.entries(networks)) {
+    if (!network.inUse) continue;
+    if (network.status !== 'OK') {
+      issues.push(`${NETWORKS[key].name}: RPC unreachable (${network.error})`);
+    } else if (network.deployerBalance?.low) {
+      issues.push(`${NETWORKS[key].name}: deployer balance is ${network.deployerBalance.formatted} ${network.deployerBalance.symbol}`);
+    }
+  }
+
+  return {
+    status: database.status === 'OK' ? 'OK' : 'ERROR',
+    ready: issues.length === 0,
+    issues,
+    timestamp: new Date().toISOString(),
+    checks: {
+      database,
+      indexer: getIndexerStatus(),
+      ipfs,
+      deployer,
+      networks
+    }
+  };
+}
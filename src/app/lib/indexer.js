@@ -0,0 +1,202 @@
+import { ethers } from 'ethers';
+import { getDb } from './db/index.js';
+import { listDeployments, setIndexedBlock } from './repositories/deployments.js';
+import { applyTransfer, updateTokenURI } from './repositories/tokens.js';
+import { recordRevocation } from './repositories/revocations.js';
+import { getProvider, isSupportedNetwork } from './networks.js';
+
+// Blocks per eth_getLogs request; public XDC RPCs reject much larger ranges
+const BLOCK_RANGE = Number(process.env.INDEXER_BLOCK_RANGE || 2000);
+// Upper bound on ranges scanned per contract in one sync, so requests never hang on a long backfill
+const MAX_RANGES_PER_SYNC = Number(process.env.INDEXER_MAX_RANGES_PER_SYNC || 50);
+// Minimum time between syncs triggered by API reads
+const SYNC_INTERVAL_MS = Number(process.env.INDEXER_SYNC_INTERVAL_MS || 30000);
+// How far back to scan contracts whose deployment block is unknown
+const FALLBACK_LOOKBACK_BLOCKS = Number(process.env.INDEXER_LOOKBACK_BLOCKS || 100000);
+
+const eventInterface = new ethers.Interface([
+  'event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)',
+  // Emitted by CertimosCertificate.revoke; older contracts never emit it
+  'event CertificateRevoked(uint256 indexed tokenId, string reason)',
+  // ERC-4906, emitted when setTokenURI points a token at new metadata
+  'event MetadataUpdate(uint256 _tokenId)'
+]);
+const TRANSFER_TOPIC = eventInterface.getEvent('Transfer').topicHash;
+const REVOKED_TOPIC = eventInterface.getEvent('CertificateRevoked').topicHash;
+const METADATA_UPDATE_TOPIC = eventInterface.getEvent('MetadataUpdate').topicHash;
+
+const TOKEN_URI_ABI = ['function tokenURI(uint256 tokenId) view returns (string)'];
+
+// Sync state lives on globalThis so every route bundle shares one indexer
+const state = globalThis.__certimosIndexer || {
+  syncing: null,
+  lastSyncedAt: null,
+  lastError: null
+};
+globalThis.__certimosIndexer = state;
+
+async function resolveStartBlock(deployment, provider, latestBlock) {
+  if (deployment.indexedBlock !== null) return deployment.indexedBlock + 1;
+  if (deployment.blockNumber) return deployment.blockNumber;
+
+  if (deployment.transactionHash) {
+    const receipt = await provider.getTransactionReceipt(deployment.transactionHash).catch(() => null);
+    if (receipt) return receipt.blockNumber;
+  }
+
+  console.warn(
+    `Deployment block unknown for ${deployment.contractAddress} on ${deployment.network}; ` +
+    `indexing the last ${FALLBACK_LOOKBACK_BLOCKS} blocks`
+  );
+  return Math.max(0, latestBlock - FALLBACK_LOOKBACK_BLOCKS);
+}
+
+/**
+ * Scan one registered contract for Transfer, CertificateRevoked and
+ * MetadataUpdate events since the last indexed block. Each block range is applied in a single transaction together with the
+ * cursor, so an interrupted sync resumes without double-counting.
+ */
+export async function syncContract(deployment) {
+  const provider = getProvider(deployment.network);
+  const contract = new ethers.Contract(deployment.contractAddress, TOKEN_URI_ABI, provider);
+  const latestBlock = await provider.getBlockNumber();
+
+  let fromBlock = await resolveStartBlock(deployment, provider, latestBlock);
+  let ranges = 0;
+  let indexed = 0;
+
+  const blockTimestamps = new Map();
+  const getBlockTime = async (blockNumber) => {
+    if (!blockTimestamps.has(blockNumber)) {
+      const block = await provider.getBlock(blockNumber);
+      blockTimestamps.set(blockNumber, block ? new Date(block.timestamp * 1000).toISOString() : null);
+    }
+    return blockTimestamps.get(blockNumber);
+  };
+
+  while (fromBlock <= latestBlock && ranges < MAX_RANGES_PER_SYNC) {
+    const toBlock = Math.min(fromBlock + BLOCK_RANGE - 1, latestBlock);
+    const logs = await provider.getLogs({
+      address: deployment.contractAddress,
+      topics: [[TRANSFER_TOPIC, REVOKED_TOPIC, METADATA_UPDATE_TOPIC]],
+      fromBlock,
+      toBlock
+    });
+
+    // Resolve everything that needs the RPC before opening the transaction
+    const transfers = [];
+    const revocations = [];
+    const uriUpdates = [];
+    for (const log of logs) {
+      const { name, args } = eventInterface.parseLog(log);
+
+      if (name === 'MetadataUpdate') {
+        uriUpdates.push({
+          network: deployment.network,
+          contractAddress: deployment.contractAddress,
+          tokenId: args._tokenId.toString(),
+          tokenURI: await contract.tokenURI(args._tokenId).catch(() => null)
+        });
+        continue;
+      }
+
+      if (name === 'CertificateRevoked') {
+        revocations.push({
+          network: deployment.network,
+          contractAddress: deployment.contractAddress,
+          tokenId: args.tokenId.toString(),
+          reason: args.reason || null,
+          onChain: true,
+          transactionHash: log.transactionHash,
+          revokedAt: await getBlockTime(log.blockNumber)
+        });
+        continue;
+      }
+
+      const isMint = args.from === ethers.ZeroAddress;
+      transfers.push({
+        network: deployment.network,
+        contractAddress: deployment.contractAddress,
+        tokenId: args.tokenId.toString(),
+        from: args.from,
+        to: args.to,
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash,
+        tokenURI: isMint ? await contract.tokenURI(args.tokenId).catch(() => null) : null,
+        mintedAt: isMint ? await getBlockTime(log.blockNumber) : null
+      });
+    }
+
+    const db = await getDb();
+    await db.transaction(async (tx) => {
+      for (const transfer of transfers) {
+        await applyTransfer(transfer, tx);
+      }
+      for (const revocation of revocations) {
+        await recordRevocation(revocation, tx);
+      }
+      // After the transfers, so a token minted and updated in one range gets its new URI
+      for (const update of uriUpdates) {
+        await updateTokenURI(update, tx);
+      }
+      await setIndexedBlock(deployment.id, toBlock, tx);
+    });
+
+    indexed += transfers.length + revocations.length + uriUpdates.length;
+    fromBlock = toBlock + 1;
+    ranges++;
+  }
+
+  return { indexed, caughtUp: fromBlock > latestBlock, indexedBlock: fromBlock - 1 };
+}
+
+async function syncAll() {
+  const deployments = (await listDeployments()).filter(deployment => isSupportedNetwork(deployment.network));
+  const results = [];
+
+  for (const deployment of deployments) {
+    try {
+      results.push({ contractAddress: deployment.contractAddress, network: deployment.network, ...await syncContract(deployment) });
+    } catch (error) {
+      console.error(`Indexer failed for ${deployment.contractAddress} on ${deployment.network}:`, error);
+      results.push({ contractAddress: deployment.contractAddress, network: deployment.network, error: error.message });
+    }
+  }
+
+  state.lastSyncedAt = new Date().toISOString();
+  state.lastError = results.find(result => result.error)?.error || null;
+  return results;
+}
+
+/**
+ * Bring the index up to date for every registered contract. Calls within
+ * SYNC_INTERVAL_MS of the last sync return immediately unless `force` is set,
+ * and concurrent callers share one in-flight sync.
+ */
+export async function syncIndex({ force = false } = {}) {
+  if (state.syncing) return state.syncing;
+
+  const fresh = state.lastSyncedAt && Date.now() - Date.parse(state.lastSyncedAt) < SYNC_INTERVAL_MS;
+  if (fresh && !force) return null;
+
+  state.syncing = syncAll().finally(() => {
+    state.syncing = null;
+  });
+  return state.syncing;
+}
+
+// Sync the index, but serve whatever is already indexed if the chain is unreachable
+export async function syncIndexQuietly(options) {
+  try {
+    await syncIndex(options);
+  } catch (error) {
+    state.lastError = error.message;
+    console.error('Certificate index sync failed:', error);
+  }
+}
+
+export const getIndexerStatus = () => ({
+  syncing: Boolean(state.syncing),
+  lastSyncedAt: state.lastSyncedAt,
+  lastError: state.lastError
+});
@@ -1,126 +1,225 @@
-import { PinataSDK } from 'pinata-web3';
+import path from 'path';
+import crypto from 'crypto';
+import { getVerifyUrl } from './verify.js';
+import { createStorageProvider } from './storage/index.js';
+import { cachedCheck } from './checkCache.js';
+import { toIpfsUri } from './ipfsGateway.js';
+import { getNetwork } from './networks.js';
+import { METADATA_SCHEMA_VERSION, validateCertificateMetadata, getCertificateTypeLabel } from './metadataSchema.js';
+import { computeCid } from './storage/cid.js';
+import { findPin, savePin } from './repositories/ipfsPins.js';
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const IMAGE_CONTENT_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml'
+};
 
 class IPFSService {
-  constructor() {
-    this.pinata = new PinataSDK({
-      pinataJwt: process.env.PINATA_JWT,
-      pinataGateway: process.env.PINATA_GATEWAY || 'gateway.pinata.cloud'
-    });
+  // `providerName` overrides the IPFS_PROVIDER selection
+  constructor(providerName) {
+    this.storage = createStorageProvider(providerName);
+  }
+
+  toResult({ cid, size, deduplicated = false }) {
+    return {
+      success: true,
+      provider: this.storage.name,
+      ipfsHash: cid,
+      size,
+      deduplicated,
+      // Canonical reference stored on-chain and in metadata; ipfsUrl is for display
+      ipfsUri: toIpfsUri(cid),
+      ipfsUrl: this.storage.gatewayUrl(cid)
+    };
+  }
+
+  /**
+   * Upload `data` unless identical bytes were pinned at this provider before,
+   * in which case the recorded CID is reused and `deduplicated` is set.
+   */
+  async pin(data, upload) {
+    const contentCid = computeCid(data);
+    const existing = await findPin(this.storage.name, contentCid);
+    if (existing) {
+      return this.toResult({ cid: existing.cid, size: data.length, deduplicated: true });
+    }
+
+    const { cid } = await upload();
+    await savePin({ provider: this.storage.name, contentCid, cid, size: data.length });
+    return this.toResult({ cid, size: data.length });
+  }
+
+  ensureConfigured() {
+    const configurationError = this.storage.getConfigurationError();
+    if (configurationError) {
+      throw new Error(configurationError);
+    }
   }
 
   async uploadImage(imageBuffer, filename) {
     try {
-      if (!process.env.PINATA_JWT) {
-        throw new Error('PINATA_JWT environment variable not configured');
-      }
-
-      const file = new File([imageBuffer], filename, { type: 'image/*' });
-      const upload = await this.pinata.upload.file(file);
-      
-      return {
-        success: true,
-        ipfsHash: upload.IpfsHash,
-        ipfsUrl: `https://${process.env.PINATA_GATEWAY || 'gateway.pinata.cloud'}/ipfs/${upload.IpfsHash}`,
-        pinataUrl: `https://gateway.pinata.cloud/ipfs/${upload.IpfsHash}`
-      };
+      this.ensureConfigured();
+      const contentType = IMAGE_CONTENT_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream';
+      return await this.pin(imageBuffer, () => this.storage.uploadFile(imageBuffer, filename, contentType));
     } catch (error) {
       console.error('IPFS image upload error:', error);
       throw new Error(`Failed to upload image to IPFS: ${error.message}`);
     }
   }
 
-  async uploadMetadata(metadata) {
+  async uploadMetadata(metadata, name = 'metadata') {
     try {
-      if (!process.env.PINATA_JWT) {
-        throw new Error('PINATA_JWT environment variable not configured');
-      }
-
-      const upload = await this.pinata.upload.json(metadata);
-      
-      return {
-        success: true,
-        ipfsHash: upload.IpfsHash,
-        ipfsUrl: `https://${process.env.PINATA_GATEWAY || 'gateway.pinata.cloud'}/ipfs/${upload.IpfsHash}`,
-        pinataUrl: `https://gateway.pinata.cloud/ipfs/${upload.IpfsHash}`
-      };
+      this.ensureConfigured();
+      // Providers serialise JSON the same way, so these bytes identify the content
+      const data = Buffer.from(JSON.stringify(metadata));
+      return await this.pin(data, () => this.storage.uploadJson(metadata, name));
     } catch (error) {
       console.error('IPFS metadata upload error:', error);
       throw new Error(`Failed to upload metadata to IPFS: ${error.message}`);
     }
   }
 
-  async createCertificateMetadata(participantName, eventName, certificateName, imageUrl, tokenId, contractName) {
-    const metadata = {
-      name: `${certificateName || 'Certificate'} - ${eventName}`,
-      description: `${certificateName || 'Certificate'} for ${eventName} awarded to ${participantName}`,
-      image: imageUrl,
-      external_url: `${process.env.NEXT_PUBLIC_APP_URL || 'http://localhost:3000'}/verify/${tokenId}`,
-      attributes: [
-        {
-          trait_type: "Recipient",
-          value: participantName
-        },
-        {
-          trait_type: "Event",
-          value: eventName
-        },
-        {
-          trait_type: "Certificate Name",
-          value: certificateName || 'Certificate'
-        },
-        {
-          trait_type: "Issue Date",
-          value: new Date().toISOString().split('T')[0]
-        },
-        {
-          trait_type: "Certificate Type",
-          value: "Participation"
-        }
-      ],
+  /**
+   * Metadata for one certificate in the current schema version, including an
+   * Open Badges 2.0 assertion. `issueDate` is a Date; `expiresAt` a YYYY-MM-DD
+   * string or null; `scoring` the { points, rarity, category, batchSize } it
+   * was awarded, if any. `email` is only published as the hashed Open Badges
+   * recipient; `customAttributes` maps extra trait names to values.
+   */
+  createCertificateMetadata({
+    participantName, walletAddress = null, eventName, certificateName, imageUri = null, tokenId,
+    contractName = null, contractAddress = null, network = null,
+    certificateType = 'participation', certificateTypeLabel = null, level = null, skills = [], expiresAt = null,
+    role = null, team = null, score = null, email = null, customAttributes = {},
+    scoring = null, issueDate = new Date()
+  }) {
+    const name = certificateName || 'Certificate';
+    const typeLabel = getCertificateTypeLabel(certificateType, certificateTypeLabel);
+    const issued = issueDate.toISOString().split('T')[0];
+    const verifyUrl = getVerifyUrl({ tokenId, contractAddress, network });
+    const chainId = getNetwork(network)?.chainId;
+    const appUrl = new URL('/', verifyUrl).toString();
+    const description = `${name} for ${eventName} awarded to ${participantName}`;
+
+    // Badge wallets match recipients by email; the salt is fixed per token so
+    // retries produce identical metadata
+    let recipient = { type: 'name', hashed: false, identity: participantName };
+    if (email) {
+      const salt = sha256(`${network}:${contractAddress}:${tokenId}`).slice(0, 16);
+      recipient = { type: 'email', hashed: true, salt, identity: `sha256$${sha256(email.toLowerCase() + salt)}` };
+    } else if (walletAddress && chainId) {
+      recipient = { type: 'url', hashed: false, identity: `did:pkh:eip155:${chainId}:${walletAddress}` };
+    }
+
+    const attributes = [
+      { trait_type: 'Recipient', value: participantName },
+      { trait_type: 'Event', value: eventName },
+      { trait_type: 'Certificate Name', value: name },
+      { trait_type: 'Certificate Type', value: typeLabel },
+      ...(level ? [{ trait_type: 'Level', value: level }] : []),
+      ...skills.map((skill, index) => ({ trait_type: `Skill ${index + 1}`, value: skill })),
+      { trait_type: 'Date Issued', value: issued },
+      ...(expiresAt ? [{ trait_type: 'Expiry Date', value: expiresAt }] : []),
+      ...(role ? [{ trait_type: 'Role', value: role }] : []),
+      ...(team ? [{ trait_type: 'Team', value: team }] : []),
+      ...(score !== null ? [{ trait_type: 'Score', value: score, display_type: 'number' }] : []),
+      ...Object.entries(customAttributes).map(([traitType, value]) => ({ trait_type: traitType, value })),
+      ...(scoring ? [
+        { trait_type: 'Points', value: scoring.points, display_type: 'number' },
+        { trait_type: 'Rarity', value: scoring.rarity },
+        { trait_type: 'Category', value: scoring.category }
+      ] : []),
+      ...(contractName ? [{ trait_type: 'Contract', value: contractName }] : [])
+    ];
+
+    return {
+      schema_version: METADATA_SCHEMA_VERSION,
+      name: `${name} - ${eventName}`,
+      description,
+      image: imageUri,
+      external_url: verifyUrl,
+      attributes,
       properties: {
         participant: participantName,
         event: eventName,
-        certificateName: certificateName,
-        contractName: contractName,
-        issueDate: new Date().toISOString(),
-        tokenId: tokenId
+        certificateName: name,
+        certificateType,
+        ...(certificateType === 'custom' && { certificateTypeLabel: typeLabel }),
+        level,
+        skills,
+        issueDate: issued,
+        expiresAt,
+        role,
+        team,
+        score,
+        ...(Object.keys(customAttributes).length > 0 && { customAttributes }),
+        ...(scoring && {
+          points: scoring.points,
+          rarity: scoring.rarity,
+          category: scoring.category,
+          batchSize: scoring.batchSize
+        }),
+        contractName,
+        contractAddress,
+        network,
+        tokenId: tokenId ? String(tokenId) : null
+      },
+      openbadge: {
+        '@context': 'https://w3id.org/openbadges/v2',
+        type: 'Assertion',
+        id: verifyUrl,
+        recipient,
+        badge: {
+          type: 'BadgeClass',
+          name,
+          description,
+          ...(imageUri && { image: imageUri }),
+          criteria: { narrative: `${typeLabel} certificate for ${eventName}` },
+          ...(skills.length > 0 && { tags: skills }),
+          issuer: { type: 'Profile', id: appUrl, name: contractName || 'CERTIMOS', url: appUrl }
+        },
+        issuedOn: issueDate.toISOString(),
+        ...(expiresAt && { expires: new Date(`${expiresAt}T00:00:00Z`).toISOString() }),
+        verification: { type: 'hosted' }
       }
     };
-
-    // Add contract name attribute if provided
-    if (contractName) {
-      metadata.attributes.push({
-        trait_type: "Contract",
-        value: contractName
-      });
-    }
-
-    return metadata;
   }
 
-  async uploadCertificateBundle(participantName, eventName, certificateName, imageBuffer, imageFilename, tokenId, contractName) {
+  /**
+   * Upload a certificate's image and metadata. `certificate` holds the
+   * createCertificateMetadata fields; its `issueDate` should be fixed per
+   * batch so a retried row produces identical metadata and is served from the
+   * pin cache. Metadata that fails schema validation is never uploaded.
+   */
+  async uploadCertificateBundle({ image = null, ...certificate }) {
+    const { participantName, tokenId } = certificate;
     try {
       let imageResult = null;
       
       // Upload image if provided
-      if (imageBuffer && imageBuffer.length > 0) {
+      if (image?.buffer?.length > 0) {
         console.log(`Uploading image for ${participantName}...`);
-        imageResult = await this.uploadImage(imageBuffer, imageFilename);
+        imageResult = await this.uploadImage(image.buffer, image.filename);
       }
       
       // Create and upload metadata
       console.log(`Creating metadata for ${participantName}...`);
-      const metadata = await this.createCertificateMetadata(
-        participantName,
-        eventName,
-        certificateName,
-        imageResult ? imageResult.ipfsUrl : null,
-        tokenId,
-        contractName
-      );
+      const metadata = this.createCertificateMetadata({ ...certificate, imageUri: imageResult?.ipfsUri || null });
+      const validation = validateCertificateMetadata(metadata);
+      if (!validation.valid) {
+        throw new Error(`Certificate metadata is invalid: ${validation.errors.join('; ')}`);
+      }
       
       console.log(`Uploading metadata for ${participantName}...`);
-      const metadataResult = await this.uploadMetadata(metadata);
+      const metadataResult = await this.uploadMetadata(metadata, `certificate-${tokenId}`);
+
+      const pins = [imageResult, metadataResult].filter(Boolean);
+      const sumSizes = (results) => results.reduce((total, result) => total + result.size, 0);
       
       return {
         success: true,
@@ -128,7 +227,9 @@ class IPFSService {
         tokenId,
         image: imageResult,
         metadata: metadataResult,
-        tokenURI: metadataResult.ipfsUrl
+        tokenURI: metadataResult.ipfsUri,
+        bytesUploaded: sumSizes(pins.filter(result => !result.deduplicated)),
+        bytesSaved: sumSizes(pins.filter(result => result.deduplicated))
       };
     } catch (error) {
       console.error(`Certificate bundle upload error for ${participantName}:`, error);
@@ -136,29 +237,38 @@ class IPFSService {
     }
   }
 
-  async validateConfiguration() {
-    try {
-      if (!process.env.PINATA_JWT) {
-        return {
-          valid: false,
-          error: 'PINATA_JWT environment variable not configured'
-        };
-      }
-
-      // Test connection by uploading a small test file
-      const testData = { test: 'connection', timestamp: Date.now() };
-      await this.uploadMetadata(testData);
-      
-      return {
-        valid: true,
-        message: 'IPFS configuration is valid'
-      };
-    } catch (error) {
+  /**
+   * Check the provider is configured and reachable without uploading anything.
+   * Results are cached for HEALTH_CHECK_TTL_MS; pass `force` to re-check.
+   */
+  async validateConfiguration({ force = false } = {}) {
+    const provider = this.storage.name;
+    const configurationError = this.storage.getConfigurationError();
+    if (configurationError) {
       return {
         valid: false,
-        error: `IPFS configuration error: ${error.message}`
+        provider,
+        error: configurationError
       };
     }
+
+    return cachedCheck(`ipfs:${provider}`, async () => {
+      try {
+        const details = await this.storage.ping();
+        return {
+          valid: true,
+          provider,
+          message: `IPFS configuration is valid (${provider})`,
+          ...details
+        };
+      } catch (error) {
+        return {
+          valid: false,
+          provider,
+          error: `IPFS configuration error: ${error.message}`
+        };
+      }
+    }, { force });
   }
 }
 
@@ -0,0 +1,127 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import sharp from 'sharp';
+import { parseIpfsUri, toIpfsUri, fetchFromIpfs } from './ipfsGateway.js';
+import { computeCid } from './storage/cid.js';
+import { getCachedMetadata, cacheMetadata } from './repositories/ipfsMetadata.js';
+
+// Server-side reads of IPFS content for the metadata proxy and thumbnails.
+// Content is addressed by CID, so anything fetched once and checked against
+// its CID is cached for good: metadata in the database, resized images on disk.
+
+const MAX_METADATA_BYTES = 1024 * 1024;
+const MAX_IMAGE_BYTES = 20 * 1024 * 1024;
+
+// Thumbnail widths served; requests are rounded up to the next one so the
+// disk cache cannot be filled with arbitrary sizes
+export const THUMBNAIL_WIDTHS = [64, 128, 256, 400, 512, 800, 1024];
+
+const cacheDirectory = () =>
+  path.resolve(process.env.IPFS_CACHE_DIR || path.join(process.cwd(), 'data', 'ipfs-cache'));
+
+export class IpfsContentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'IpfsContentError';
+    this.status = status;
+  }
+}
+
+function parseReference(uri) {
+  const reference = parseIpfsUri(uri);
+  if (!reference) {
+    throw new IpfsContentError('uri must be an ipfs:// URI or an IPFS gateway URL');
+  }
+  return reference;
+}
+
+async function download(reference, maxBytes, init = {}) {
+  let response;
+  try {
+    response = await fetchFromIpfs(toIpfsUri(reference.cid, reference.path), init);
+  } catch (error) {
+    throw new IpfsContentError(`Content could not be fetched from any gateway: ${error.message}`, 502);
+  }
+
+  if (Number(response.headers.get('content-length')) > maxBytes) {
+    throw new IpfsContentError('Content is too large', 413);
+  }
+  const data = Buffer.from(await response.arrayBuffer());
+  if (data.length > maxBytes) {
+    throw new IpfsContentError('Content is too large', 413);
+  }
+  return data;
+}
+
+// Whether gateway bytes are the content their CID names. Only whole files added
+// the way computeCid hashes them can be checked; paths inside a directory and
+// CIDv0s are served without being cached, so a lying gateway cannot poison the cache.
+const matchesCid = (reference, data) => !reference.path && computeCid(data) === reference.cid;
+
+/**
+ * Metadata JSON behind an IPFS reference, from the cache when it has been
+ * fetched before. Returns { cid, path, uri, metadata, cached, verified }.
+ */
+export async function getIpfsMetadata(uri) {
+  const reference = parseReference(uri);
+  const result = { cid: reference.cid, path: reference.path, uri: toIpfsUri(reference.cid, reference.path) };
+
+  const cached = await getCachedMetadata(reference.cid, reference.path);
+  if (cached) {
+    return { ...result, metadata: cached, cached: true, verified: true };
+  }
+
+  const data = await download(reference, MAX_METADATA_BYTES, { cache: 'no-store' });
+  let metadata;
+  try {
+    metadata = JSON.parse(data.toString('utf8'));
+  } catch {
+    throw new IpfsContentError('Content is not valid JSON', 422);
+  }
+
+  const verified = matchesCid(reference, data);
+  if (verified) {
+    await cacheMetadata(reference.cid, reference.path, metadata);
+  }
+  return { ...result, metadata, cached: false, verified };
+}
+
+export const toThumbnailWidth = (width) =>
+  THUMBNAIL_WIDTHS.find(allowed => allowed >= Number(width)) || THUMBNAIL_WIDTHS.at(-1);
+
+/**
+ * A WebP thumbnail of the image behind an IPFS reference, no wider than
+ * `width`. SVGs are rasterised, so the result is always safe to serve inline.
+ */
+export async function getIpfsThumbnail(uri, width = 400) {
+  const reference = parseReference(uri);
+  const thumbnailWidth = toThumbnailWidth(width);
+
+  const key = crypto.createHash('sha256').update(`${reference.cid}/${reference.path}`).digest('hex');
+  const file = path.join(cacheDirectory(), 'thumbnails', `${key}-${thumbnailWidth}.webp`);
+
+  try {
+    return { buffer: await fs.readFile(file), contentType: 'image/webp', cached: true, verified: true };
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const source = await download(reference, MAX_IMAGE_BYTES);
+  let buffer;
+  try {
+    buffer = await sharp(source)
+      .resize({ width: thumbnailWidth, withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer();
+  } catch {
+    throw new IpfsContentError('Content is not a supported image', 422);
+  }
+
+  const verified = matchesCid(reference, source);
+  if (verified) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buffer);
+  }
+  return { buffer, contentType: 'image/webp', cached: false, verified };
+}
@@ -0,0 +1,113 @@
+// Canonical ipfs:// URIs and their resolution through public gateways.
+// Shared by the API routes (server) and the dashboards (browser), so it must
+// not import Node-only modules.
+
+const DEFAULT_GATEWAYS = ['https://gateway.pinata.cloud', 'https://ipfs.io', 'https://dweb.link'];
+
+// Per-gateway limit before moving on to the next one
+const DEFAULT_TIMEOUT_MS = Number(process.env.NEXT_PUBLIC_IPFS_GATEWAY_TIMEOUT_MS || 8000);
+
+const CID_PATTERN = /^(Qm[1-9A-HJ-NP-Za-km-z]{44}|b[a-z2-7]{58,}|[zk][1-9A-HJ-NP-Za-km-z]{48,})$/;
+
+/**
+ * Gateways to try in order, from NEXT_PUBLIC_IPFS_GATEWAYS (comma separated
+ * base URLs). The entry `self` is this app's own /ipfs route, which serves
+ * content pinned with IPFS_PROVIDER=local.
+ */
+export const IPFS_GATEWAYS = (process.env.NEXT_PUBLIC_IPFS_GATEWAYS || DEFAULT_GATEWAYS.join(','))
+  .split(',')
+  .map(gateway => gateway.trim().replace(/\/+$/, ''))
+  .filter(Boolean);
+
+/**
+ * The CID and path an IPFS reference points at, or null for other URLs.
+ * Accepts ipfs://CID/path, bare CIDs, and path (https://host/ipfs/CID) or
+ * subdomain (https://CID.ipfs.host) gateway URLs, so tokenURIs minted against
+ * one gateway can be served from another.
+ */
+export function parseIpfsUri(uri) {
+  if (!uri || typeof uri !== 'string') return null;
+  const value = uri.trim();
+
+  if (value.startsWith('ipfs://')) {
+    const [cid, ...path] = value.slice('ipfs://'.length).replace(/^ipfs\//, '').split('/');
+    return CID_PATTERN.test(cid) ? { cid, path: path.join('/') } : null;
+  }
+  if (CID_PATTERN.test(value)) {
+    return { cid: value, path: '' };
+  }
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return null;
+  }
+  const pathMatch = url.pathname.match(/^\/ipfs\/([^/]+)\/?(.*)$/);
+  if (pathMatch && CID_PATTERN.test(pathMatch[1])) {
+    return { cid: pathMatch[1], path: pathMatch[2] };
+  }
+  const subdomain = url.hostname.match(/^([^.]+)\.ipfs\./);
+  if (subdomain && CID_PATTERN.test(subdomain[1])) {
+    return { cid: subdomain[1], path: url.pathname.replace(/^\//, '') };
+  }
+  return null;
+}
+
+export const toIpfsUri = (cid, path = '') => `ipfs://${cid}${path ? `/${path}` : ''}`;
+
+// The app's own gateway is relative in the browser and absolute on the server
+const gatewayBase = (gateway) => {
+  if (gateway !== 'self') return gateway;
+  return typeof window === 'undefined'
+    ? (process.env.NEXT_PUBLIC_APP_URL || 'http://localhost:3000').replace(/\/$/, '')
+    : '';
+};
+
+/**
+ * Every gateway URL for an IPFS reference, in preference order. Other URLs
+ * (https, data:) come back unchanged as the only candidate.
+ */
+export function getGatewayUrls(uri) {
+  const parsed = parseIpfsUri(uri);
+  if (!parsed) return uri ? [uri] : [];
+
+  const suffix = parsed.path ? `/${parsed.path}` : '';
+  return IPFS_GATEWAYS.map(gateway => `${gatewayBase(gateway)}/ipfs/${parsed.cid}${suffix}`);
+}
+
+// Preferred gateway URL, e.g. for an <img src>
+export const resolveIpfsUrl = (uri) => getGatewayUrls(uri)[0] || '';
+
+/**
+ * The gateway to try after `failedUrl` for the same content, or null when
+ * every gateway has been tried. Lets an <img onError> walk the gateway list.
+ */
+export function getNextGatewayUrl(failedUrl) {
+  const base = typeof window === 'undefined' ? 'http://localhost' : window.location.origin;
+  const absolute = (url) => new URL(url, base).href;
+
+  const candidates = getGatewayUrls(failedUrl).map(absolute);
+  if (!parseIpfsUri(failedUrl)) return null;
+  return candidates[candidates.indexOf(absolute(failedUrl)) + 1] || null;
+}
+
+/**
+ * Fetch an IPFS reference, falling back to the next gateway when one errors,
+ * answers with a non-2xx status or takes longer than `timeoutMs`.
+ */
+export async function fetchFromIpfs(uri, { timeoutMs = DEFAULT_TIMEOUT_MS, ...init } = {}) {
+  const urls = getGatewayUrls(uri);
+  let lastError = new Error(`Nothing to fetch for ${uri}`);
+
+  for (const url of urls) {
+    try {
+      const response = await fetch(url, { ...init, signal: AbortSignal.timeout(timeoutMs) });
+      if (response.ok) return response;
+      lastError = new Error(`${new URL(url, 'http://localhost').host} responded with ${response.status}`);
+    } catch (error) {
+      lastError = error;
+    }
+  }
+  throw lastError;
+}
@@ -0,0 +1,30 @@
+// Leaderboard time windows and the opt-out message wallets sign.
+// Shared by the API routes (server) and the dashboards (browser), so it must
+// not import Node-only modules.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Windows offered by GET /api/leaderboard?window=, in days (null for all time)
+export const LEADERBOARD_WINDOWS = {
+  all: null,
+  '7d': 7,
+  '30d': 30,
+  '90d': 90,
+  '365d': 365
+};
+
+// Signed opt-out requests are accepted for this long after they were signed
+export const OPT_OUT_SIGNATURE_TTL_MS = 10 * 60 * 1000;
+
+// ISO timestamp a window starts at, or null for all time
+export function getWindowStart(window, now = Date.now()) {
+  const days = LEADERBOARD_WINDOWS[window];
+  return days ? new Date(now - days * DAY_MS).toISOString() : null;
+}
+
+/**
+ * Message a wallet signs to hide itself from (or show itself on) the public
+ * leaderboard. `timestamp` is an ISO string; the server rejects stale ones.
+ */
+export const getOptOutMessage = (address, hidden, timestamp) =>
+  `CERTIMOS leaderboard: ${hidden ? 'hide' : 'show'} ${address.toLowerCase()} (${timestamp})`;
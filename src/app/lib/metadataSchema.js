@@ -0,0 +1,342 @@
+// Certificate metadata: the versioned schema new tokens are written with,
+// a validator used before upload and on read, and a normalizer that gives
+// old (unversioned) and new tokens the same flat shape for display.
+// Shared by the API routes (server) and the dashboards (browser), so it must
+// not import Node-only modules.
+
+import { RARITY_LEVELS } from './scoring.js';
+
+export const METADATA_SCHEMA_VERSION = '1.0.0';
+
+export const CERTIFICATE_TYPES = ['participation', 'completion', 'speaker', 'winner', 'custom'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * JSON Schema for version 1.0.0. Extends the ERC-721 metadata schema; the
+ * `openbadge` member is an Open Badges 2.0 Assertion for badge wallets.
+ */
+export const CERTIFICATE_METADATA_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: `certimos:certificate-metadata:${METADATA_SCHEMA_VERSION}`,
+  title: 'CERTIMOS certificate metadata',
+  type: 'object',
+  required: ['schema_version', 'name', 'description', 'attributes', 'properties'],
+  properties: {
+    schema_version: { const: METADATA_SCHEMA_VERSION },
+    name: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    image: { type: ['string', 'null'] },
+    external_url: { type: 'string' },
+    attributes: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['trait_type', 'value'],
+        properties: {
+          trait_type: { type: 'string' },
+          value: { type: ['string', 'number'] },
+          display_type: { type: 'string' }
+        }
+      }
+    },
+    properties: {
+      type: 'object',
+      required: ['participant', 'event', 'certificateName', 'certificateType', 'issueDate'],
+      properties: {
+        participant: { type: 'string', minLength: 1 },
+        event: { type: 'string', minLength: 1 },
+        certificateName: { type: 'string', minLength: 1 },
+        certificateType: { enum: CERTIFICATE_TYPES },
+        certificateTypeLabel: { type: 'string' },
+        level: { type: ['string', 'null'] },
+        skills: { type: 'array', items: { type: 'string' } },
+        issueDate: { type: 'string', pattern: DATE_PATTERN.source },
+        expiresAt: { type: ['string', 'null'], pattern: DATE_PATTERN.source },
+        role: { type: ['string', 'null'] },
+        team: { type: ['string', 'null'] },
+        score: { type: ['number', 'null'] },
+        customAttributes: { type: 'object', additionalProperties: { type: 'string' } },
+        points: { type: 'integer', minimum: 0 },
+        rarity: { enum: RARITY_LEVELS },
+        category: { type: 'string' },
+        batchSize: { type: ['integer', 'null'], minimum: 1 },
+        contractName: { type: ['string', 'null'] },
+        contractAddress: { type: ['string', 'null'] },
+        network: { type: ['string', 'null'] },
+        tokenId: { type: ['string', 'null'] }
+      }
+    },
+    openbadge: {
+      type: 'object',
+      required: ['@context', 'type', 'recipient', 'badge', 'issuedOn'],
+      properties: {
+        '@context': { const: 'https://w3id.org/openbadges/v2' },
+        type: { const: 'Assertion' }
+      }
+    }
+  }
+};
+
+const isString = (value) => typeof value === 'string';
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const titleCase = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+export const getCertificateTypeLabel = (type, label) =>
+  (type === 'custom' && label) || titleCase(type || 'participation');
+
+// ERC-721 shape every certificate must have, whatever its version
+function validateBase(metadata, errors) {
+  if (!isString(metadata.name) || !metadata.name.trim()) {
+    errors.push('name must be a non-empty string');
+  }
+  for (const field of ['description', 'image', 'external_url']) {
+    if (metadata[field] !== undefined && metadata[field] !== null && !isString(metadata[field])) {
+      errors.push(`${field} must be a string`);
+    }
+  }
+
+  if (metadata.attributes !== undefined) {
+    if (!Array.isArray(metadata.attributes)) {
+      errors.push('attributes must be an array');
+    } else {
+      metadata.attributes.forEach((attribute, index) => {
+        if (!isObject(attribute) || !isString(attribute.trait_type)) {
+          errors.push(`attributes[${index}] must have a trait_type`);
+        } else if (!isString(attribute.value) && typeof attribute.value !== 'number') {
+          errors.push(`attributes[${index}] (${attribute.trait_type}) must have a string or number value`);
+        }
+      });
+    }
+  }
+
+  if (metadata.properties !== undefined && !isObject(metadata.properties)) {
+    errors.push('properties must be an object');
+  }
+}
+
+// Version 1.0.0 requirements, mirroring CERTIFICATE_METADATA_SCHEMA
+function validateV1(metadata, errors) {
+  if (!isString(metadata.description)) errors.push('description is required');
+  if (!Array.isArray(metadata.attributes)) errors.push('attributes is required');
+  if (!isObject(metadata.properties)) {
+    errors.push('properties is required');
+    return;
+  }
+
+  const { properties } = metadata;
+  for (const field of ['participant', 'event', 'certificateName']) {
+    if (!isString(properties[field]) || !properties[field].trim()) {
+      errors.push(`properties.${field} must be a non-empty string`);
+    }
+  }
+  if (!CERTIFICATE_TYPES.includes(properties.certificateType)) {
+    errors.push(`properties.certificateType must be one of ${CERTIFICATE_TYPES.join(', ')}`);
+  }
+  if (properties.skills !== undefined && (!Array.isArray(properties.skills) || !properties.skills.every(isString))) {
+    errors.push('properties.skills must be a list of strings');
+  }
+  if (!DATE_PATTERN.test(properties.issueDate || '')) {
+    errors.push('properties.issueDate must be a YYYY-MM-DD date');
+  }
+  if (properties.expiresAt !== undefined && properties.expiresAt !== null) {
+    if (!DATE_PATTERN.test(properties.expiresAt)) {
+      errors.push('properties.expiresAt must be a YYYY-MM-DD date');
+    } else if (properties.expiresAt <= properties.issueDate) {
+      errors.push('properties.expiresAt must be after properties.issueDate');
+    }
+  }
+
+  for (const field of ['role', 'team']) {
+    if (properties[field] !== undefined && properties[field] !== null && !isString(properties[field])) {
+      errors.push(`properties.${field} must be a string`);
+    }
+  }
+  if (properties.score !== undefined && properties.score !== null && !Number.isFinite(properties.score)) {
+    errors.push('properties.score must be a number');
+  }
+  if (properties.customAttributes !== undefined
+    && (!isObject(properties.customAttributes) || !Object.values(properties.customAttributes).every(isString))) {
+    errors.push('properties.customAttributes must map names to strings');
+  }
+  if (properties.points !== undefined && (!Number.isInteger(properties.points) || properties.points < 0)) {
+    errors.push('properties.points must be a whole number of at least 0');
+  }
+  if (properties.rarity !== undefined && !RARITY_LEVELS.includes(properties.rarity)) {
+    errors.push(`properties.rarity must be one of ${RARITY_LEVELS.join(', ')}`);
+  }
+
+  if (metadata.openbadge !== undefined) {
+    const badge = metadata.openbadge;
+    if (!isObject(badge) || badge['@context'] !== 'https://w3id.org/openbadges/v2' || badge.type !== 'Assertion') {
+      errors.push('openbadge must be an Open Badges 2.0 Assertion');
+    } else if (!isObject(badge.recipient) || !isObject(badge.badge) || !isString(badge.issuedOn)) {
+      errors.push('openbadge must have a recipient, badge and issuedOn');
+    }
+  }
+}
+
+/**
+ * Check parsed metadata against the certificate schema. Tokens without a
+ * `schema_version` predate versioning and only need the ERC-721 shape.
+ * Returns { valid, version, errors } with one message per problem found.
+ */
+export function validateCertificateMetadata(metadata) {
+  if (!isObject(metadata)) {
+    return { valid: false, version: null, errors: ['Metadata must be a JSON object'] };
+  }
+
+  const errors = [];
+  const version = metadata.schema_version ?? null;
+  validateBase(metadata, errors);
+
+  if (version === METADATA_SCHEMA_VERSION) {
+    validateV1(metadata, errors);
+  } else if (version !== null) {
+    errors.push(`Unsupported schema_version: ${version}`);
+  }
+
+  return { valid: errors.length === 0, version, errors };
+}
+
+const getAttribute = (metadata, ...traitTypes) =>
+  metadata?.attributes?.find(attr => traitTypes.includes(attr?.trait_type))?.value;
+
+// Dates were written as ISO timestamps, plain dates or unix seconds over time
+function toDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = typeof value === 'number' ? new Date(value < 1e12 ? value * 1000 : value) : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().split('T')[0];
+}
+
+// Limits for admin-supplied options, so attributes stay readable in wallets
+const MAX_OPTION_LENGTH = 100;
+const MAX_SKILLS = 20;
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Skills arrive as a list or as text separated by commas, semicolons or pipes
+const parseSkills = (value) => (Array.isArray(value) ? value : String(value ?? '').split(/[,;|]/))
+  .map(skill => String(skill).trim())
+  .filter(Boolean);
+
+/**
+ * Check the certificate type, level, skills and expiry an admin chose for a
+ * batch or a single CSV row. Returns { values, errors }; `values` only holds
+ * the options that were given, so row overrides can be spread over the
+ * batch's `defaults`. expiresAt must fall after `today` (YYYY-MM-DD).
+ */
+export function validateCertificateOptions(input = {}, {
+  defaults = {},
+  today = new Date().toISOString().split('T')[0]
+} = {}) {
+  const values = {};
+  const errors = [];
+
+  if (!isBlank(input.certificateType)) {
+    const type = String(input.certificateType).trim().toLowerCase();
+    if (!CERTIFICATE_TYPES.includes(type)) {
+      errors.push(`certificateType must be one of ${CERTIFICATE_TYPES.join(', ')}`);
+    } else {
+      values.certificateType = type;
+    }
+  }
+
+  if (!isBlank(input.certificateTypeLabel)) {
+    values.certificateTypeLabel = String(input.certificateTypeLabel).trim();
+    if (values.certificateTypeLabel.length > MAX_OPTION_LENGTH) {
+      errors.push(`certificateTypeLabel must be at most ${MAX_OPTION_LENGTH} characters`);
+    }
+  }
+  if (values.certificateType === 'custom' && !(values.certificateTypeLabel || defaults.certificateTypeLabel)) {
+    errors.push('certificateTypeLabel is required for custom certificates');
+  }
+
+  if (!isBlank(input.level)) {
+    values.level = String(input.level).trim();
+    if (values.level.length > MAX_OPTION_LENGTH) {
+      errors.push(`level must be at most ${MAX_OPTION_LENGTH} characters`);
+    }
+  }
+
+  if (!isBlank(input.skills)) {
+    values.skills = parseSkills(input.skills);
+    if (values.skills.length > MAX_SKILLS) {
+      errors.push(`skills must list at most ${MAX_SKILLS} skills`);
+    }
+    if (values.skills.some(skill => skill.length > MAX_OPTION_LENGTH)) {
+      errors.push(`each skill must be at most ${MAX_OPTION_LENGTH} characters`);
+    }
+  }
+
+  if (!isBlank(input.expiresAt)) {
+    const expiresAt = String(input.expiresAt).trim();
+    if (!DATE_PATTERN.test(expiresAt) || toDate(expiresAt) !== expiresAt) {
+      errors.push('expiresAt must be a YYYY-MM-DD date');
+    } else if (expiresAt <= today) {
+      errors.push('expiresAt must be in the future');
+    } else {
+      values.expiresAt = expiresAt;
+    }
+  }
+
+  return { values, errors };
+}
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * One flat view of a certificate's metadata for display, the same for every
+ * schema version. Unversioned tokens are read from whichever of the legacy
+ * attribute names and top-level fields they carry.
+ */
+export function normalizeCertificateMetadata(metadata) {
+  if (!isObject(metadata)) return null;
+  const properties = isObject(metadata.properties) ? metadata.properties : {};
+
+  const type = String(
+    properties.certificateType || getAttribute(metadata, 'Certificate Type', 'Type') || 'participation'
+  ).toLowerCase();
+  const certificateType = CERTIFICATE_TYPES.includes(type) ? type : 'custom';
+  const certificateTypeLabel = properties.certificateTypeLabel
+    || (certificateType === 'custom' ? getAttribute(metadata, 'Certificate Type', 'Type') : null);
+
+  const skillAttributes = (metadata.attributes || [])
+    .filter(attr => isString(attr?.trait_type) && /^Skills?( \d+)?$/.test(attr.trait_type))
+    .flatMap(attr => String(attr.value).split(','));
+  const skills = (Array.isArray(properties.skills) ? properties.skills : skillAttributes)
+    .map(skill => String(skill).trim())
+    .filter(Boolean);
+
+  return {
+    schemaVersion: metadata.schema_version || null,
+    name: metadata.name || null,
+    description: metadata.description || '',
+    image: metadata.image || null,
+    externalUrl: metadata.external_url || null,
+    recipient: properties.participant || getAttribute(metadata, 'Recipient') || metadata.recipient_name || null,
+    event: properties.event || getAttribute(metadata, 'Event') || metadata.event_name || null,
+    certificateName: properties.certificateName || getAttribute(metadata, 'Certificate Name') || null,
+    certificateType,
+    certificateTypeLabel: getCertificateTypeLabel(certificateType, certificateTypeLabel),
+    level: properties.level || getAttribute(metadata, 'Level') || null,
+    skills,
+    issueDate: toDate(properties.issueDate || getAttribute(metadata, 'Date Issued', 'Issue Date') || metadata.date_issued),
+    expiresAt: toDate(properties.expiresAt || getAttribute(metadata, 'Expiry Date', 'Expires')),
+    role: properties.role || getAttribute(metadata, 'Role') || null,
+    team: properties.team || getAttribute(metadata, 'Team') || null,
+    score: toNumber(properties.score ?? getAttribute(metadata, 'Score')),
+    customAttributes: isObject(properties.customAttributes) ? properties.customAttributes : {},
+    contractName: properties.contractName || getAttribute(metadata, 'Contract') || null,
+    attributes: Array.isArray(metadata.attributes) ? metadata.attributes : []
+  };
+}
+
+// Certificates lapse at the start of their expiry date (UTC), as their Open Badges assertion says
+export const isCertificateExpired = (expiresAt, today = new Date().toISOString().slice(0, 10)) =>
+  Boolean(expiresAt) && expiresAt <= today;
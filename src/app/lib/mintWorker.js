@@ -0,0 +1,587 @@
+import { ethers } from 'ethers';
+import IPFSService from './ipfs.js';
+import { getBatch, listBatches, updateBatch, getBatchTemplate, resetFailedRows } from './repositories/batches.js';
+import { updateCertificate, findMintedCertificate } from './repositories/certificates.js';
+import { recordAuditEvent } from './repositories/auditEvents.js';
+import { CERTIFICATE_CONTRACT_ABI } from './contracts/CertimosCertificate.js';
+import { getProvider, getExplorerTxUrl } from './networks.js';
+import { renderCertificate, buildTemplateFields } from './certificateRenderer.js';
+import { getVerifyUrl, fetchMetadata } from './verify.js';
+import { evaluateScore } from './scoring.js';
+import { getScoringRules } from './repositories/settings.js';
+import { createTransactionSender } from './transactionSender.js';
+import { supportsMintBatch, estimateMintBatchSize } from './gasEstimate.js';
+
+// Mint transactions submitted before waiting for the oldest to confirm; 1 mints one at a time
+const MINT_MAX_IN_FLIGHT = Number(process.env.MINT_MAX_IN_FLIGHT ?? 5);
+
+// How long a submitted transaction may go unmined before its rows fail, freeing its slot
+const MINT_CONFIRMATION_TIMEOUT_MS = Number(process.env.MINT_CONFIRMATION_TIMEOUT_MS ?? 180000);
+
+// Optional pause between mint submissions to go easy on the RPC endpoint
+const MINT_DELAY_MS = Number(process.env.MINT_DELAY_MS ?? 0);
+
+// Queue state lives on globalThis so every route bundle shares one worker
+const queue = globalThis.__certimosMintQueue || {
+  pending: [],
+  running: false,
+  resumed: false
+};
+globalThis.__certimosMintQueue = queue;
+
+// Row states that still need work from the worker
+const OPEN_ROW_STATES = ['pending', 'uploaded'];
+
+const certificateInterface = new ethers.Interface(CERTIFICATE_CONTRACT_ABI);
+
+/**
+ * Tokens minted by `contractAddress` in a transaction, as { to, tokenId } in
+ * log order, read from the ERC-721 Transfer events in its receipt.
+ */
+export function getMintedTokens(receipt, contractAddress) {
+  const minted = [];
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== contractAddress.toLowerCase()) continue;
+    const event = certificateInterface.parseLog(log);
+    if (event?.name === 'Transfer' && event.args.from === ethers.ZeroAddress) {
+      minted.push({ to: event.args.to.toLowerCase(), tokenId: event.args.tokenId.toString() });
+    }
+  }
+  return minted;
+}
+
+// The token a row's mint transaction gave its wallet; the receipt, not tokenIdCounter, is authoritative
+function getRowTokenId(receipt, contractAddress, row) {
+  const minted = getMintedTokens(receipt, contractAddress)
+    .find(token => token.to === row.walletAddress.toLowerCase());
+  if (!minted) {
+    throw new Error(`Transaction ${receipt.hash} has no Transfer event minting to ${row.walletAddress}`);
+  }
+  return minted.tokenId;
+}
+
+// Everything needed to render, pin and mint a job's rows. All transactions go
+// through `sender`, which owns the deployer wallet's nonces.
+async function createJobContext(job) {
+  const { contractAddress, network } = job.params;
+  const provider = getProvider(network);
+  const wallet = new ethers.Wallet(process.env.DEPLOYER_PRIVATE_KEY, provider);
+
+  return {
+    job,
+    provider,
+    contract: new ethers.Contract(contractAddress, CERTIFICATE_CONTRACT_ABI, wallet),
+    sender: createTransactionSender(wallet, {
+      maxInFlight: MINT_MAX_IN_FLIGHT,
+      confirmationTimeoutMs: MINT_CONFIRMATION_TIMEOUT_MS
+    }),
+    ipfsService: new IPFSService(),
+    template: await getBatchTemplate(job.id),
+    // One issue date per batch keeps re-rendered images and metadata identical on retry
+    issueDate: new Date(job.createdAt),
+    // Batches queued before scoring rules existed use the current ones
+    scoringRules: job.params.scoringRules || (await getScoringRules()).rules
+  };
+}
+
+/**
+ * Render a row's certificate and pin its image and metadata for `tokenId`.
+ * Returns { tokenURI, ipfs } for the row; `ipfs.tokenId` records the token
+ * ID the metadata names.
+ */
+async function pinCertificate(context, row, tokenId, onStage = () => {}) {
+  const { job, ipfsService, template, issueDate, scoringRules } = context;
+  const { eventName, certificateName, contractAddress, contractName, network } = job.params;
+
+  // Per-row CSV fields win over the batch's options
+  const rowFields = { ...job.params.certificateOptions, ...row.overrides };
+  const rowCertificateName = rowFields.certificateName || certificateName;
+
+  onStage('render');
+  const rendered = await renderCertificate({
+    template,
+    layout: job.params.templateLayout,
+    fields: buildTemplateFields({
+      participantName: row.participant,
+      eventName,
+      certificateName: rowCertificateName,
+      tokenId,
+      verifyUrl: getVerifyUrl({ tokenId, contractAddress, network }),
+      issueDate
+    })
+  });
+
+  const { breakdown, ...scoring } = evaluateScore({
+    certificateType: rowFields.certificateType,
+    eventName,
+    contractAddress,
+    batchSize: job.rows.length
+  }, scoringRules);
+
+  onStage('upload');
+  const ipfsResult = await ipfsService.uploadCertificateBundle({
+    ...rowFields,
+    scoring: { ...scoring, batchSize: breakdown.batchSize },
+    participantName: row.participant,
+    walletAddress: ethers.getAddress(row.walletAddress),
+    eventName,
+    certificateName: rowCertificateName,
+    tokenId,
+    contractName,
+    contractAddress,
+    network,
+    issueDate,
+    image: { buffer: rendered.buffer, filename: `certificate-${tokenId}.${rendered.extension}` }
+  });
+
+  return {
+    tokenURI: ipfsResult.tokenURI,
+    ipfs: {
+      imageHash: ipfsResult.image?.ipfsHash || null,
+      metadataHash: ipfsResult.metadata.ipfsHash,
+      tokenId,
+      bytesUploaded: ipfsResult.bytesUploaded,
+      bytesSaved: ipfsResult.bytesSaved
+    }
+  };
+}
+
+// Re-pin a minted row whose metadata names another token ID and point the token at it
+async function finalizeTokenMetadata(context, row, tokenId) {
+  const pinned = await pinCertificate(context, row, tokenId);
+  const { confirmation } = await context.sender.submit(overrides =>
+    context.contract.setTokenURI(tokenId, pinned.tokenURI, overrides)
+  );
+  await confirmation;
+  await updateCertificate(row.id, { tokenURI: pinned.tokenURI, ipfs: pinned.ipfs });
+}
+
+/**
+ * Record a confirmed mint with the token ID from its receipt. Metadata pinned
+ * under a different (predicted) ID is finalized; if that fails the row stays
+ * minted with the error, for the reconciliation check to pick up.
+ */
+async function recordMintedRow(context, row, receipt) {
+  const { contractAddress, network } = context.job.params;
+  const tokenId = getRowTokenId(receipt, contractAddress, row);
+
+  await updateCertificate(row.id, {
+    status: 'minted',
+    tokenId,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed.toString(),
+    explorerUrl: getExplorerTxUrl(network, receipt.hash),
+    error: null,
+    failedStage: null
+  });
+
+  if (row.tokenId === tokenId) return;
+  try {
+    await finalizeTokenMetadata(context, row, tokenId);
+  } catch (error) {
+    console.error(`[job ${context.job.id}] Failed to finalize metadata for token ${tokenId}:`, error);
+    await updateCertificate(row.id, {
+      failedStage: 'finalize',
+      error: `Metadata names token ${row.tokenId}: ${error.message || 'Unknown error'}`
+    });
+  }
+}
+
+// A row interrupted after submitting its transaction may already be minted
+async function reconcileSubmittedRow(context, row) {
+  const { provider } = context;
+  let receipt = await provider.getTransactionReceipt(row.transactionHash);
+  if (!receipt && await provider.getTransaction(row.transactionHash)) {
+    receipt = await provider.waitForTransaction(row.transactionHash, 1, 120000);
+  }
+  if (!receipt || receipt.status !== 1) {
+    // Dropped or reverted transactions minted nothing, so it is safe to submit again
+    await updateCertificate(row.id, { transactionHash: null });
+    return false;
+  }
+
+  await recordMintedRow(context, row, receipt);
+  return true;
+}
+
+// Wait for a submitted mint while the job goes on submitting the next rows; true once minted
+async function confirmMint(context, row, confirmation) {
+  const { job } = context;
+  try {
+    await recordMintedRow(context, row, await confirmation);
+    return true;
+  } catch (error) {
+    console.error(`[job ${job.id}] ❌ Failed to mint certificate for ${row.participant}:`, error);
+    await updateCertificate(row.id, {
+      status: 'failed',
+      failedStage: 'mint',
+      error: error.message || 'Unknown error'
+    });
+    return false;
+  }
+}
+
+/**
+ * Mint a group of pinned rows ({ ...row, tokenId, tokenURI }) with one
+ * mintBatch transaction. Every row records the shared transaction hash, and
+ * each gets its token ID from its own Transfer event in the receipt.
+ * Returns the rows' confirmMint promises; throws if the batch is not sent.
+ * `onFailed` runs if the transaction is sent but never confirms.
+ */
+async function submitMintBatch(context, rows, onFailed) {
+  const { contract, sender } = context;
+  const { tx, confirmation } = await sender.submit(overrides =>
+    contract.mintBatch(rows.map(row => row.walletAddress), rows.map(row => row.tokenURI), overrides)
+  );
+  // Wait on the confirmation before any other await, so a quick revert is never left unhandled
+  confirmation.catch(onFailed);
+  const confirmed = rows.map(row => confirmMint(context, row, confirmation));
+  for (const row of rows) {
+    await updateCertificate(row.id, { transactionHash: tx.hash });
+  }
+  return confirmed;
+}
+
+// Transaction counts from the sender (metadata fixes included) and mints per minute over a run
+const measureThroughput = (stats, minted, startedAt, { mintMode, batchSize }) => {
+  const durationMs = Date.now() - startedAt;
+  return {
+    mintMode,
+    batchSize,
+    maxInFlight: stats.maxInFlight,
+    submitted: stats.submitted,
+    confirmed: stats.confirmed,
+    failed: stats.failed,
+    nonceRecoveries: stats.nonceRecoveries,
+    minted,
+    durationMs,
+    mintsPerMinute: durationMs > 0 ? Math.round((minted / durationMs) * 60000 * 10) / 10 : 0
+  };
+};
+
+async function runMintJob(jobId) {
+  const job = await getBatch(jobId);
+  if (!job) {
+    throw new Error(`Job ${jobId} not found`);
+  }
+  await updateBatch(jobId, {
+    status: 'running',
+    startedAt: job.startedAt || new Date().toISOString(),
+    finishedAt: null
+  });
+
+  const { eventName, contractAddress, network } = job.params;
+  const context = await createJobContext(job);
+  const { contract, sender } = context;
+  const runStartedAt = Date.now();
+
+  const openRows = job.rows.filter(row => OPEN_ROW_STATES.includes(row.status));
+  const confirmations = [];
+  // Token ID the next pinned row should get; tokenIdCounter does not count mints still in flight
+  let nextTokenId = 0n;
+  // A mint that is sent but fails uses up no token IDs, so rows pinned after it predict that many fewer
+  const releaseTokenIds = (count) => () => {
+    nextTokenId -= BigInt(count);
+  };
+
+  // Batches queued before mint modes existed mint one row per transaction
+  let mintMode = job.params.mintMode || 'single';
+  if (mintMode === 'batch' && openRows.length > 1 && !(await supportsMintBatch(contract))) {
+    mintMode = 'single';
+  }
+  let batchSize = mintMode === 'batch' ? null : 1;
+  let pendingBatch = [];
+
+  // Send the rows collected for mintBatch; a failed send fails them all
+  const flushBatch = async () => {
+    const rows = pendingBatch;
+    pendingBatch = [];
+    if (rows.length === 0) return;
+    try {
+      confirmations.push(...await submitMintBatch(context, rows, releaseTokenIds(rows.length)));
+    } catch (error) {
+      console.error(`[job ${jobId}] ❌ Failed to submit mintBatch:`, error);
+      // Nothing was minted, so the next row gets the first of these IDs
+      releaseTokenIds(rows.length)();
+      for (const row of rows) {
+        await updateCertificate(row.id, { status: 'failed', failedStage: 'mint', error: error.message || 'Unknown error' });
+      }
+    }
+  };
+
+  for (let i = 0; i < openRows.length; i++) {
+    const row = openRows[i];
+    let stage = 'upload';
+
+    try {
+      if (row.transactionHash) {
+        stage = 'mint';
+        if (await reconcileSubmittedRow(context, row)) {
+          continue;
+        }
+      }
+
+      const existing = await findMintedCertificate({
+        network,
+        contractAddress,
+        eventName,
+        walletAddress: row.walletAddress
+      });
+      if (existing) {
+        await updateCertificate(row.id, {
+          status: 'skipped',
+          tokenId: existing.tokenId,
+          duplicateOf: {
+            jobId: existing.batchId,
+            rowIndex: existing.index,
+            tokenId: existing.tokenId,
+            transactionHash: existing.transactionHash
+          },
+          error: null,
+          failedStage: null
+        });
+        continue;
+      }
+
+      // Uploaded rows keep their tokenURI, so a retry never re-pins the bundle.
+      // The image and metadata name the token ID the contract should assign
+      // next; recordMintedRow corrects them if the mint was given another one.
+      const counter = await contract.tokenIdCounter();
+      const expectedTokenId = counter > nextTokenId ? counter : nextTokenId;
+      let { tokenURI, tokenId } = row;
+      if (row.status === 'pending') {
+        tokenId = expectedTokenId.toString();
+
+        const pinned = await pinCertificate(context, row, tokenId, next => { stage = next; });
+        tokenURI = pinned.tokenURI;
+
+        await updateCertificate(row.id, {
+          status: 'uploaded',
+          tokenId,
+          tokenURI,
+          ipfs: pinned.ipfs,
+          error: null,
+          failedStage: null
+        });
+      }
+
+      stage = 'mint';
+      if (mintMode === 'batch' && batchSize === null) {
+        try {
+          batchSize = await estimateMintBatchSize(contract, tokenURI);
+        } catch {
+          // Contracts whose mintBatch cannot be simulated get one certificate per transaction
+          mintMode = 'single';
+          batchSize = 1;
+        }
+      }
+      if (mintMode === 'batch') {
+        nextTokenId = expectedTokenId + 1n;
+        pendingBatch.push({ ...row, tokenId, tokenURI });
+        if (pendingBatch.length >= batchSize) {
+          await flushBatch();
+        }
+        continue;
+      }
+
+      // Mint certificate, recording the hash before confirming so a crash can be reconciled
+      const { tx, confirmation } = await sender.submit(overrides =>
+        contract.mintCertificate(row.walletAddress, tokenURI, overrides)
+      );
+      nextTokenId = expectedTokenId + 1n;
+      confirmation.catch(releaseTokenIds(1));
+      confirmations.push(confirmMint(context, { ...row, tokenId }, confirmation));
+      await updateCertificate(row.id, { transactionHash: tx.hash });
+    } catch (error) {
+      console.error(`[job ${jobId}] ❌ Failed to mint certificate for ${row.participant}:`, error);
+
+      await updateCertificate(row.id, {
+        status: 'failed',
+        failedStage: stage,
+        error: error.message || 'Unknown error'
+      });
+    }
+
+    if (i < openRows.length - 1 && MINT_DELAY_MS > 0) {
+      await new Promise(resolve => setTimeout(resolve, MINT_DELAY_MS));
+    }
+  }
+
+  await flushBatch();
+  const minted = (await Promise.all(confirmations)).filter(Boolean).length;
+
+  const throughput = measureThroughput(sender.stats(), minted, runStartedAt, { mintMode, batchSize });
+  await updateBatch(jobId, { status: 'completed', finishedAt: new Date().toISOString(), throughput });
+
+  const { progress } = await getBatch(jobId);
+  await recordAuditEvent({
+    type: 'batch.completed',
+    subjectType: 'batch',
+    subjectId: jobId,
+    data: { ...progress, throughput }
+  });
+}
+
+// Token ID a minted row's metadata names; rows pinned before it was recorded read it from IPFS
+async function getMetadataTokenId(row) {
+  if (row.ipfs?.tokenId) return String(row.ipfs.tokenId);
+  const metadata = await fetchMetadata(row.tokenURI);
+  return metadata?.properties?.tokenId ?? null;
+}
+
+/**
+ * Check a job's minted rows against their receipts: the token ID each mint
+ * was given, the ID recorded for the row and the ID its metadata names.
+ * Returns { checked, mismatches } with one { rowIndex, participant,
+ * transactionHash, mintedTokenId, recordedTokenId, metadataTokenId, issues,
+ * fixed } entry per row that disagrees. With `fix`, recorded IDs are
+ * corrected and mismatched metadata is re-pinned and set on the token.
+ */
+export async function reconcileTokenIds(jobId, { fix = false } = {}) {
+  const job = await getBatch(jobId);
+  if (!job) {
+    throw new Error(`Job ${jobId} not found`);
+  }
+
+  const { contractAddress, network } = job.params;
+  const provider = getProvider(network);
+  // Signing is only needed to repair metadata
+  const context = fix ? await createJobContext(job) : null;
+
+  const mintedRows = job.rows.filter(row => row.status === 'minted' && row.transactionHash);
+  const mismatches = [];
+
+  for (const row of mintedRows) {
+    const mismatch = {
+      rowIndex: row.index,
+      participant: row.participant,
+      transactionHash: row.transactionHash,
+      mintedTokenId: null,
+      recordedTokenId: row.tokenId,
+      metadataTokenId: null,
+      issues: [],
+      fixed: false
+    };
+
+    const receipt = await provider.getTransactionReceipt(row.transactionHash);
+    mismatch.mintedTokenId = receipt
+      ? getMintedTokens(receipt, contractAddress).find(token => token.to === row.walletAddress.toLowerCase())?.tokenId ?? null
+      : null;
+    if (!mismatch.mintedTokenId) {
+      mismatches.push({ ...mismatch, issues: ['No mint to this wallet found in the transaction receipt'] });
+      continue;
+    }
+
+    let metadataReadable = true;
+    try {
+      mismatch.metadataTokenId = await getMetadataTokenId(row);
+    } catch (error) {
+      metadataReadable = false;
+      mismatch.issues.push(`Metadata could not be read: ${error.message}`);
+    }
+
+    if (mismatch.recordedTokenId !== mismatch.mintedTokenId) {
+      mismatch.issues.push(`Recorded as token ${mismatch.recordedTokenId}`);
+    }
+    const metadataMismatch = mismatch.metadataTokenId !== null && mismatch.metadataTokenId !== mismatch.mintedTokenId;
+    if (metadataMismatch) {
+      mismatch.issues.push(`Metadata names token ${mismatch.metadataTokenId}`);
+    }
+    if (mismatch.issues.length === 0) continue;
+
+    if (fix) {
+      try {
+        await updateCertificate(row.id, { tokenId: mismatch.mintedTokenId });
+        if (metadataMismatch) {
+          await finalizeTokenMetadata(context, row, mismatch.mintedTokenId);
+        }
+        if (metadataReadable) {
+          await updateCertificate(row.id, { error: null, failedStage: null });
+          mismatch.fixed = true;
+        }
+      } catch (error) {
+        console.error(`[job ${jobId}] Failed to reconcile token ${mismatch.mintedTokenId}:`, error);
+        mismatch.issues.push(`Fix failed: ${error.message || 'Unknown error'}`);
+      }
+    }
+    mismatches.push(mismatch);
+  }
+
+  return { checked: mintedRows.length, mismatches };
+}
+
+async function processQueue() {
+  if (queue.running) return;
+  queue.running = true;
+
+  try {
+    while (queue.pending.length > 0) {
+      const jobId = queue.pending.shift();
+      try {
+        await runMintJob(jobId);
+      } catch (error) {
+        console.error(`[job ${jobId}] Bulk minting job failed:`, error);
+        await updateBatch(jobId, {
+          status: 'failed',
+          error: error.message || 'Unknown error',
+          finishedAt: new Date().toISOString()
+        }).catch(() => {});
+        await recordAuditEvent({
+          type: 'batch.failed',
+          subjectType: 'batch',
+          subjectId: jobId,
+          data: { error: error.message || 'Unknown error' }
+        }).catch(() => {});
+      }
+    }
+  } finally {
+    queue.running = false;
+  }
+}
+
+// Pick up jobs that were queued or interrupted mid-run before the server restarted
+async function resumeQueuedJobs() {
+  if (queue.resumed) return;
+  queue.resumed = true;
+
+  try {
+    for (const job of await listBatches({ status: ['queued', 'running'] })) {
+      if (!queue.pending.includes(job.id)) {
+        queue.pending.push(job.id);
+      }
+    }
+  } catch (error) {
+    queue.resumed = false;
+    console.error('Failed to resume queued jobs:', error);
+  }
+}
+
+export async function enqueueMintJob(jobId) {
+  await resumeQueuedJobs();
+  if (!queue.pending.includes(jobId)) {
+    queue.pending.push(jobId);
+  }
+  processQueue();
+}
+
+/**
+ * Put the failed rows of a finished job back into the queue.
+ * Rows that already reached IPFS resume at the mint step.
+ */
+export async function retryFailedRows(jobId) {
+  await resetFailedRows(jobId);
+  await enqueueMintJob(jobId);
+  return getBatch(jobId);
+}
+
+export function getQueuePosition(jobId) {
+  const position = queue.pending.indexOf(jobId);
+  return position === -1 ? null : position + 1;
+}
+
+export async function startMintWorker() {
+  await resumeQueuedJobs();
+  if (queue.pending.length > 0) {
+    processQueue();
+  }
+}
@@ -0,0 +1,181 @@
+import { ethers } from 'ethers';
+
+// Single source of truth for the EVM networks CERTIMOS can deploy to and read from.
+// Shared by the API routes (server) and the dashboards (browser), so it must not
+// import Node-only modules.
+
+const BUILT_IN_NETWORKS = {
+  localhost: {
+    name: 'Local Development',
+    chainId: 1337,
+    rpcUrls: ['http://localhost:8545'],
+    currency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+    explorerUrl: null,
+    description: 'Local development network (Hardhat/Ganache)',
+    testnet: true
+  },
+  apothem: {
+    name: 'XDC Apothem Testnet',
+    chainId: 51,
+    rpcUrls: ['https://rpc.apothem.network', 'https://erpc.apothem.network'],
+    currency: { name: 'XDC', symbol: 'TXDC', decimals: 18 },
+    explorerUrl: 'https://testnet.xdcscan.com',
+    description: 'XDC Network testnet for development and testing',
+    faucet: 'https://faucet.apothem.network',
+    addressPrefix: 'xdc',
+    testnet: true
+  },
+  'xdc-mainnet': {
+    name: 'XDC Mainnet',
+    chainId: 50,
+    rpcUrls: ['https://rpc.xinfin.network', 'https://erpc.xinfin.network'],
+    currency: { name: 'XDC', symbol: 'XDC', decimals: 18 },
+    explorerUrl: 'https://xdcscan.com',
+    description: 'XDC Network mainnet for production use',
+    addressPrefix: 'xdc',
+    testnet: false
+  }
+};
+
+// Explorer paths follow the Etherscan layout unless a network overrides them
+const DEFAULT_EXPLORER_PATHS = {
+  tx: '/tx/{hash}',
+  address: '/address/{address}',
+  token: '/token/{contract}/{tokenId}'
+};
+
+const normalizeNetwork = (key, config) => ({
+  key,
+  name: config.name || key,
+  chainId: Number(config.chainId),
+  rpcUrls: config.rpcUrls || (config.rpcUrl ? [config.rpcUrl] : []),
+  currency: { name: 'Ether', symbol: 'ETH', decimals: 18, ...config.currency },
+  explorerUrl: config.explorerUrl ? config.explorerUrl.replace(/\/$/, '') : null,
+  explorerPaths: { ...DEFAULT_EXPLORER_PATHS, ...config.explorerPaths },
+  description: config.description || '',
+  faucet: config.faucet || null,
+  // How wallets on this network usually display addresses: '0x' or 'xdc'
+  addressPrefix: config.addressPrefix === 'xdc' ? 'xdc' : '0x',
+  testnet: Boolean(config.testnet)
+});
+
+/**
+ * Custom EVM networks from NEXT_PUBLIC_CUSTOM_NETWORKS, a JSON object keyed by
+ * network id, e.g. {"sepolia": {"name": "Sepolia", "chainId": 11155111,
+ * "rpcUrls": ["https://..."], "currency": {"symbol": "ETH"},
+ * "explorerUrl": "https://sepolia.etherscan.io"}}.
+ * Entries with a built-in key override that network.
+ */
+const loadCustomNetworks = () => {
+  const raw = process.env.NEXT_PUBLIC_CUSTOM_NETWORKS;
+  if (!raw) return {};
+
+  try {
+    const parsed = JSON.parse(raw);
+    return Object.fromEntries(
+      Object.entries(parsed).filter(([key, config]) => {
+        const valid = config && Number.isInteger(Number(config.chainId)) && (config.rpcUrls?.length || config.rpcUrl);
+        if (!valid) {
+          console.error(`Ignoring custom network "${key}": chainId and rpcUrls are required`);
+        }
+        return valid;
+      })
+    );
+  } catch (error) {
+    console.error('Invalid NEXT_PUBLIC_CUSTOM_NETWORKS configuration:', error);
+    return {};
+  }
+};
+
+export const NETWORKS = Object.fromEntries(
+  Object.entries({ ...BUILT_IN_NETWORKS, ...loadCustomNetworks() })
+    .map(([key, config]) => [key, normalizeNetwork(key, config)])
+);
+
+// Own keys only, so request input like `constructor` is not mistaken for a network
+export const isSupportedNetwork = (key) => typeof key === 'string' && Object.hasOwn(NETWORKS, key);
+
+export const getNetwork = (key) => (isSupportedNetwork(key) ? NETWORKS[key] : null);
+
+export const DEFAULT_NETWORK = isSupportedNetwork(process.env.NEXT_PUBLIC_DEFAULT_NETWORK)
+  ? process.env.NEXT_PUBLIC_DEFAULT_NETWORK
+  : 'apothem';
+
+// Contract the dashboards and verify page read from when no contract is given.
+// It lives on DEFAULT_NETWORK and is registered there by migration 011.
+export const DEFAULT_CONTRACT_ADDRESS =
+  process.env.NEXT_PUBLIC_DEFAULT_CONTRACT_ADDRESS || '0x9b40c3c0656434fd89bC50671a29d1814EDA8079';
+
+export const getSupportedNetworks = () => Object.keys(NETWORKS);
+
+export const getNetworkByChainId = (chainId) =>
+  Object.values(NETWORKS).find(network => network.chainId === Number(chainId)) || null;
+
+const buildExplorerUrl = (key, type, values) => {
+  const network = getNetwork(key);
+  if (!network?.explorerUrl) return null;
+
+  const pathTemplate = network.explorerPaths[type];
+  return network.explorerUrl + pathTemplate.replace(/\{(\w+)\}/g, (_, name) => encodeURIComponent(values[name] ?? ''));
+};
+
+export const getExplorerTxUrl = (key, hash) => buildExplorerUrl(key, 'tx', { hash });
+
+export const getExplorerAddressUrl = (key, address) => buildExplorerUrl(key, 'address', { address });
+
+export const getExplorerTokenUrl = (key, contract, tokenId) =>
+  buildExplorerUrl(key, 'token', { contract, tokenId });
+
+/**
+ * JSON-RPC provider for a network. Networks with several RPC URLs get a
+ * FallbackProvider that moves on to the next endpoint when one stalls or fails.
+ */
+export function getProvider(key) {
+  const network = getNetwork(key);
+  if (!network) {
+    throw new Error(`Unsupported network: ${key}`);
+  }
+
+  const staticNetwork = ethers.Network.from(network.chainId);
+  const providers = network.rpcUrls.map(url =>
+    new ethers.JsonRpcProvider(url, staticNetwork, { staticNetwork })
+  );
+
+  if (providers.length === 1) {
+    return providers[0];
+  }
+
+  return new ethers.FallbackProvider(
+    providers.map((provider, index) => ({ provider, priority: index + 1, stallTimeout: 2000 })),
+    staticNetwork,
+    { quorum: 1 }
+  );
+}
+
+// Parameters for wallet_addEthereumChain / wallet_switchEthereumChain
+export function getWalletChainParams(key) {
+  const network = getNetwork(key);
+  if (!network) return null;
+
+  return {
+    chainId: `0x${network.chainId.toString(16)}`,
+    chainName: network.name,
+    nativeCurrency: network.currency,
+    rpcUrls: network.rpcUrls,
+    blockExplorerUrls: network.explorerUrl ? [network.explorerUrl] : []
+  };
+}
+
+// Public view of a network for API responses
+export const describeNetwork = (network) => ({
+  name: network.name,
+  chainId: network.chainId,
+  rpcUrl: network.rpcUrls[0],
+  rpcUrls: network.rpcUrls,
+  currency: network.currency.symbol,
+  nativeCurrency: network.currency,
+  explorerUrl: network.explorerUrl,
+  description: network.description,
+  ...(network.faucet && { faucet: network.faucet }),
+  testnet: network.testnet
+});
@@ -0,0 +1,192 @@
+import Papa from 'papaparse';
+import { validateCertificateOptions } from './metadataSchema.js';
+import { normalizeAddress, describeAddressError } from './address.js';
+
+// Participant CSV schema shared by validate-csv, the mint route and the
+// downloadable template. Optional columns become per-row fields stored with
+// each certificate and written into its metadata.
+
+export const REQUIRED_COLUMNS = ['participant_name', 'wallet_address'];
+
+// Optional columns and what they mean, as documented by the csv-template route
+export const OPTIONAL_COLUMNS = {
+  certificate_name: 'Certificate name for this row; overrides the batch certificate name',
+  email: 'Recipient email; only a salted hash is published, as the Open Badges recipient',
+  role: 'Role at the event, e.g. Mentor',
+  team: 'Team name',
+  score: 'Numeric score or grade, e.g. 92.5',
+  certificate_type: 'participation, completion, speaker, winner or custom; overrides the batch type',
+  certificate_type_label: 'Name shown for a custom certificate type',
+  level: 'Level or grade, e.g. Advanced',
+  skills: 'Skills separated by semicolons or pipes, e.g. Solidity;Testing',
+  expiry_date: 'Expiry date in YYYY-MM-DD format, after today',
+  'attr:<name>': 'Custom attribute shown as <name>, e.g. an attr:Track column'
+};
+
+// CSV columns for the certificate options validated by validateCertificateOptions
+const CERTIFICATE_OPTION_COLUMNS = {
+  certificate_type: 'certificateType',
+  certificate_type_label: 'certificateTypeLabel',
+  level: 'level',
+  skills: 'skills',
+  expiry_date: 'expiresAt'
+};
+
+// Plain text columns copied to the row's fields
+const TEXT_COLUMNS = {
+  certificate_name: 'certificateName',
+  role: 'role',
+  team: 'team'
+};
+
+const ATTRIBUTE_PREFIX = 'attr:';
+const MAX_FIELD_LENGTH = 200;
+const MAX_CUSTOM_ATTRIBUTES = 10;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Trait types the metadata builder writes itself, which custom attributes may not reuse
+const RESERVED_TRAITS = [
+  'recipient', 'event', 'certificate name', 'certificate type', 'level', 'date issued', 'expiry date',
+  'points', 'rarity', 'category', 'contract', 'role', 'team', 'score'
+];
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Headers are matched case-insensitively, except attribute names, which keep their case
+const normalizeHeader = (header) => {
+  const trimmed = header.trim();
+  return trimmed.toLowerCase().startsWith(ATTRIBUTE_PREFIX)
+    ? `${ATTRIBUTE_PREFIX}${trimmed.slice(ATTRIBUTE_PREFIX.length).trim()}`
+    : trimmed.toLowerCase();
+};
+
+/**
+ * Validate the optional columns of one parsed row. Returns { fields, errors };
+ * `fields` only holds the values that were given, so they can be spread over
+ * the batch's options. `defaults` are the batch's certificate options.
+ */
+function readRowFields(row, defaults) {
+  const options = validateCertificateOptions(
+    Object.fromEntries(Object.entries(CERTIFICATE_OPTION_COLUMNS).map(([column, field]) => [field, row[column]])),
+    { defaults }
+  );
+  const fields = { ...options.values };
+  const errors = [...options.errors];
+
+  for (const [column, field] of Object.entries(TEXT_COLUMNS)) {
+    if (isBlank(row[column])) continue;
+    fields[field] = String(row[column]).trim();
+    if (fields[field].length > MAX_FIELD_LENGTH) {
+      errors.push(`${column} must be at most ${MAX_FIELD_LENGTH} characters`);
+    }
+  }
+
+  if (!isBlank(row.email)) {
+    fields.email = String(row.email).trim().toLowerCase();
+    if (!EMAIL_PATTERN.test(fields.email)) {
+      errors.push('email is not a valid email address');
+    }
+  }
+
+  if (!isBlank(row.score)) {
+    fields.score = Number(String(row.score).trim());
+    if (!Number.isFinite(fields.score)) {
+      errors.push('score must be a number');
+    }
+  }
+
+  const attributes = {};
+  for (const [column, value] of Object.entries(row)) {
+    if (!column.startsWith(ATTRIBUTE_PREFIX) || isBlank(value)) continue;
+    const name = column.slice(ATTRIBUTE_PREFIX.length);
+    if (!name) {
+      errors.push(`${ATTRIBUTE_PREFIX} columns need an attribute name`);
+    } else if (RESERVED_TRAITS.includes(name.toLowerCase()) || /^skill \d+$/i.test(name)) {
+      errors.push(`${column} clashes with a built-in attribute`);
+    } else if (String(value).trim().length > MAX_FIELD_LENGTH) {
+      errors.push(`${column} must be at most ${MAX_FIELD_LENGTH} characters`);
+    } else {
+      attributes[name] = String(value).trim();
+    }
+  }
+  if (Object.keys(attributes).length > MAX_CUSTOM_ATTRIBUTES) {
+    errors.push(`at most ${MAX_CUSTOM_ATTRIBUTES} custom attributes are allowed`);
+  }
+  if (Object.keys(attributes).length > 0) {
+    fields.customAttributes = attributes;
+  }
+
+  return { fields, errors };
+}
+
+/**
+ * Parse and validate a participant CSV. `defaults` are the batch's
+ * certificate options, which a custom certificate_type row may rely on.
+ * Returns { participants, errors, headers, missingColumns, parseErrors,
+ * totalRows }; participants are { participantName, walletAddress, fields }
+ * with `fields` null when the row has no optional values. Wallet addresses
+ * may use the 0x or xdc prefix and come back lowercased with 0x.
+ */
+export function parseParticipantCsv(text, { defaults = {} } = {}) {
+  const parseResult = Papa.parse(text, {
+    header: true,
+    skipEmptyLines: true,
+    transformHeader: normalizeHeader
+  });
+
+  const headers = parseResult.meta.fields || [];
+  const result = {
+    participants: [],
+    errors: [],
+    headers,
+    missingColumns: REQUIRED_COLUMNS.filter(column => !headers.includes(column)),
+    parseErrors: parseResult.errors,
+    totalRows: parseResult.data.length
+  };
+  if (result.parseErrors.length > 0 || result.missingColumns.length > 0) {
+    return result;
+  }
+
+  const seenWallets = new Set();
+  const duplicates = new Set();
+
+  parseResult.data.forEach((row, index) => {
+    const rowErrors = [];
+    const participantName = row.participant_name?.trim();
+    const wallet = normalizeAddress(row.wallet_address);
+    const walletAddress = wallet.valid ? wallet.address.toLowerCase() : null;
+
+    if (!participantName) {
+      rowErrors.push('participant_name is required');
+    }
+    if (isBlank(row.wallet_address)) {
+      rowErrors.push('wallet_address is required');
+    } else if (!wallet.valid) {
+      rowErrors.push(`wallet_address ${row.wallet_address.trim()} is invalid: ${describeAddressError(wallet)}`);
+    }
+
+    const { fields, errors } = readRowFields(row, defaults);
+    rowErrors.push(...errors);
+
+    if (rowErrors.length > 0) {
+      result.errors.push(...rowErrors.map(error => `Row ${index + 1}: ${error}`));
+      return;
+    }
+
+    if (seenWallets.has(walletAddress)) {
+      duplicates.add(walletAddress);
+    }
+    seenWallets.add(walletAddress);
+    result.participants.push({
+      participantName,
+      walletAddress,
+      fields: Object.keys(fields).length > 0 ? fields : null
+    });
+  });
+
+  if (duplicates.size > 0) {
+    result.errors.push(`Duplicate wallet addresses found: ${[...duplicates].join(', ')}`);
+  }
+
+  return result;
+}
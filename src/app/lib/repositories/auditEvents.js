@@ -0,0 +1,53 @@
+import crypto from 'crypto';
+import { getDb, toJson, fromJson } from '../db/index.js';
+
+const toAuditEvent = (row) => ({
+  id: row.id,
+  type: row.type,
+  actor: row.actor,
+  subjectType: row.subject_type,
+  subjectId: row.subject_id,
+  data: fromJson(row.data),
+  createdAt: row.created_at
+});
+
+/**
+ * Append an entry to the audit trail, e.g.
+ * recordAuditEvent({ type: 'contract.deployed', actor: email, subjectType: 'contract', subjectId: id }).
+ * Failures are logged rather than thrown so auditing never breaks the action it records.
+ */
+export async function recordAuditEvent({ type, actor = null, subjectType = null, subjectId = null, data = null }) {
+  try {
+    const db = await getDb();
+    await db.run(
+      `INSERT INTO audit_events (id, type, actor, subject_type, subject_id, data, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [crypto.randomUUID(), type, actor, subjectType, subjectId, toJson(data), new Date().toISOString()]
+    );
+  } catch (error) {
+    console.error(`Failed to record audit event ${type}:`, error);
+  }
+}
+
+export async function listAuditEvents({ subjectType, subjectId, limit = 100 } = {}) {
+  const conditions = [];
+  const values = [];
+  if (subjectType) {
+    conditions.push('subject_type = ?');
+    values.push(subjectType);
+  }
+  if (subjectId) {
+    conditions.push('subject_id = ?');
+    values.push(subjectId);
+  }
+
+  const db = await getDb();
+  const rows = await db.query(
+    `SELECT * FROM audit_events
+     ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY created_at DESC
+     LIMIT ?`,
+    [...values, limit]
+  );
+  return rows.map(toAuditEvent);
+}
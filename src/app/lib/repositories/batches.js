@@ -0,0 +1,220 @@
+import crypto from 'crypto';
+import { getDb, toJson, fromJson } from '../db/index.js';
+import { listBatchCertificates, toEventKey } from './certificates.js';
+
+const isValidBatchId = (id) => typeof id === 'string' && /^[a-f0-9-]{36}$/.test(id);
+
+// camelCase fields callers may update, and the columns they map to
+const UPDATABLE_COLUMNS = {
+  status: 'status',
+  error: 'error',
+  startedAt: 'started_at',
+  finishedAt: 'finished_at',
+  throughput: 'throughput'
+};
+const JSON_FIELDS = new Set(['throughput']);
+
+// Progress counters from the per-row states ({ status: count })
+const summarizeCounts = (counts, total) => {
+  const successCount = counts.minted || 0;
+  const failedCount = counts.failed || 0;
+  const skippedCount = counts.skipped || 0;
+  return {
+    total,
+    processed: successCount + failedCount + skippedCount,
+    uploadedCount: counts.uploaded || 0,
+    successCount,
+    failedCount,
+    skippedCount
+  };
+};
+
+// Counters plus the IPFS bytes uploaded and skipped as already pinned
+export const summarizeRows = (rows) => {
+  const counts = {};
+  let bytesUploaded = 0;
+  let bytesSaved = 0;
+  for (const row of rows) {
+    counts[row.status] = (counts[row.status] || 0) + 1;
+    bytesUploaded += row.ipfs?.bytesUploaded || 0;
+    bytesSaved += row.ipfs?.bytesSaved || 0;
+  }
+  return { ...summarizeCounts(counts, rows.length), ipfs: { bytesUploaded, bytesSaved } };
+};
+
+const toBatch = (row) => ({
+  id: row.id,
+  type: row.type,
+  status: row.status,
+  params: fromJson(row.params),
+  template: row.template_filename ? { filename: row.template_filename } : null,
+  error: row.error,
+  createdBy: row.created_by,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+  startedAt: row.started_at,
+  finishedAt: row.finished_at,
+  throughput: fromJson(row.throughput)
+});
+
+/**
+ * Store a new batch in the `queued` state with one pending certificate per row.
+ * `template` is an optional { filename, data } upload the worker renders from.
+ * Rows may carry `overrides` of the batch's certificate options.
+ */
+export async function createBatch({ type, params, rows, template = null, createdBy = null }) {
+  const id = crypto.randomUUID();
+  const now = new Date().toISOString();
+  const contractAddress = params.contractAddress.toLowerCase();
+  const eventKey = toEventKey(params.eventName);
+
+  const db = await getDb();
+  await db.transaction(async (tx) => {
+    await tx.run(
+      `INSERT INTO batches (id, type, status, network, contract_address, params,
+         template_filename, template_data, created_by, created_at, updated_at)
+       VALUES (?, ?, 'queued', ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        id,
+        type,
+        params.network,
+        contractAddress,
+        toJson(params),
+        template?.filename || null,
+        template?.data || null,
+        createdBy,
+        now,
+        now
+      ]
+    );
+
+    for (const [index, row] of rows.entries()) {
+      await tx.run(
+        `INSERT INTO certificates (id, batch_id, row_index, network, contract_address, event_key,
+           participant, wallet_address, overrides, status, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?)`,
+        [
+          crypto.randomUUID(),
+          id,
+          index,
+          params.network,
+          contractAddress,
+          eventKey,
+          row.participant,
+          row.walletAddress.toLowerCase(),
+          toJson(row.overrides),
+          now,
+          now
+        ]
+      );
+    }
+  });
+
+  return getBatch(id);
+}
+
+// A batch with its rows and progress, or null if it does not exist
+export async function getBatch(id) {
+  if (!isValidBatchId(id)) return null;
+
+  const db = await getDb();
+  const row = await db.get('SELECT * FROM batches WHERE id = ?', [id]);
+  if (!row) return null;
+
+  const rows = await listBatchCertificates(id);
+  return { ...toBatch(row), rows, progress: summarizeRows(rows) };
+}
+
+// Batches without their rows, oldest first. `status` may be one state or a list.
+export async function listBatches({ status } = {}) {
+  const statuses = status ? [].concat(status) : [];
+
+  const db = await getDb();
+  const batches = await db.query(
+    `SELECT * FROM batches
+     ${statuses.length ? `WHERE status IN (${statuses.map(() => '?').join(', ')})` : ''}
+     ORDER BY created_at`,
+    statuses
+  );
+  if (batches.length === 0) return [];
+
+  const counts = await db.query(
+    `SELECT batch_id, status, COUNT(*) AS count FROM certificates
+     WHERE batch_id IN (${batches.map(() => '?').join(', ')})
+     GROUP BY batch_id, status`,
+    batches.map(batch => batch.id)
+  );
+
+  const countsByBatch = new Map();
+  for (const { batch_id: batchId, status: rowStatus, count } of counts) {
+    const entry = countsByBatch.get(batchId) || {};
+    entry[rowStatus] = Number(count);
+    countsByBatch.set(batchId, entry);
+  }
+
+  return batches.map((row) => {
+    const batchCounts = countsByBatch.get(row.id) || {};
+    const total = Object.values(batchCounts).reduce((sum, count) => sum + count, 0);
+    return { ...toBatch(row), progress: summarizeCounts(batchCounts, total) };
+  });
+}
+
+export async function updateBatch(id, changes) {
+  const assignments = [];
+  const values = [];
+  for (const [field, value] of Object.entries(changes)) {
+    const column = UPDATABLE_COLUMNS[field];
+    if (!column) {
+      throw new Error(`Unknown batch field: ${field}`);
+    }
+    assignments.push(`${column} = ?`);
+    values.push(JSON_FIELDS.has(field) ? toJson(value) : value ?? null);
+  }
+
+  assignments.push('updated_at = ?');
+  values.push(new Date().toISOString(), id);
+
+  const db = await getDb();
+  await db.run(`UPDATE batches SET ${assignments.join(', ')} WHERE id = ?`, values);
+}
+
+// The uploaded template image, as { filename, data }
+export async function getBatchTemplate(id) {
+  const db = await getDb();
+  const row = await db.get('SELECT template_filename, template_data FROM batches WHERE id = ?', [id]);
+  if (!row?.template_data) return null;
+
+  return { filename: row.template_filename, data: Buffer.from(row.template_data) };
+}
+
+/**
+ * Move the failed rows of a finished batch back into the queue. Rows that
+ * already reached IPFS resume at the mint step. Returns the number of rows reset.
+ */
+export async function resetFailedRows(id) {
+  const now = new Date().toISOString();
+
+  const db = await getDb();
+  return db.transaction(async (tx) => {
+    const batch = await tx.get('SELECT status FROM batches WHERE id = ?', [id]);
+    if (!batch) {
+      throw new Error(`Batch ${id} not found`);
+    }
+    if (batch.status === 'queued' || batch.status === 'running') {
+      throw new Error('Batch is still in progress');
+    }
+
+    const { changes } = await tx.run(
+      `UPDATE certificates
+       SET status = CASE WHEN token_uri IS NULL THEN 'pending' ELSE 'uploaded' END,
+           error = NULL, retries = retries + 1, updated_at = ?
+       WHERE batch_id = ? AND status = 'failed'`,
+      [now, id]
+    );
+    await tx.run(
+      `UPDATE batches SET status = 'queued', error = NULL, updated_at = ? WHERE id = ?`,
+      [now, id]
+    );
+    return changes;
+  });
+}
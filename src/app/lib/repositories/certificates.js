@@ -0,0 +1,101 @@
+import { ethers } from 'ethers';
+import { getDb, toJson, fromJson } from '../db/index.js';
+
+// Checksummed form for responses; rows store addresses lowercased for lookups
+export const displayAddress = (address) => {
+  try {
+    return ethers.getAddress(address);
+  } catch {
+    return address;
+  }
+};
+
+// Event names are matched case- and whitespace-insensitively for duplicate detection
+export const toEventKey = (eventName) => String(eventName || '').trim().toLowerCase();
+
+// camelCase fields callers may update, and the columns they map to
+const UPDATABLE_COLUMNS = {
+  status: 'status',
+  tokenId: 'token_id',
+  tokenURI: 'token_uri',
+  transactionHash: 'transaction_hash',
+  blockNumber: 'block_number',
+  gasUsed: 'gas_used',
+  explorerUrl: 'explorer_url',
+  ipfs: 'ipfs',
+  duplicateOf: 'duplicate_of',
+  error: 'error',
+  failedStage: 'failed_stage',
+  retries: 'retries'
+};
+const JSON_FIELDS = new Set(['ipfs', 'duplicateOf']);
+
+export const toCertificate = (row) => ({
+  id: row.id,
+  batchId: row.batch_id,
+  index: row.row_index,
+  network: row.network,
+  contractAddress: displayAddress(row.contract_address),
+  participant: row.participant,
+  walletAddress: displayAddress(row.wallet_address),
+  status: row.status,
+  tokenId: row.token_id,
+  tokenURI: row.token_uri,
+  transactionHash: row.transaction_hash,
+  blockNumber: row.block_number,
+  gasUsed: row.gas_used,
+  explorerUrl: row.explorer_url,
+  ipfs: fromJson(row.ipfs),
+  duplicateOf: fromJson(row.duplicate_of),
+  overrides: fromJson(row.overrides),
+  error: row.error,
+  failedStage: row.failed_stage,
+  retries: Number(row.retries || 0),
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+export async function listBatchCertificates(batchId) {
+  const db = await getDb();
+  const rows = await db.query(
+    'SELECT * FROM certificates WHERE batch_id = ? ORDER BY row_index',
+    [batchId]
+  );
+  return rows.map(toCertificate);
+}
+
+export async function updateCertificate(id, changes) {
+  const assignments = [];
+  const values = [];
+  for (const [field, value] of Object.entries(changes)) {
+    const column = UPDATABLE_COLUMNS[field];
+    if (!column) {
+      throw new Error(`Unknown certificate field: ${field}`);
+    }
+    assignments.push(`${column} = ?`);
+    values.push(JSON_FIELDS.has(field) ? toJson(value) : value ?? null);
+  }
+
+  assignments.push('updated_at = ?');
+  values.push(new Date().toISOString(), id);
+
+  const db = await getDb();
+  await db.run(`UPDATE certificates SET ${assignments.join(', ')} WHERE id = ?`, values);
+}
+
+/**
+ * The certificate already minted to `walletAddress` for the same event on the
+ * same contract, if any. Used to skip duplicates when a CSV is re-uploaded.
+ */
+export async function findMintedCertificate({ network, contractAddress, eventName, walletAddress }) {
+  const db = await getDb();
+  const row = await db.get(
+    `SELECT * FROM certificates
+     WHERE network = ? AND contract_address = ? AND event_key = ? AND wallet_address = ?
+       AND status = 'minted'
+     ORDER BY updated_at
+     LIMIT 1`,
+    [network, contractAddress.toLowerCase(), toEventKey(eventName), walletAddress.toLowerCase()]
+  );
+  return row ? toCertificate(row) : null;
+}
@@ -0,0 +1,87 @@
+import crypto from 'crypto';
+import { getDb } from '../db/index.js';
+import { displayAddress } from './certificates.js';
+
+const toDeployment = (row) => ({
+  id: row.id,
+  contractAddress: displayAddress(row.contract_address),
+  contractName: row.contract_name,
+  contractSymbol: row.contract_symbol,
+  network: row.network,
+  blockNumber: row.block_number || 0,
+  transactionHash: row.transaction_hash || '',
+  gasUsed: row.gas_used,
+  deployer: row.deployer || 'unknown',
+  owner: row.owner || row.deployer || 'unknown',
+  deployedAt: row.deployed_at,
+  createdAt: row.created_at,
+  indexedBlock: row.indexed_block ?? null
+});
+
+export async function listDeployments({ network } = {}) {
+  const db = await getDb();
+  const rows = network
+    ? await db.query('SELECT * FROM contracts WHERE network = ? ORDER BY created_at', [network])
+    : await db.query('SELECT * FROM contracts ORDER BY created_at');
+  return rows.map(toDeployment);
+}
+
+export async function findDeployment(network, contractAddress) {
+  const db = await getDb();
+  const row = await db.get(
+    'SELECT * FROM contracts WHERE network = ? AND contract_address = ?',
+    [network, contractAddress.toLowerCase()]
+  );
+  return row ? toDeployment(row) : null;
+}
+
+/**
+ * Record a deployed contract. Saving the same contract twice returns the
+ * existing record with `created: false` instead of adding a duplicate.
+ */
+export async function saveDeployment(deployment) {
+  const now = new Date().toISOString();
+  const deployer = deployment.deployer || deployment.deployerAddress || null;
+
+  const db = await getDb();
+  const { changes } = await db.run(
+    `INSERT INTO contracts (id, contract_address, network, contract_name, contract_symbol,
+       deployer, owner, transaction_hash, block_number, gas_used, deployed_at, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT (network, contract_address) DO NOTHING`,
+    [
+      crypto.randomUUID(),
+      deployment.contractAddress.toLowerCase(),
+      deployment.network,
+      deployment.contractName,
+      deployment.contractSymbol || 'CERT',
+      deployer,
+      deployment.owner || deployer,
+      deployment.transactionHash || null,
+      deployment.blockNumber || null,
+      deployment.gasUsed || null,
+      deployment.deployedAt || now,
+      now
+    ]
+  );
+
+  return {
+    deployment: await findDeployment(deployment.network, deployment.contractAddress),
+    created: changes > 0
+  };
+}
+
+export async function deleteDeployment(id) {
+  const db = await getDb();
+  const row = await db.get('SELECT * FROM contracts WHERE id = ?', [id]);
+  if (!row) return null;
+
+  await db.run('DELETE FROM contracts WHERE id = ?', [id]);
+  return toDeployment(row);
+}
+
+// Record how far the chain indexer has scanned a contract
+export async function setIndexedBlock(id, blockNumber, db = null) {
+  db = db || await getDb();
+  await db.run('UPDATE contracts SET indexed_block = ? WHERE id = ?', [blockNumber, id]);
+}
@@ -0,0 +1,17 @@
+import { getDb, toJson, fromJson } from '../db/index.js';
+
+export async function getCachedMetadata(cid, path = '') {
+  const db = await getDb();
+  const row = await db.get('SELECT metadata FROM ipfs_metadata WHERE cid = ? AND path = ?', [cid, path]);
+  return row ? fromJson(row.metadata) : null;
+}
+
+export async function cacheMetadata(cid, path, metadata) {
+  const db = await getDb();
+  await db.run(
+    `INSERT INTO ipfs_metadata (cid, path, metadata, fetched_at)
+     VALUES (?, ?, ?, ?)
+     ON CONFLICT (cid, path) DO NOTHING`,
+    [cid, path, toJson(metadata), new Date().toISOString()]
+  );
+}
@@ -0,0 +1,33 @@
+import { getDb } from '../db/index.js';
+
+const toPin = (row) => ({
+  provider: row.provider,
+  contentCid: row.content_cid,
+  cid: row.cid,
+  size: Number(row.size),
+  createdAt: row.created_at
+});
+
+// The provider's CID for content we have pinned before, or null
+export async function findPin(provider, contentCid) {
+  const db = await getDb();
+  const row = await db.get(
+    'SELECT * FROM ipfs_pins WHERE provider = ? AND content_cid = ?',
+    [provider, contentCid]
+  );
+  return row ? toPin(row) : null;
+}
+
+/**
+ * Remember that `contentCid` (computed locally) is pinned at `provider` as
+ * `cid`. Providers may chunk or encode content differently, so the two can differ.
+ */
+export async function savePin({ provider, contentCid, cid, size }) {
+  const db = await getDb();
+  await db.run(
+    `INSERT INTO ipfs_pins (provider, content_cid, cid, size, created_at)
+     VALUES (?, ?, ?, ?, ?)
+     ON CONFLICT (provider, content_cid) DO NOTHING`,
+    [provider, contentCid, cid, size, new Date().toISOString()]
+  );
+}
@@ -0,0 +1,37 @@
+import { getDb } from '../db/index.js';
+
+// Lowercased addresses of every wallet hidden from the leaderboard
+export async function listOptOuts() {
+  const db = await getDb();
+  const rows = await db.query('SELECT wallet_address FROM leaderboard_opt_outs');
+  return new Set(rows.map(row => row.wallet_address));
+}
+
+export async function setOptOut(walletAddress, hidden) {
+  const db = await getDb();
+  if (hidden) {
+    await db.run(
+      `INSERT INTO leaderboard_opt_outs (wallet_address, created_at) VALUES (?, ?)
+       ON CONFLICT (wallet_address) DO NOTHING`,
+      [walletAddress.toLowerCase(), new Date().toISOString()]
+    );
+  } else {
+    await db.run('DELETE FROM leaderboard_opt_outs WHERE wallet_address = ?', [walletAddress.toLowerCase()]);
+  }
+}
+
+/**
+ * Mark a signed opt-out message as used. Returns false when it was used
+ * before. Records older than `forgetBefore` (ISO) are dropped first; their
+ * messages are past the signature TTL and rejected anyway.
+ */
+export async function claimOptOutRequest(messageHash, forgetBefore) {
+  const db = await getDb();
+  await db.run('DELETE FROM leaderboard_opt_out_requests WHERE used_at < ?', [forgetBefore]);
+  const { changes } = await db.run(
+    `INSERT INTO leaderboard_opt_out_requests (message_hash, used_at) VALUES (?, ?)
+     ON CONFLICT (message_hash) DO NOTHING`,
+    [messageHash, new Date().toISOString()]
+  );
+  return changes > 0;
+}
@@ -0,0 +1,79 @@
+import { getDb } from '../db/index.js';
+import { displayAddress } from './certificates.js';
+
+export const toRevocation = (row) => ({
+  network: row.network,
+  contractAddress: displayAddress(row.contract_address),
+  tokenId: row.token_id,
+  reason: row.reason,
+  onChain: Boolean(Number(row.on_chain)),
+  transactionHash: row.transaction_hash,
+  revokedBy: row.revoked_by,
+  revokedAt: row.revoked_at
+});
+
+/**
+ * Record a revocation. Fields already recorded for a token are kept, so
+ * replaying CertificateRevoked events never overwrites the admin's reason or
+ * actor; fields still missing are filled in, e.g. the actor when the indexer
+ * saw the event before the revoke request finished.
+ * Pass a transaction handle as `db` to record it with other index changes.
+ */
+export async function recordRevocation(
+  { network, contractAddress, tokenId, reason = null, onChain = false, transactionHash = null, revokedBy = null, revokedAt = null },
+  db = null
+) {
+  db = db || await getDb();
+  const { changes } = await db.run(
+    `INSERT INTO revocations (network, contract_address, token_id, reason, on_chain,
+       transaction_hash, revoked_by, revoked_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT (network, contract_address, token_id) DO UPDATE SET
+       reason = COALESCE(revocations.reason, excluded.reason),
+       on_chain = CASE WHEN excluded.on_chain = 1 THEN 1 ELSE revocations.on_chain END,
+       transaction_hash = COALESCE(revocations.transaction_hash, excluded.transaction_hash),
+       revoked_by = COALESCE(revocations.revoked_by, excluded.revoked_by)`,
+    [
+      network,
+      contractAddress.toLowerCase(),
+      String(tokenId),
+      reason,
+      onChain ? 1 : 0,
+      transactionHash,
+      revokedBy,
+      revokedAt || new Date().toISOString()
+    ]
+  );
+  return changes > 0;
+}
+
+export async function getRevocation({ network, contractAddress, tokenId }) {
+  const db = await getDb();
+  const row = await db.get(
+    'SELECT * FROM revocations WHERE network = ? AND contract_address = ? AND token_id = ?',
+    [network, contractAddress.toLowerCase(), String(tokenId)]
+  );
+  return row ? toRevocation(row) : null;
+}
+
+// Newest first, optionally narrowed to a network and/or contract
+export async function listRevocations({ network, contractAddress, limit = 100, offset = 0 } = {}) {
+  const conditions = [];
+  const values = [];
+  if (network) {
+    conditions.push('network = ?');
+    values.push(network);
+  }
+  if (contractAddress) {
+    conditions.push('contract_address = ?');
+    values.push(contractAddress.toLowerCase());
+  }
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const db = await getDb();
+  const [rows, total] = await Promise.all([
+    db.query(`SELECT * FROM revocations ${where} ORDER BY revoked_at DESC LIMIT ? OFFSET ?`, [...values, limit, offset]),
+    db.get(`SELECT COUNT(*) AS count FROM revocations ${where}`, values)
+  ]);
+  return { revocations: rows.map(toRevocation), total: Number(total?.count || 0) };
+}
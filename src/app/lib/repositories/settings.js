@@ -0,0 +1,40 @@
+import { getDb, toJson, fromJson } from '../db/index.js';
+import { DEFAULT_SCORING_RULES, validateScoringRules } from '../scoring.js';
+
+const SCORING_RULES_KEY = 'scoring_rules';
+
+// A stored setting as { value, updatedBy, updatedAt }, or null if never saved
+export async function getSetting(key) {
+  const db = await getDb();
+  const row = await db.get('SELECT * FROM settings WHERE key = ?', [key]);
+  return row
+    ? { value: fromJson(row.value), updatedBy: row.updated_by, updatedAt: row.updated_at }
+    : null;
+}
+
+export async function saveSetting(key, value, updatedBy = null) {
+  const db = await getDb();
+  const updatedAt = new Date().toISOString();
+  await db.run(
+    `INSERT INTO settings (key, value, updated_by, updated_at)
+     VALUES (?, ?, ?, ?)
+     ON CONFLICT (key) DO UPDATE SET value = excluded.value, updated_by = excluded.updated_by,
+       updated_at = excluded.updated_at`,
+    [key, toJson(value), updatedBy, updatedAt]
+  );
+  return { value, updatedBy, updatedAt };
+}
+
+// The admin's scoring rules, or the defaults until some are saved
+export async function getScoringRules() {
+  const setting = await getSetting(SCORING_RULES_KEY);
+  const { rules, errors } = validateScoringRules(setting?.value);
+  return {
+    rules: setting && errors.length === 0 ? rules : DEFAULT_SCORING_RULES,
+    updatedBy: setting?.updatedBy || null,
+    updatedAt: setting?.updatedAt || null
+  };
+}
+
+// `rules` must already have passed validateScoringRules
+export const saveScoringRules = (rules, updatedBy = null) => saveSetting(SCORING_RULES_KEY, rules, updatedBy);
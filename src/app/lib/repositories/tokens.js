@@ -0,0 +1,165 @@
+import { getDb, toJson, fromJson } from '../db/index.js';
+import { displayAddress } from './certificates.js';
+
+const toToken = (row) => ({
+  network: row.network,
+  contractAddress: displayAddress(row.contract_address),
+  tokenId: row.token_id,
+  owner: displayAddress(row.owner),
+  tokenURI: row.token_uri,
+  metadata: fromJson(row.metadata),
+  metadataFetchedAt: row.metadata_fetched_at,
+  mintedBlock: row.minted_block,
+  mintedTransactionHash: row.minted_transaction_hash,
+  mintedAt: row.minted_at,
+  updatedAt: row.updated_at,
+  revocation: row.revoked_at
+    ? {
+      reason: row.revocation_reason,
+      onChain: Boolean(Number(row.revocation_on_chain)),
+      transactionHash: row.revocation_transaction_hash,
+      revokedAt: row.revoked_at
+    }
+    : null
+});
+
+// Tokens joined with their revocation record, if any
+const SELECT_TOKENS = `
+  SELECT t.*, r.reason AS revocation_reason, r.on_chain AS revocation_on_chain,
+    r.transaction_hash AS revocation_transaction_hash, r.revoked_at
+  FROM tokens t
+  LEFT JOIN revocations r
+    ON r.network = t.network AND r.contract_address = t.contract_address AND r.token_id = t.token_id`;
+
+const filterClause = ({ network, contractAddress } = {}, alias = '') => {
+  const prefix = alias ? `${alias}.` : '';
+  const conditions = [];
+  const values = [];
+  if (network) {
+    conditions.push(`${prefix}network = ?`);
+    values.push(network);
+  }
+  if (contractAddress) {
+    conditions.push(`${prefix}contract_address = ?`);
+    values.push(contractAddress.toLowerCase());
+  }
+  return { conditions, values };
+};
+
+/**
+ * Apply one Transfer event to the index. Mints insert the token, transfers
+ * move it and burns (transfers to the zero address) remove it.
+ * Pass a transaction handle as `db` to apply a block range atomically.
+ */
+export async function applyTransfer(
+  { network, contractAddress, tokenId, from, to, tokenURI, blockNumber, transactionHash, mintedAt },
+  db = null
+) {
+  db = db || await getDb();
+  const contract = contractAddress.toLowerCase();
+  const now = new Date().toISOString();
+
+  if (/^0x0{40}$/.test(to)) {
+    await db.run(
+      'DELETE FROM tokens WHERE network = ? AND contract_address = ? AND token_id = ?',
+      [network, contract, tokenId]
+    );
+    return;
+  }
+
+  if (/^0x0{40}$/.test(from)) {
+    await db.run(
+      `INSERT INTO tokens (network, contract_address, token_id, owner, token_uri,
+         minted_block, minted_transaction_hash, minted_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT (network, contract_address, token_id)
+       DO UPDATE SET owner = excluded.owner, token_uri = excluded.token_uri, updated_at = excluded.updated_at`,
+      [network, contract, tokenId, to.toLowerCase(), tokenURI || null, blockNumber, transactionHash, mintedAt || null, now]
+    );
+    return;
+  }
+
+  await db.run(
+    'UPDATE tokens SET owner = ?, updated_at = ? WHERE network = ? AND contract_address = ? AND token_id = ?',
+    [to.toLowerCase(), now, network, contract, tokenId]
+  );
+}
+
+export async function listTokensByOwner(owner, filters = {}) {
+  const { conditions, values } = filterClause(filters, 't');
+
+  const db = await getDb();
+  const rows = await db.query(
+    `${SELECT_TOKENS}
+     WHERE ${['t.owner = ?', ...conditions].join(' AND ')}
+     ORDER BY t.minted_block DESC, t.token_id DESC`,
+    [owner.toLowerCase(), ...values]
+  );
+  return rows.map(toToken);
+}
+
+/**
+ * Every indexed token, optionally narrowed by network, contract and the
+ * earliest mint time (ISO string). Tokens without a known mint time are left
+ * out when `mintedAfter` is given.
+ */
+export async function listTokens({ mintedAfter = null, ...filters } = {}) {
+  const { conditions, values } = filterClause(filters, 't');
+  if (mintedAfter) {
+    conditions.push('t.minted_at >= ?');
+    values.push(mintedAfter);
+  }
+
+  const db = await getDb();
+  const rows = await db.query(
+    `${SELECT_TOKENS}
+     ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}`,
+    values
+  );
+  return rows.map(toToken);
+}
+
+export async function getToken({ network, contractAddress, tokenId }) {
+  const db = await getDb();
+  const row = await db.get(
+    `${SELECT_TOKENS} WHERE t.network = ? AND t.contract_address = ? AND t.token_id = ?`,
+    [network, contractAddress.toLowerCase(), String(tokenId)]
+  );
+  return row ? toToken(row) : null;
+}
+
+export async function countTokens(filters = {}) {
+  const { conditions, values } = filterClause(filters);
+
+  const db = await getDb();
+  const row = await db.get(
+    `SELECT COUNT(*) AS count FROM tokens ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}`,
+    values
+  );
+  return Number(row?.count || 0);
+}
+
+/**
+ * Point an indexed token at the URI it now has on-chain (after a
+ * MetadataUpdate event) and drop its cached metadata, which described the old
+ * URI. A null `tokenURI` (unreadable) keeps the stored URI but still drops the cache.
+ */
+export async function updateTokenURI({ network, contractAddress, tokenId, tokenURI }, db = null) {
+  db = db || await getDb();
+  await db.run(
+    `UPDATE tokens SET token_uri = COALESCE(?, token_uri), metadata = NULL, metadata_fetched_at = NULL, updated_at = ?
+     WHERE network = ? AND contract_address = ? AND token_id = ?`,
+    [tokenURI || null, new Date().toISOString(), network, contractAddress.toLowerCase(), String(tokenId)]
+  );
+}
+
+// Cache fetched metadata. Each URI is content-addressed, so the cache only goes
+// stale when the token's URI changes, and updateTokenURI clears it then.
+export async function saveTokenMetadata({ network, contractAddress, tokenId }, metadata) {
+  const db = await getDb();
+  await db.run(
+    `UPDATE tokens SET metadata = ?, metadata_fetched_at = ?
+     WHERE network = ? AND contract_address = ? AND token_id = ?`,
+    [toJson(metadata), new Date().toISOString(), network, contractAddress.toLowerCase(), String(tokenId)]
+  );
+}
@@ -0,0 +1,122 @@
+import { ethers } from 'ethers';
+import { CERTIFICATE_CONTRACT_ABI } from './contracts/CertimosCertificate.js';
+import { isSupportedNetwork, getProvider, getExplorerTxUrl } from './networks.js';
+import { findDeployment } from './repositories/deployments.js';
+import { getRevocation, recordRevocation } from './repositories/revocations.js';
+import { recordAuditEvent } from './repositories/auditEvents.js';
+
+const MAX_REASON_LENGTH = 500;
+
+// How a contract without isRevoked answers the call: a revert without data, or
+// an empty result from a fallback. A revert with data came from inside the
+// function, and anything else (timeouts, RPC errors) is a failure.
+const isMissingFunction = (error) =>
+  (error.code === 'CALL_EXCEPTION' && (!error.data || error.data === '0x')) ||
+  (error.code === 'BAD_DATA' && error.value === '0x');
+
+export class RevocationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RevocationError';
+    this.status = status;
+  }
+}
+
+/**
+ * Withdraw a certificate issued by one of our registered contracts.
+ *
+ * Contracts with revocation support get the on-chain revoke flag; older
+ * contracts without it have the revocation recorded here only, which the
+ * verifier and dashboards honour just the same.
+ */
+export async function revokeCertificate({ network, contractAddress, tokenId, reason, revokedBy = null }) {
+  if (!contractAddress || !ethers.isAddress(contractAddress)) {
+    throw new RevocationError('Invalid contract address');
+  }
+  if (!/^\d+$/.test(String(tokenId ?? ''))) {
+    throw new RevocationError('Invalid token ID');
+  }
+  if (!isSupportedNetwork(network)) {
+    throw new RevocationError('Unsupported network');
+  }
+
+  const trimmedReason = String(reason || '').trim();
+  if (!trimmedReason) {
+    throw new RevocationError('A revocation reason is required');
+  }
+  if (trimmedReason.length > MAX_REASON_LENGTH) {
+    throw new RevocationError(`Reason must be at most ${MAX_REASON_LENGTH} characters`);
+  }
+
+  const deployment = await findDeployment(network, contractAddress);
+  if (!deployment) {
+    throw new RevocationError('Contract is not registered with CERTIMOS', 404);
+  }
+
+  const token = { network, contractAddress: deployment.contractAddress, tokenId: String(tokenId) };
+  if (await getRevocation(token)) {
+    throw new RevocationError('Certificate is already revoked', 409);
+  }
+
+  if (!process.env.DEPLOYER_PRIVATE_KEY) {
+    throw new RevocationError('Deployer private key not configured', 500);
+  }
+
+  const wallet = new ethers.Wallet(process.env.DEPLOYER_PRIVATE_KEY, getProvider(network));
+  const contract = new ethers.Contract(deployment.contractAddress, CERTIFICATE_CONTRACT_ABI, wallet);
+
+  try {
+    await contract.ownerOf(tokenId);
+  } catch (error) {
+    if (error.code === 'CALL_EXCEPTION') {
+      throw new RevocationError('Certificate not found', 404);
+    }
+    throw error;
+  }
+
+  let supportsRevoke = true;
+  try {
+    if (await contract.isRevoked(tokenId)) {
+      // Revoked on-chain outside CERTIMOS; mirror it so the index agrees
+      await recordRevocation({
+        ...token,
+        reason: await contract.revocationReason(tokenId).catch(() => null),
+        onChain: true
+      });
+      throw new RevocationError('Certificate is already revoked', 409);
+    }
+  } catch (error) {
+    if (error instanceof RevocationError || !isMissingFunction(error)) throw error;
+    supportsRevoke = false;
+  }
+
+  let transactionHash = null;
+  if (supportsRevoke) {
+    const tx = await contract.revoke(tokenId, trimmedReason);
+    await tx.wait();
+    transactionHash = tx.hash;
+  }
+
+  const revocation = {
+    ...token,
+    reason: trimmedReason,
+    onChain: supportsRevoke,
+    transactionHash,
+    revokedBy,
+    revokedAt: new Date().toISOString()
+  };
+  await recordRevocation(revocation);
+
+  await recordAuditEvent({
+    type: 'certificate.revoked',
+    actor: revokedBy,
+    subjectType: 'certificate',
+    subjectId: `${network}:${deployment.contractAddress}:${tokenId}`,
+    data: { reason: trimmedReason, onChain: supportsRevoke, transactionHash }
+  });
+
+  return {
+    ...revocation,
+    explorerUrl: transactionHash ? getExplorerTxUrl(network, transactionHash) : null
+  };
+}
@@ -0,0 +1,76 @@
+// Role roster and route access rules.
+// Kept free of Node-only imports so it can run inside the edge middleware.
+
+export const ROLES = {
+  ADMIN: 'admin',
+  ORGANIZER: 'organizer',
+  PARTICIPANT: 'participant'
+};
+
+// Roles allowed to deploy contracts and mint certificates
+export const ISSUER_ROLES = [ROLES.ADMIN, ROLES.ORGANIZER];
+
+// Parse a comma separated email list from the environment
+const parseRoster = (value) =>
+  (value || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+
+/**
+ * Resolve the role for a signed-in email address.
+ *
+ * Admins are listed in ADMIN_EMAILS and organizers in ORGANIZER_EMAILS;
+ * everyone else is a participant.
+ */
+export function getRoleForEmail(email) {
+  if (!email) return ROLES.PARTICIPANT;
+
+  const normalized = email.trim().toLowerCase();
+  if (parseRoster(process.env.ADMIN_EMAILS).includes(normalized)) {
+    return ROLES.ADMIN;
+  }
+  if (parseRoster(process.env.ORGANIZER_EMAILS).includes(normalized)) {
+    return ROLES.ORGANIZER;
+  }
+  return ROLES.PARTICIPANT;
+}
+
+/**
+ * Routes that require a signed-in user with one of the given roles.
+ * `methods` limits a rule to specific HTTP methods; omit it to cover all.
+ * Pages redirect to sign-in, API routes answer with 401/403 JSON.
+ */
+export const PROTECTED_ROUTES = [
+  { pattern: /^\/AdminDashboard(\/|$)/, roles: ISSUER_ROLES, page: true },
+  { pattern: /^\/api\/contracts\/deploy$/, roles: ISSUER_ROLES },
+  { pattern: /^\/api\/contracts\/auto-mint-with-ipfs$/, roles: ISSUER_ROLES },
+  { pattern: /^\/api\/contracts\/estimate$/, roles: ISSUER_ROLES },
+  { pattern: /^\/api\/contracts\/deployments$/, methods: ['POST'], roles: ISSUER_ROLES },
+  { pattern: /^\/api\/contracts\/deployments$/, methods: ['DELETE'], roles: [ROLES.ADMIN] },
+  { pattern: /^\/api\/jobs(\/|$)/, roles: ISSUER_ROLES },
+  { pattern: /^\/api\/certificates\/preview$/, roles: ISSUER_ROLES },
+  { pattern: /^\/api\/certificates\/[^/]+\/[^/]+\/revoke$/, roles: [ROLES.ADMIN] },
+  { pattern: /^\/api\/scoring\/rules$/, methods: ['PUT'], roles: [ROLES.ADMIN] }
+];
+
+export function findProtectedRoute(pathname, method) {
+  return PROTECTED_ROUTES.find(rule =>
+    rule.pattern.test(pathname) && (!rule.methods || rule.methods.includes(method))
+  );
+}
+
+// Consistent error bodies for authentication and authorization failures
+export const authErrors = {
+  unauthorized: () => ({
+    success: false,
+    error: 'Authentication required',
+    code: 'UNAUTHORIZED'
+  }),
+  forbidden: (requiredRoles) => ({
+    success: false,
+    error: 'You do not have permission to perform this action',
+    code: 'FORBIDDEN',
+    requiredRoles
+  })
+};
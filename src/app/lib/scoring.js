@@ -0,0 +1,210 @@
+// Points, rarity and category shown on the participant dashboard.
+// Admins configure the rules; certificates are scored when they are minted
+// and the values are written into their metadata, so a token keeps the score
+// it was issued with unless a wallet's scores are explicitly recomputed.
+// Shared by the API routes (server) and the dashboards (browser), so it must
+// not import Node-only modules.
+
+export const RARITY_LEVELS = ['Common', 'Uncommon', 'Rare', 'Epic', 'Legendary'];
+
+/**
+ * Rules used until an admin saves their own.
+ * - `types`: base points, rarity and category per certificate type
+ * - `events`: point multipliers keyed by event name (case-insensitive)
+ * - `issuers`: point multipliers keyed by contract address
+ * - `scarcity`: tiers for small batches; the first tier whose `maxSupply`
+ *   covers the batch size multiplies points and raises rarity by `rarityBoost`
+ */
+export const DEFAULT_SCORING_RULES = {
+  types: {
+    participation: { points: 100, rarity: 'Common', category: 'Participation' },
+    completion: { points: 150, rarity: 'Uncommon', category: 'Completion' },
+    speaker: { points: 250, rarity: 'Rare', category: 'Speaker' },
+    winner: { points: 400, rarity: 'Epic', category: 'Achievement' },
+    custom: { points: 100, rarity: 'Common', category: 'Special' }
+  },
+  events: {},
+  issuers: {},
+  scarcity: [
+    { maxSupply: 10, multiplier: 1.5, rarityBoost: 1 },
+    { maxSupply: 50, multiplier: 1.2, rarityBoost: 0 }
+  ]
+};
+
+const MAX_MULTIPLIER = 100;
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const toKey = (value) => String(value || '').trim().toLowerCase();
+const isMultiplier = (value) => typeof value === 'number' && value >= 0 && value <= MAX_MULTIPLIER;
+
+function validateMultipliers(input, name, rules, errors) {
+  if (input === undefined) return;
+  if (!isObject(input)) {
+    errors.push(`${name} must be an object of multipliers`);
+    return;
+  }
+  for (const [key, weight] of Object.entries(input)) {
+    if (!toKey(key)) {
+      errors.push(`${name} keys must not be empty`);
+    } else if (!isMultiplier(weight)) {
+      errors.push(`${name}.${key} must be a number between 0 and ${MAX_MULTIPLIER}`);
+    } else {
+      rules[name][toKey(key)] = weight;
+    }
+  }
+}
+
+/**
+ * Check rules submitted by an admin. Missing sections keep their defaults.
+ * Returns { rules, errors }; `rules` is only usable when `errors` is empty.
+ */
+export function validateScoringRules(input) {
+  if (!isObject(input)) {
+    return { rules: null, errors: ['Scoring rules must be a JSON object'] };
+  }
+
+  const errors = [];
+  const rules = {
+    types: { ...DEFAULT_SCORING_RULES.types },
+    events: {},
+    issuers: {},
+    scarcity: DEFAULT_SCORING_RULES.scarcity
+  };
+
+  if (input.types !== undefined) {
+    if (!isObject(input.types)) {
+      errors.push('types must be an object keyed by certificate type');
+    } else {
+      for (const [type, rule] of Object.entries(input.types)) {
+        if (!rules.types[type]) {
+          errors.push(`types.${type} is not a certificate type`);
+        } else if (!isObject(rule)) {
+          errors.push(`types.${type} must be an object`);
+        } else {
+          const merged = { ...rules.types[type], ...rule };
+          if (!Number.isInteger(merged.points) || merged.points < 0) {
+            errors.push(`types.${type}.points must be a whole number of at least 0`);
+          }
+          if (!RARITY_LEVELS.includes(merged.rarity)) {
+            errors.push(`types.${type}.rarity must be one of ${RARITY_LEVELS.join(', ')}`);
+          }
+          if (typeof merged.category !== 'string' || !merged.category.trim()) {
+            errors.push(`types.${type}.category must be a non-empty string`);
+          }
+          rules.types[type] = { points: merged.points, rarity: merged.rarity, category: merged.category };
+        }
+      }
+    }
+  }
+
+  validateMultipliers(input.events, 'events', rules, errors);
+  validateMultipliers(input.issuers, 'issuers', rules, errors);
+
+  if (input.scarcity !== undefined) {
+    if (!Array.isArray(input.scarcity)) {
+      errors.push('scarcity must be a list of tiers');
+    } else {
+      input.scarcity.forEach((tier, index) => {
+        if (!isObject(tier) || !Number.isInteger(tier.maxSupply) || tier.maxSupply < 1) {
+          errors.push(`scarcity[${index}].maxSupply must be a whole number of at least 1`);
+        } else if (!isMultiplier(tier.multiplier ?? 1)) {
+          errors.push(`scarcity[${index}].multiplier must be a number between 0 and ${MAX_MULTIPLIER}`);
+        } else if (!Number.isInteger(tier.rarityBoost ?? 0) || (tier.rarityBoost ?? 0) < 0) {
+          errors.push(`scarcity[${index}].rarityBoost must be a whole number of at least 0`);
+        }
+      });
+      rules.scarcity = input.scarcity
+        .map(tier => ({ maxSupply: tier?.maxSupply, multiplier: tier?.multiplier ?? 1, rarityBoost: tier?.rarityBoost ?? 0 }))
+        .sort((a, b) => a.maxSupply - b.maxSupply);
+    }
+  }
+
+  return { rules, errors };
+}
+
+/**
+ * Score one certificate with `rules`. `batchSize` is the number of
+ * certificates minted in its batch; without it no scarcity tier applies.
+ * Returns { points, rarity, category, breakdown } where `breakdown` lists
+ * the base points and each multiplier that was applied.
+ */
+export function evaluateScore(
+  { certificateType = 'participation', eventName = null, contractAddress = null, batchSize = null },
+  rules = DEFAULT_SCORING_RULES
+) {
+  const base = rules.types[certificateType] || rules.types.participation;
+  const eventWeight = rules.events[toKey(eventName)] ?? 1;
+  const issuerWeight = rules.issuers[toKey(contractAddress)] ?? 1;
+  const tier = batchSize > 0 ? rules.scarcity.find(entry => batchSize <= entry.maxSupply) : null;
+  const scarcityWeight = tier?.multiplier ?? 1;
+
+  const rarityIndex = Math.min(
+    RARITY_LEVELS.indexOf(base.rarity) + (tier?.rarityBoost || 0),
+    RARITY_LEVELS.length - 1
+  );
+
+  return {
+    points: Math.round(base.points * eventWeight * issuerWeight * scarcityWeight),
+    rarity: RARITY_LEVELS[rarityIndex],
+    category: base.category,
+    breakdown: {
+      basePoints: base.points,
+      eventWeight,
+      issuerWeight,
+      scarcityWeight,
+      batchSize: batchSize || null
+    }
+  };
+}
+
+const getAttribute = (metadata, ...traitTypes) =>
+  metadata?.attributes?.find(attr => traitTypes.includes(attr?.trait_type))?.value;
+
+/**
+ * Points, rarity and category of an indexed certificate. The values written
+ * into its metadata at mint time win; certificates minted before scoring (or
+ * all of them, with `recompute`) are evaluated with `rules`. `details` is
+ * the certificate's normalized metadata.
+ */
+export function scoreCertificate(metadata, details, { contractAddress = null, rules = DEFAULT_SCORING_RULES, recompute = false } = {}) {
+  const properties = isObject(metadata?.properties) ? metadata.properties : {};
+  const evaluated = evaluateScore({
+    certificateType: details?.certificateType,
+    eventName: details?.event,
+    contractAddress,
+    batchSize: Number(properties.batchSize) || null
+  }, rules);
+  if (recompute) {
+    return { points: evaluated.points, rarity: evaluated.rarity, category: evaluated.category };
+  }
+
+  const points = Number(properties.points ?? getAttribute(metadata, 'Points'));
+  const rarity = properties.rarity || getAttribute(metadata, 'Rarity');
+  const category = properties.category || getAttribute(metadata, 'Category');
+
+  return {
+    points: Number.isFinite(points) ? points : evaluated.points,
+    rarity: RARITY_LEVELS.includes(rarity) ? rarity : evaluated.rarity,
+    category: category || evaluated.category
+  };
+}
+
+// Aggregate totals for a set of scored certificates. Revoked certificates
+// stay in the wallet's list but no longer count toward its value.
+export function summarizeValue(allCertificates) {
+  const certificates = allCertificates.filter(cert => !cert.revocation);
+  const totalPoints = certificates.reduce((sum, cert) => sum + (cert.points || 0), 0);
+  const countBy = (key) => certificates.reduce((counts, cert) => {
+    counts[cert[key]] = (counts[cert[key]] || 0) + 1;
+    return counts;
+  }, {});
+
+  return {
+    totalCertificates: certificates.length,
+    totalPoints,
+    averagePoints: certificates.length > 0 ? totalPoints / certificates.length : 0,
+    rarityDistribution: countBy('rarity'),
+    categoryDistribution: countBy('category'),
+    revokedCount: allCertificates.length - certificates.length
+  };
+}
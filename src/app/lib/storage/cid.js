@@ -0,0 +1,100 @@
+import crypto from 'crypto';
+
+// CIDv1s as `ipfs add --cid-version=1` computes them with its defaults: the
+// content is split into 256 KiB chunks stored as raw blocks, and files of more
+// than one chunk get a balanced UnixFS DAG of dag-pb nodes with at most 174
+// links each. CIDs are base32-encoded with the multibase "b" prefix.
+const CID_VERSION = 0x01;
+const RAW_CODEC = 0x55;
+const DAG_PB_CODEC = 0x70;
+const SHA2_256 = 0x12;
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+const CHUNK_SIZE = 262144;
+const MAX_LINKS_PER_NODE = 174;
+const UNIXFS_FILE = 2;
+
+export const CID_PATTERN = /^(b[a-z2-7]{58,}|Qm[1-9A-HJ-NP-Za-km-z]{44})$/;
+
+function base32(bytes) {
+  let output = '';
+  let buffer = 0;
+  let bits = 0;
+  for (const byte of bytes) {
+    buffer = (buffer << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(buffer >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+// Unsigned LEB128, as protobuf and multiformats use; sizes can pass 2^32
+function varint(value) {
+  const bytes = [];
+  while (value >= 0x80) {
+    bytes.push((value % 0x80) | 0x80);
+    value = Math.floor(value / 0x80);
+  }
+  bytes.push(value);
+  return Buffer.from(bytes);
+}
+
+const varintField = (field, value) => Buffer.concat([varint(field * 8), varint(value)]);
+const bytesField = (field, bytes) => Buffer.concat([varint(field * 8 + 2), varint(bytes.length), bytes]);
+
+function binaryCid(codec, block) {
+  const digest = crypto.createHash('sha256').update(block).digest();
+  return Buffer.concat([Buffer.from([CID_VERSION]), varint(codec), Buffer.from([SHA2_256, digest.length]), digest]);
+}
+
+/**
+ * UnixFS file node linking `children` ({ cid, fileSize, treeSize }). dag-pb
+ * puts the links (Hash, an empty Name, Tsize) before the UnixFS data (Type,
+ * filesize, one blocksize per child).
+ */
+function fileNode(children) {
+  const fileSize = children.reduce((sum, child) => sum + child.fileSize, 0);
+  const unixfs = Buffer.concat([
+    varintField(1, UNIXFS_FILE),
+    varintField(3, fileSize),
+    ...children.map(child => varintField(4, child.fileSize))
+  ]);
+  const block = Buffer.concat([
+    ...children.map(child => bytesField(2, Buffer.concat([
+      bytesField(1, child.cid),
+      bytesField(2, Buffer.alloc(0)),
+      varintField(3, child.treeSize)
+    ]))),
+    bytesField(1, unixfs)
+  ]);
+
+  return {
+    cid: binaryCid(DAG_PB_CODEC, block),
+    fileSize,
+    treeSize: block.length + children.reduce((sum, child) => sum + child.treeSize, 0)
+  };
+}
+
+export function computeCid(data) {
+  let nodes = [];
+  for (let offset = 0; offset < data.length || offset === 0; offset += CHUNK_SIZE) {
+    const chunk = data.subarray(offset, offset + CHUNK_SIZE);
+    nodes.push({ cid: binaryCid(RAW_CODEC, chunk), fileSize: chunk.length, treeSize: chunk.length });
+  }
+
+  // Each level fills whole nodes left to right, which is the balanced layout
+  while (nodes.length > 1) {
+    const parents = [];
+    for (let index = 0; index < nodes.length; index += MAX_LINKS_PER_NODE) {
+      parents.push(fileNode(nodes.slice(index, index + MAX_LINKS_PER_NODE)));
+    }
+    nodes = parents;
+  }
+  return `b${base32(nodes[0].cid)}`;
+}
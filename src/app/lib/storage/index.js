@@ -0,0 +1,28 @@
+import { PinataProvider } from './pinata.js';
+import { KuboProvider } from './kubo.js';
+import { Web3StorageProvider } from './web3storage.js';
+import { LocalProvider } from './local.js';
+
+// Where certificate images and metadata are pinned. IPFS_PROVIDER selects the
+// backend; every provider implements uploadFile(data, filename, contentType),
+// uploadJson(json, name), gatewayUrl(cid), getConfigurationError() and a
+// read-only ping() that checks reachability and credentials.
+const PROVIDERS = {
+  pinata: () => new PinataProvider(),
+  kubo: () => new KuboProvider(),
+  web3storage: () => new Web3StorageProvider('web3storage'),
+  nftstorage: () => new Web3StorageProvider('nftstorage'),
+  local: () => new LocalProvider()
+};
+
+export const STORAGE_PROVIDERS = Object.keys(PROVIDERS);
+
+export const getStorageProviderName = () => (process.env.IPFS_PROVIDER || 'pinata').trim().toLowerCase();
+
+export function createStorageProvider(name = getStorageProviderName()) {
+  const create = PROVIDERS[name];
+  if (!create) {
+    throw new Error(`Unknown IPFS_PROVIDER "${name}". Use one of: ${STORAGE_PROVIDERS.join(', ')}`);
+  }
+  return create();
+}
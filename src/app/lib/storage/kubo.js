@@ -0,0 +1,63 @@
+// Any node exposing the Kubo RPC API (/api/v0), e.g. a local `ipfs daemon`
+// or a hosted IPFS cluster proxy
+export class KuboProvider {
+  constructor() {
+    this.name = 'kubo';
+    this.apiUrl = (process.env.IPFS_API_URL || 'http://127.0.0.1:5001').replace(/\/$/, '');
+    this.gateway = (process.env.IPFS_GATEWAY_URL || 'http://127.0.0.1:8080').replace(/\/$/, '');
+    // Either "user:password" for basic auth or a complete Authorization header value
+    this.auth = process.env.IPFS_API_AUTH || null;
+  }
+
+  getConfigurationError() {
+    return null;
+  }
+
+  gatewayUrl(cid) {
+    return `${this.gateway}/ipfs/${cid}`;
+  }
+
+  get authHeaders() {
+    if (!this.auth) return {};
+    return {
+      Authorization: this.auth.includes(' ')
+        ? this.auth
+        : `Basic ${Buffer.from(this.auth).toString('base64')}`
+    };
+  }
+
+  // Node version over the RPC API; also proves the credentials are accepted
+  async ping() {
+    const response = await fetch(`${this.apiUrl}/api/v0/version`, {
+      method: 'POST',
+      headers: this.authHeaders,
+      signal: AbortSignal.timeout(10000)
+    });
+    if (!response.ok) {
+      throw new Error(`IPFS API responded with ${response.status}`);
+    }
+    const { Version } = await response.json();
+    return { version: Version };
+  }
+
+  async uploadFile(data, filename, contentType) {
+    const form = new FormData();
+    form.append('file', new Blob([data], { type: contentType }), filename);
+
+    const response = await fetch(`${this.apiUrl}/api/v0/add?cid-version=1&pin=true`, {
+      method: 'POST',
+      headers: this.authHeaders,
+      body: form,
+      signal: AbortSignal.timeout(60000)
+    });
+    if (!response.ok) {
+      throw new Error(`IPFS API responded with ${response.status}: ${await response.text()}`);
+    }
+    const result = await response.json();
+    return { cid: result.Hash, size: Number(result.Size) };
+  }
+
+  async uploadJson(json, name) {
+    return this.uploadFile(Buffer.from(JSON.stringify(json)), `${name}.json`, 'application/json');
+  }
+}
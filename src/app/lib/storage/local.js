@@ -0,0 +1,51 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { computeCid, CID_PATTERN } from './cid.js';
+
+// Content-addressed files on local disk, served by the app at /ipfs/<cid>.
+// CIDs are computed the same way IPFS does, so tokenURIs minted offline keep
+// their shape; the content is only reachable through this app's gateway.
+export class LocalProvider {
+  constructor() {
+    this.name = 'local';
+    this.directory = path.resolve(process.env.IPFS_LOCAL_DIR || path.join(process.cwd(), 'data', 'ipfs'));
+    this.gateway = (process.env.IPFS_GATEWAY_URL || process.env.NEXT_PUBLIC_APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+  }
+
+  getConfigurationError() {
+    return null;
+  }
+
+  gatewayUrl(cid) {
+    return `${this.gateway}/ipfs/${cid}`;
+  }
+
+  // The store directory must exist (or be creatable) and be writable
+  async ping() {
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.access(this.directory, fs.constants.W_OK);
+    return { directory: this.directory };
+  }
+
+  async uploadFile(data) {
+    const cid = computeCid(data);
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(path.join(this.directory, cid), data);
+    return { cid, size: data.length };
+  }
+
+  async uploadJson(json) {
+    return this.uploadFile(Buffer.from(JSON.stringify(json)));
+  }
+
+  // Stored bytes for a CID, or null when this store does not have it
+  async read(cid) {
+    if (!CID_PATTERN.test(cid)) return null;
+    try {
+      return await fs.readFile(path.join(this.directory, cid));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+}
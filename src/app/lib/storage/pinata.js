@@ -0,0 +1,60 @@
+const PINATA_API_URL = 'https://api.pinata.cloud';
+
+// Pinata's pinning REST API, authenticated with a JWT
+export class PinataProvider {
+  constructor() {
+    this.name = 'pinata';
+    this.jwt = process.env.PINATA_JWT;
+    this.gateway = process.env.PINATA_GATEWAY || 'gateway.pinata.cloud';
+  }
+
+  getConfigurationError() {
+    return this.jwt ? null : 'PINATA_JWT environment variable not configured';
+  }
+
+  gatewayUrl(cid) {
+    return `https://${this.gateway}/ipfs/${cid}`;
+  }
+
+  // Read-only credential check; pins nothing
+  async ping() {
+    const response = await fetch(`${PINATA_API_URL}/data/testAuthentication`, {
+      headers: { Authorization: `Bearer ${this.jwt}` },
+      signal: AbortSignal.timeout(10000)
+    });
+    if (!response.ok) {
+      throw new Error(`Pinata authentication failed with ${response.status}`);
+    }
+    return {};
+  }
+
+  async request(path, body, headers = {}) {
+    const response = await fetch(`${PINATA_API_URL}${path}`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${this.jwt}`, ...headers },
+      body,
+      signal: AbortSignal.timeout(60000)
+    });
+    if (!response.ok) {
+      throw new Error(`Pinata responded with ${response.status}: ${await response.text()}`);
+    }
+    const result = await response.json();
+    return { cid: result.IpfsHash, size: result.PinSize };
+  }
+
+  async uploadFile(data, filename, contentType) {
+    const form = new FormData();
+    form.append('file', new Blob([data], { type: contentType }), filename);
+    form.append('pinataMetadata', JSON.stringify({ name: filename }));
+    form.append('pinataOptions', JSON.stringify({ cidVersion: 1 }));
+    return this.request('/pinning/pinFileToIPFS', form);
+  }
+
+  async uploadJson(json, name) {
+    return this.request('/pinning/pinJSONToIPFS', JSON.stringify({
+      pinataContent: json,
+      pinataMetadata: { name },
+      pinataOptions: { cidVersion: 1 }
+    }), { 'Content-Type': 'application/json' });
+  }
+}
@@ -0,0 +1,70 @@
+// Services speaking the web3.storage / nft.storage HTTP upload API:
+// POST /upload with a bearer token and the raw bytes, answering { cid }
+const SERVICES = {
+  web3storage: {
+    apiUrl: 'https://api.web3.storage',
+    gateway: 'https://w3s.link',
+    envPrefix: 'WEB3_STORAGE',
+    // Authenticated listing used as a read-only credential check
+    pingPath: '/user/uploads?size=1'
+  },
+  nftstorage: {
+    apiUrl: 'https://api.nft.storage',
+    gateway: 'https://nftstorage.link',
+    envPrefix: 'NFT_STORAGE',
+    pingPath: '/?limit=1'
+  }
+};
+
+export class Web3StorageProvider {
+  constructor(name = 'web3storage') {
+    const service = SERVICES[name];
+    this.name = name;
+    this.apiUrl = (process.env[`${service.envPrefix}_API_URL`] || service.apiUrl).replace(/\/$/, '');
+    this.tokenVariable = `${service.envPrefix}_TOKEN`;
+    this.token = process.env[this.tokenVariable];
+    this.pingPath = service.pingPath;
+    this.gateway = (process.env.IPFS_GATEWAY_URL || service.gateway).replace(/\/$/, '');
+  }
+
+  getConfigurationError() {
+    return this.token ? null : `${this.tokenVariable} environment variable not configured`;
+  }
+
+  gatewayUrl(cid) {
+    return `${this.gateway}/ipfs/${cid}`;
+  }
+
+  async ping() {
+    const response = await fetch(`${this.apiUrl}${this.pingPath}`, {
+      headers: { Authorization: `Bearer ${this.token}` },
+      signal: AbortSignal.timeout(10000)
+    });
+    if (!response.ok) {
+      throw new Error(`${this.name} authentication failed with ${response.status}`);
+    }
+    return {};
+  }
+
+  async uploadFile(data, filename, contentType) {
+    const response = await fetch(`${this.apiUrl}/upload`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${this.token}`,
+        'Content-Type': contentType,
+        'X-Name': encodeURIComponent(filename)
+      },
+      body: data,
+      signal: AbortSignal.timeout(60000)
+    });
+    if (!response.ok) {
+      throw new Error(`${this.name} responded with ${response.status}: ${await response.text()}`);
+    }
+    const result = await response.json();
+    return { cid: result.cid || result.value?.cid, size: data.length };
+  }
+
+  async uploadJson(json, name) {
+    return this.uploadFile(Buffer.from(JSON.stringify(json)), `${name}.json`, 'application/json');
+  }
+}
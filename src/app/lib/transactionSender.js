@@ -0,0 +1,111 @@
+// Sends many transactions from one wallet without waiting for each to confirm.
+// Nonces are assigned locally, so broadcasts are serialized (a nonce is only
+// used up once its transaction is accepted) while confirmations overlap, up to
+// `maxInFlight` unconfirmed transactions at a time.
+
+// How often a broadcast is retried with a fresh nonce before giving up
+const MAX_NONCE_RETRIES = 3;
+
+// RPC errors meaning the nonce is already taken by a mined or pending transaction.
+// "already known" is left out: it means this very transaction was accepted.
+const NONCE_ERROR_CODES = ['NONCE_EXPIRED', 'REPLACEMENT_UNDERPRICED'];
+const NONCE_ERROR_PATTERN = /nonce too low|nonce has already been used|replacement (transaction )?underpriced/i;
+
+export const isNonceConflict = (error) =>
+  NONCE_ERROR_CODES.includes(error?.code) ||
+  NONCE_ERROR_PATTERN.test(`${error?.shortMessage || ''} ${error?.message || ''} ${error?.info?.error?.message || ''}`);
+
+/**
+ * Create a sender for `signer`. `submit(sendTx)` waits for a free slot, calls
+ * `sendTx({ nonce })` (e.g. `overrides => contract.mint(to, uri, overrides)`)
+ * and resolves to { tx, confirmation } once the transaction is broadcast;
+ * `confirmation` resolves to its receipt, or rejects when the transaction is
+ * not mined within `confirmationTimeoutMs`. `stats()` reports the counts so far.
+ */
+export function createTransactionSender(signer, { maxInFlight = 1, confirmationTimeoutMs = 180000 } = {}) {
+  const limit = Math.max(1, Math.floor(maxInFlight) || 1);
+  const waiting = [];
+  const counts = { submitted: 0, confirmed: 0, failed: 0, nonceRecoveries: 0 };
+  let inFlight = 0;
+  let nextNonce = null;
+  // Broadcasts run one at a time so nonces are handed out in order
+  let broadcasting = Promise.resolve();
+
+  const acquireSlot = () => {
+    if (inFlight < limit) {
+      inFlight++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => waiting.push(resolve));
+  };
+
+  // A freed slot passes straight to the next waiting submission
+  const releaseSlot = () => {
+    const next = waiting.shift();
+    if (next) {
+      next();
+    } else {
+      inFlight--;
+    }
+  };
+
+  async function broadcast(sendTx) {
+    if (nextNonce === null) {
+      nextNonce = await signer.getNonce('pending');
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      const nonce = nextNonce;
+      try {
+        const tx = await sendTx({ nonce });
+        nextNonce = nonce + 1;
+        return tx;
+      } catch (error) {
+        if (!isNonceConflict(error) || attempt >= MAX_NONCE_RETRIES) {
+          throw error;
+        }
+        // Another transaction (an earlier run, another process or a stuck
+        // replacement) holds this nonce; move past it
+        counts.nonceRecoveries++;
+        nextNonce = Math.max(await signer.getNonce('pending'), nonce + 1);
+      }
+    }
+  }
+
+  async function submit(sendTx) {
+    await acquireSlot();
+
+    let tx;
+    try {
+      const turn = broadcasting.then(() => broadcast(sendTx));
+      broadcasting = turn.catch(() => {});
+      tx = await turn;
+    } catch (error) {
+      counts.failed++;
+      releaseSlot();
+      throw error;
+    }
+
+    counts.submitted++;
+    const confirmation = tx.wait(1, confirmationTimeoutMs)
+      .then(receipt => {
+        counts.confirmed++;
+        return receipt;
+      }, error => {
+        counts.failed++;
+        if (error.code === 'TIMEOUT') {
+          // Dropped or stuck, so its nonce may be free again: re-read it before the next broadcast
+          nextNonce = null;
+          throw new Error(`Transaction ${tx.hash} was not confirmed within ${Math.round(confirmationTimeoutMs / 1000)}s`);
+        }
+        throw error;
+      })
+      .finally(releaseSlot);
+    return { tx, confirmation };
+  }
+
+  return {
+    submit,
+    stats: () => ({ maxInFlight: limit, inFlight, ...counts })
+  };
+}
@@ -0,0 +1,176 @@
+import { ethers } from 'ethers';
+import { CERTIFICATE_CONTRACT_ABI } from './contracts/CertimosCertificate.js';
+import { DEFAULT_NETWORK, isSupportedNetwork, getProvider, getExplorerAddressUrl } from './networks.js';
+import { getRevocation } from './repositories/revocations.js';
+import { findDeployment } from './repositories/deployments.js';
+import { fetchFromIpfs, resolveIpfsUrl, parseIpfsUri } from './ipfsGateway.js';
+import { getIpfsMetadata } from './ipfsCache.js';
+import { normalizeCertificateMetadata, validateCertificateMetadata, isCertificateExpired } from './metadataSchema.js';
+
+/**
+ * Public verification page for a certificate, used in metadata and QR codes.
+ */
+export function getVerifyUrl({ tokenId, contractAddress, network }) {
+  const verifyUrl = new URL(`/verify/${tokenId}`, process.env.NEXT_PUBLIC_APP_URL || 'http://localhost:3000');
+  if (contractAddress) verifyUrl.searchParams.set('contract', contractAddress);
+  if (network) verifyUrl.searchParams.set('network', network);
+  return verifyUrl.toString();
+}
+
+export class VerificationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'VerificationError';
+    this.status = status;
+  }
+}
+
+export async function fetchMetadata(tokenURI) {
+  if (tokenURI.startsWith('data:application/json')) {
+    const [header, payload] = tokenURI.split(',');
+    const json = header.endsWith(';base64')
+      ? Buffer.from(payload, 'base64').toString('utf8')
+      : decodeURIComponent(payload);
+    return JSON.parse(json);
+  }
+
+  // IPFS content is immutable, so it is served from the shared CID cache
+  if (parseIpfsUri(tokenURI)) {
+    return (await getIpfsMetadata(tokenURI)).metadata;
+  }
+
+  try {
+    const response = await fetchFromIpfs(tokenURI, { cache: 'no-store' });
+    return await response.json();
+  } catch (error) {
+    throw new Error(`Failed to fetch metadata: ${error.message}`);
+  }
+}
+
+// Human-readable certificate fields, the same for every metadata schema version
+function extractCertificateDetails(metadata) {
+  const details = normalizeCertificateMetadata(metadata);
+  if (!details) return null;
+
+  return {
+    ...details,
+    image: details.image ? resolveIpfsUrl(details.image) : null
+  };
+}
+
+/**
+ * Verify a certificate directly against the chain.
+ *
+ * Returns a verdict of `valid`, `revoked`, `expired` or `not_found` together with the
+ * on-chain owner, tokenURI and the certificate details read from its metadata.
+ * Contracts CERTIMOS has not registered get `unknown_issuer` without a chain
+ * lookup: anyone can deploy an ERC-721 with the same interface.
+ */
+export async function verifyCertificate({ contractAddress, tokenId, network = DEFAULT_NETWORK }) {
+  if (!contractAddress || !ethers.isAddress(contractAddress)) {
+    throw new VerificationError('Invalid contract address');
+  }
+  if (!/^\d+$/.test(String(tokenId ?? ''))) {
+    throw new VerificationError('Invalid token ID');
+  }
+
+  if (!isSupportedNetwork(network)) {
+    throw new VerificationError('Unsupported network');
+  }
+
+  const address = ethers.getAddress(contractAddress);
+  const provider = getProvider(network);
+  const contract = new ethers.Contract(address, CERTIFICATE_CONTRACT_ABI, provider);
+
+  const result = {
+    status: 'not_found',
+    verified: false,
+    tokenId: String(tokenId),
+    network,
+    owner: null,
+    tokenURI: null,
+    certificate: null,
+    metadata: null,
+    metadataError: null,
+    metadataValidation: null,
+    revocation: null,
+    issuer: {
+      contractAddress: address,
+      contractName: null,
+      explorerUrl: getExplorerAddressUrl(network, address)
+    },
+    checkedAt: new Date().toISOString()
+  };
+
+  const deployment = await findDeployment(network, address);
+  if (!deployment) {
+    result.status = 'unknown_issuer';
+    return result;
+  }
+  result.issuer.contractName = deployment.contractName;
+
+  const code = await provider.getCode(address);
+  if (code === '0x') {
+    return result;
+  }
+
+  try {
+    result.owner = await contract.ownerOf(tokenId);
+  } catch (error) {
+    // ownerOf reverts for tokens that were never minted (or were burned)
+    if (error.code === 'CALL_EXCEPTION') {
+      return result;
+    }
+    throw error;
+  }
+
+  const [contractName, tokenURI] = await Promise.all([
+    contract.name().catch(() => null),
+    contract.tokenURI(tokenId).catch(() => null)
+  ]);
+  result.issuer.contractName = contractName || deployment.contractName;
+  result.tokenURI = tokenURI;
+
+  // Contracts deployed before revocation support do not expose isRevoked
+  try {
+    if (await contract.isRevoked(tokenId)) {
+      result.revocation = {
+        reason: await contract.revocationReason(tokenId).catch(() => null),
+        onChain: true
+      };
+    }
+  } catch {
+    result.revocation = null;
+  }
+
+  // Revocations recorded by CERTIMOS cover those contracts and add when/by which tx
+  try {
+    const record = await getRevocation({ network, contractAddress: address, tokenId });
+    if (record) {
+      result.revocation = {
+        reason: result.revocation?.reason || record.reason,
+        onChain: Boolean(result.revocation) || record.onChain,
+        transactionHash: record.transactionHash,
+        revokedAt: record.revokedAt
+      };
+    }
+  } catch (error) {
+    console.error('Revocation lookup failed:', error);
+  }
+
+  if (tokenURI) {
+    try {
+      result.metadata = await fetchMetadata(tokenURI);
+      result.metadataValidation = validateCertificateMetadata(result.metadata);
+      result.certificate = extractCertificateDetails(result.metadata);
+    } catch (error) {
+      console.error(`Metadata fetch failed for token ${tokenId}:`, error);
+      result.metadataError = error.message;
+    }
+  }
+
+  const expired = isCertificateExpired(result.certificate?.expiresAt);
+  result.status = result.revocation ? 'revoked' : expired ? 'expired' : 'valid';
+  result.verified = result.status === 'valid';
+  return result;
+}
@@ -1,98 +1,55 @@
 "use client";
 import { useEffect, useState } from "react";
+import Link from "next/link";
 import { ethers } from "ethers";
 import DotGrid from "../components/ui/DotGrid";
+import {
+  DEFAULT_NETWORK,
+  DEFAULT_CONTRACT_ADDRESS,
+  getNetwork,
+  getWalletChainParams,
+  getExplorerAddressUrl,
+  getExplorerTokenUrl,
+} from "../lib/networks";
+import { resolveIpfsUrl, getNextGatewayUrl, parseIpfsUri } from "../lib/ipfsGateway";
+import { normalizeCertificateMetadata } from "../lib/metadataSchema";
+import { getOptOutMessage } from "../lib/leaderboard";
+import { shortenAddress } from "../lib/address";
+
+// Certificate index and wallet routes served by this app
+const API_BASE_URL = "/api";
+
+// Resized copy served (and cached) by the app for IPFS images
+function getThumbnailUrl(uri, width) {
+  if (!parseIpfsUri(uri)) return resolveIpfsUrl(uri);
+  return `${API_BASE_URL}/metadata/image?uri=${encodeURIComponent(uri)}&width=${width}`;
+}
 
-// Backend API Configuration - Try multiple possible ports
-const POSSIBLE_BACKEND_URLS = [
-  "http://localhost:5000",
-  "http://localhost:3001", 
-  "http://127.0.0.1:5000"
-];
-
-// Auto-detect working backend URL
-let API_BASE_URL = "http://localhost:5000/api";
-let HEALTH_URL = "http://localhost:5000/health";
-
-// Helper function to resolve IPFS URLs
-function resolveIPFS(uri) {
-  if (!uri) return "";
-  if (uri.startsWith("ipfs://")) {
-    return uri.replace("ipfs://", "https://ipfs.io/ipfs/");
+// Fall back from the thumbnail to the gateways, then to the placeholder
+function handleImageError(e) {
+  const failed = new URL(e.target.src);
+  if (failed.pathname === `${API_BASE_URL}/metadata/image`) {
+    e.target.src = resolveIpfsUrl(failed.searchParams.get("uri"));
+    return;
   }
-  return uri;
-}
 
-// Helper function to fetch IPFS metadata
-async function fetchIPFSMetadata(tokenURI) {
-  try {
-    if (!tokenURI) return null;
-    
-    if (tokenURI.startsWith('http')) {
-      const response = await fetch(tokenURI);
-      if (!response.ok) {
-        throw new Error(`Failed to fetch metadata: ${response.status}`);
-      }
-      return await response.json();
-    } else if (tokenURI.startsWith('data:application/json')) {
-      const base64Data = tokenURI.split(',')[1];
-      const jsonString = atob(base64Data);
-      return JSON.parse(jsonString);
-    }
-    
-    // Handle IPFS URLs
-    const resolvedURL = resolveIPFS(tokenURI);
-    console.log('Fetching metadata from:', resolvedURL);
-    
-    const response = await fetch(resolvedURL);
-    if (!response.ok) {
-      throw new Error(`Failed to fetch metadata: ${response.status}`);
-    }
-    
-    const metadata = await response.json();
-    console.log('Fetched metadata:', metadata);
-    return metadata;
-  } catch (error) {
-    console.error('Error fetching IPFS metadata:', error);
-    return null;
+  const nextUrl = getNextGatewayUrl(e.target.src);
+  if (nextUrl) {
+    e.target.src = nextUrl;
+  } else if (e.target.src !== `${window.location.origin}/placeholder-certificate.png`) {
+    e.target.src = "/placeholder-certificate.png";
   }
 }
 
 // API Service functions
 const apiService = {
-  // Auto-detect working backend URL
-  async findWorkingBackend() {
-    for (const baseUrl of POSSIBLE_BACKEND_URLS) {
-      try {
-        const response = await fetch(`${baseUrl}/health`, { 
-          method: 'GET',
-          headers: {
-            'Accept': 'application/json',
-            'Content-Type': 'application/json',
-          }
-        });
-        if (response.ok) {
-          API_BASE_URL = `${baseUrl}/api`;
-          HEALTH_URL = `${baseUrl}/health`;
-          return await response.json();
-        }
-      } catch (error) {
-        console.log(`Backend not available at ${baseUrl}:`, error.message);
-        continue;
-      }
-    }
-    throw new Error('No backend server found. Please start your backend server.');
-  },
-
-  // Get all certificates for a wallet with metadata - SIMPLIFIED VERSION
+  // Get all certificates for a wallet; the API returns them with metadata and valuation
   async getCertificates(walletAddress) {
     try {
-      // 1. Get basic certificate data (fast - 2-5 seconds)
       const response = await fetch(`${API_BASE_URL}/certificates/wallet/${walletAddress}`, {
         method: 'GET',
         headers: {
           'Accept': 'application/json',
-          'Content-Type': 'application/json',
         }
       });
       
@@ -100,54 +57,20 @@ const apiService = {
         throw new Error(`Failed to fetch certificates: ${response.status} ${response.statusText}`);
       }
       
-      const data = await response.json();
-      
-      if (data.success && data.certificates) {
-        // 2. Fetch metadata for certificates that have tokenURI
-        const certificatesWithMetadata = await Promise.all(
-          data.certificates.map(async (cert) => {
-            if (!cert.tokenURI) {
-              return cert; // Return as-is if no tokenURI
-            }
-
-            try {
-              const metadata = await fetchIPFSMetadata(cert.tokenURI);
-              return {
-                ...cert,
-                metadata: metadata,
-                name: metadata?.name || cert.name,
-                description: metadata?.description || cert.description,
-                image: metadata?.image || cert.image,
-                attributes: metadata?.attributes || cert.attributes
-              };
-            } catch (error) {
-              console.error(`Failed to fetch metadata for token ${cert.tokenId}:`, error);
-              return cert; // Return original cert if metadata fails
-            }
-          })
-        );
-        
-        return {
-          ...data,
-          certificates: certificatesWithMetadata
-        };
-      }
-      
-      return data;
+      return response.json();
     } catch (error) {
       console.error('Certificate fetch error:', error);
       throw error;
     }
   },
 
-  // Get XDC balance for a wallet
+  // Get native balance for a wallet
   async getBalance(walletAddress) {
     try {
-      const response = await fetch(`${API_BASE_URL}/wallet/${walletAddress}/balance`, {
+      const response = await fetch(`${API_BASE_URL}/wallet/${walletAddress}/balance?network=${DEFAULT_NETWORK}`, {
         method: 'GET',
         headers: {
           'Accept': 'application/json',
-          'Content-Type': 'application/json',
         }
       });
       if (!response.ok) {
@@ -160,13 +83,45 @@ const apiService = {
     }
   },
 
+  // Get a wallet's all-time leaderboard rank
+  async getRank(walletAddress) {
+    const response = await fetch(`${API_BASE_URL}/leaderboard?address=${walletAddress}&limit=1`, {
+      method: 'GET',
+      headers: {
+        'Accept': 'application/json',
+      }
+    });
+    if (!response.ok) {
+      throw new Error(`Failed to fetch rank: ${response.status} ${response.statusText}`);
+    }
+    return response.json();
+  },
+
+  // Hide a wallet from the leaderboard or show it again; the wallet signs the request
+  async setLeaderboardVisibility(walletAddress, hidden) {
+    const provider = new ethers.BrowserProvider(window.ethereum);
+    const signer = await provider.getSigner();
+    const timestamp = new Date().toISOString();
+    const signature = await signer.signMessage(getOptOutMessage(walletAddress, hidden, timestamp));
+
+    const response = await fetch(`${API_BASE_URL}/leaderboard/opt-out`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ address: walletAddress, hidden, timestamp, signature })
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to update leaderboard visibility');
+    }
+    return result;
+  },
+
   // Verify a certificate by token ID
-  async verifyCertificate(tokenId) {
-    const response = await fetch(`${API_BASE_URL}/verify/${tokenId}`, {
+  async verifyCertificate(tokenId, contractAddress, network = DEFAULT_NETWORK) {
+    const response = await fetch(`${API_BASE_URL}/verify/${contractAddress}/${tokenId}?network=${network}`, {
       method: 'GET',
       headers: {
         'Accept': 'application/json',
-        'Content-Type': 'application/json',
       }
     });
     if (!response.ok) {
@@ -175,17 +130,16 @@ const apiService = {
     return response.json();
   },
 
-  // Check backend health
+  // Check API health
   async checkHealth() {
-    const response = await fetch(HEALTH_URL, {
+    const response = await fetch(`${API_BASE_URL}/health`, {
       method: 'GET',
       headers: {
         'Accept': 'application/json',
-        'Content-Type': 'application/json',
       }
     });
     if (!response.ok) {
-      throw new Error(`Backend health check failed: ${response.statusText}`);
+      throw new Error(`Health check failed: ${response.statusText}`);
     }
     return response.json();
   }
@@ -202,13 +156,15 @@ export default function ParticipantDashboard() {
   const [error, setError] = useState(null);
   const [selectedCertificate, setSelectedCertificate] = useState(null);
   const [backendStatus, setBackendStatus] = useState(null);
-  const [contractAddress, setContractAddress] = useState('0x9b40c3c0656434fd89bC50671a29d1814EDA8079');
+  const [contractAddress, setContractAddress] = useState(DEFAULT_CONTRACT_ADDRESS);
   const [shareSuccess, setShareSuccess] = useState(false);
   const [showShareModal, setShowShareModal] = useState(false);
 
   // ⭐ NEW: State for valuation data
   const [totalPoints, setTotalPoints] = useState(0);
   const [valueBreakdown, setValueBreakdown] = useState(null);
+  const [rank, setRank] = useState(null);
+  const [rankUpdating, setRankUpdating] = useState(false);
 
   // 🎭 NEW: Styles for rarity levels
   const rarityStyles = {
@@ -223,7 +179,7 @@ export default function ParticipantDashboard() {
     setIsClient(true);
     checkBackendHealth();
     // Set the fixed contract address
-    setContractAddress('0x9b40c3c0656434fd89bC50671a29d1814EDA8079');
+    setContractAddress(DEFAULT_CONTRACT_ADDRESS);
   }, []);
 
   useEffect(() => {
@@ -245,11 +201,10 @@ export default function ParticipantDashboard() {
 
   const checkBackendHealth = async () => {
     try {
-      const health = await apiService.findWorkingBackend();
+      const health = await apiService.checkHealth();
       setBackendStatus(health);
-      console.log('Backend found and working:', health);
     } catch (err) {
-      console.error("No backend server found:", err.message);
+      console.error("Health check failed:", err.message);
       setBackendStatus({ status: "ERROR", message: err.message });
     }
   };
@@ -262,12 +217,19 @@ export default function ParticipantDashboard() {
       // Ensure we're on the correct network
       await ensureCorrectNetwork();
 
-      // Fetch certificates and balance in parallel
-      const [certificatesResponse, balanceResponse] = await Promise.allSettled([
+      // Fetch certificates, balance and rank in parallel
+      const [certificatesResponse, balanceResponse, rankResponse] = await Promise.allSettled([
         apiService.getCertificates(address),
-        apiService.getBalance(address)
+        apiService.getBalance(address),
+        apiService.getRank(address)
       ]);
 
+      if (rankResponse.status === 'fulfilled' && rankResponse.value.success) {
+        setRank(rankResponse.value.you);
+      } else {
+        setRank(null);
+      }
+
       // Handle certificates response
       if (certificatesResponse.status === 'fulfilled') {
         const certsData = certificatesResponse.value;
@@ -316,28 +278,20 @@ export default function ParticipantDashboard() {
   const ensureCorrectNetwork = async () => {
     if (!window.ethereum) return;
 
+    const chainParams = getWalletChainParams(DEFAULT_NETWORK);
     const chainId = await window.ethereum.request({ method: "eth_chainId" });
-    const apothemChainId = "0x33"; // Apothem Testnet
 
-    if (chainId !== apothemChainId) {
+    if (chainId !== chainParams.chainId) {
       try {
         await window.ethereum.request({
           method: "wallet_switchEthereumChain",
-          params: [{ chainId: apothemChainId }],
+          params: [{ chainId: chainParams.chainId }],
         });
       } catch (switchError) {
         if (switchError.code === 4902) {
           await window.ethereum.request({
             method: "wallet_addEthereumChain",
-            params: [
-              {
-                chainId: apothemChainId,
-                chainName: "XDC Apothem Network",
-                nativeCurrency: { name: "XDC", symbol: "XDC", decimals: 18 },
-                rpcUrls: ["https://erpc.apothem.network"],
-                blockExplorerUrls: ["https://explorer.apothem.network/"],
-              },
-            ],
+            params: [chainParams],
           });
         } else {
           throw switchError;
@@ -358,6 +312,21 @@ export default function ParticipantDashboard() {
     }
   };
 
+  const toggleLeaderboardVisibility = async () => {
+    if (!wallet || !rank) return;
+    setRankUpdating(true);
+    try {
+      await apiService.setLeaderboardVisibility(wallet, !rank.optedOut);
+      const result = await apiService.getRank(wallet);
+      setRank(result.you);
+    } catch (err) {
+      console.error("Failed to update leaderboard visibility:", err);
+      setError(`Failed to update leaderboard visibility: ${err.message}`);
+    } finally {
+      setRankUpdating(false);
+    }
+  };
+
   const handleCertificateClick = (certificate) => {
     setSelectedCertificate(certificate);
   };
@@ -378,13 +347,13 @@ export default function ParticipantDashboard() {
 
   // Enhanced button handlers
   const handleViewContract = () => {
-    const url = 'https://testnet.xdcscan.com/address/0x9b40c3c0656434fd89bC50671a29d1814EDA8079';
+    const url = getExplorerAddressUrl(getCertificateNetwork(selectedCertificate), getCertificateContract(selectedCertificate));
     console.log('Opening contract URL:', url);
     window.open(url, '_blank', 'noopener,noreferrer');
   };
 
   const handleViewTokenDetails = (tokenId) => {
-    const url = `https://testnet.xdcscan.com/token/${contractAddress}/${tokenId}`;
+    const url = getExplorerTokenUrl(getCertificateNetwork(selectedCertificate), getCertificateContract(selectedCertificate), tokenId);
     console.log('Opening token URL:', url);
     window.open(url, '_blank', 'noopener,noreferrer');
   };
@@ -403,7 +372,7 @@ export default function ParticipantDashboard() {
     const eventName = getEventName(certificate);
     
     const shareText = `🎓 I've earned a blockchain certificate: ${certName}${eventName ? ` from ${eventName}` : ''}!\n\nThis ${getCertificateRarity(certificate)} certificate is worth ${getCertificatePoints(certificate)} points and is verified on the XDC Network.\n\nToken ID: #${certificate.tokenId}\n\n#BlockchainEducation #Certificate #XDC #Achievement #NFT`;
-    const shareUrl = `https://testnet.xdcscan.com/token/${contractAddress}/${certificate.tokenId}`;
+    const shareUrl = getExplorerTokenUrl(getCertificateNetwork(certificate), getCertificateContract(certificate), certificate.tokenId);
     
     const linkedInUrl = `https://www.linkedin.com/sharing/share-offsite/?url=${encodeURIComponent(shareUrl)}&text=${encodeURIComponent(shareText)}`;
     
@@ -416,7 +385,7 @@ export default function ParticipantDashboard() {
     const eventName = getEventName(certificate);
     
     const shareText = `🎓 Just earned my ${getCertificateRarity(certificate)} blockchain certificate: ${certName}${eventName ? ` from ${eventName}` : ''}! Worth ${getCertificatePoints(certificate)} points. Verified on @XDCFoundation Network. Token #${certificate.tokenId} #BlockchainEducation #Certificate #XDC`;
-    const shareUrl = `https://testnet.xdcscan.com/token/${contractAddress}/${certificate.tokenId}`;
+    const shareUrl = getExplorerTokenUrl(getCertificateNetwork(certificate), getCertificateContract(certificate), certificate.tokenId);
     
     const twitterUrl = `https://twitter.com/intent/tweet?text=${encodeURIComponent(shareText)}&url=${encodeURIComponent(shareUrl)}`;
     
@@ -425,7 +394,7 @@ export default function ParticipantDashboard() {
   };
 
   const shareToFacebook = (certificate) => {
-    const shareUrl = `https://testnet.xdcscan.com/token/${contractAddress}/${certificate.tokenId}`;
+    const shareUrl = getExplorerTokenUrl(getCertificateNetwork(certificate), getCertificateContract(certificate), certificate.tokenId);
     const facebookUrl = `https://www.facebook.com/sharer/sharer.php?u=${encodeURIComponent(shareUrl)}`;
     
     window.open(facebookUrl, '_blank', 'width=600,height=400');
@@ -448,7 +417,7 @@ Category: ${getCertificateCategory(certificate)}
 Points: ${getCertificatePoints(certificate)}
 Token ID: #${certificate.tokenId}
 
-Verify on blockchain: https://testnet.xdcscan.com/token/${contractAddress}/${certificate.tokenId}
+Verify on blockchain: ${getExplorerTokenUrl(getCertificateNetwork(certificate), getCertificateContract(certificate), certificate.tokenId)}
 
 #BlockchainEducation #Certificate #XDC #Achievement`;
 
@@ -473,6 +442,10 @@ Verify on blockchain: https://testnet.xdcscan.com/token/${contractAddress}/${cer
   };
 
   // Helper functions to extract certificate data
+  // Certificates from the index carry their own contract and network
+  const getCertificateContract = (cert) => cert?.contractAddress || contractAddress;
+  const getCertificateNetwork = (cert) => cert?.network || DEFAULT_NETWORK;
+
   const getCertificateImage = (cert) => {
     return cert.image || cert.metadata?.image || null;
   };
@@ -495,30 +468,19 @@ Verify on blockchain: https://testnet.xdcscan.com/token/${contractAddress}/${cer
   const getCertificateCategory = (cert) => cert.category || 'General';
 
 
-  const getEventName = (cert) => {
-    return cert.event_name || cert.metadata?.event_name || 
-           getCertificateAttributes(cert).find(attr => attr.trait_type === 'Event')?.value || '';
-  };
+  // The index sends normalized details; normalize locally for anything else
+  const getCertificateDetails = (cert) =>
+    cert.details || normalizeCertificateMetadata(cert.metadata) || {};
 
-  const getRecipientName = (cert) => {
-    return cert.recipient_name || cert.metadata?.recipient_name || 
-           getCertificateAttributes(cert).find(attr => attr.trait_type === 'Recipient')?.value || '';
-  };
+  const getEventName = (cert) => getCertificateDetails(cert).event || '';
 
-  const getDateIssued = (cert) => {
-    return cert.date_issued || cert.metadata?.date_issued || 
-           getCertificateAttributes(cert).find(attr => attr.trait_type === 'Date Issued')?.value || '';
-  };
+  const getRecipientName = (cert) => getCertificateDetails(cert).recipient || '';
 
-  const getCertificateLevel = (cert) => {
-    return getCertificateAttributes(cert).find(attr => attr.trait_type === 'Level')?.value || '';
-  };
+  const getDateIssued = (cert) => getCertificateDetails(cert).issueDate || '';
 
-  const getSkills = (cert) => {
-    return getCertificateAttributes(cert)
-      .filter(attr => attr.trait_type.startsWith('Skill'))
-      .map(attr => attr.value);
-  };
+  const getCertificateLevel = (cert) => getCertificateDetails(cert).level || '';
+
+  const getSkills = (cert) => getCertificateDetails(cert).skills || [];
 
   const formatDate = (dateString) => {
     if (!dateString) return '';
@@ -603,7 +565,7 @@ Verify on blockchain: https://testnet.xdcscan.com/token/${contractAddress}/${cer
 
               {/* Wallet with fade + slide in */}
               <p className="text-gray-400 text-sm mt-1 animate-fade-in">
-                Wallet: {wallet.slice(0, 6)}...{wallet.slice(-4)}
+                Wallet: {shortenAddress(wallet, DEFAULT_NETWORK)}
               </p>
             </div>
 
@@ -780,6 +742,32 @@ Verify on blockchain: https://testnet.xdcscan.com/token/${contractAddress}/${cer
                    ))}
                  </div>
               </div>
+              {/* Leaderboard Rank */}
+              {rank && (
+                <div className="bg-gray-800 p-6 rounded-xl border border-gray-700">
+                  <h3 className="text-gray-400 text-sm font-medium mb-1">Your Rank</h3>
+                  <p className="text-3xl font-bold text-[#54D1DC]">
+                    {rank.optedOut ? "Hidden" : rank.rank ? `#${rank.rank}` : "Unranked"}
+                  </p>
+                  <p className="text-gray-500 text-xs">
+                    {rank.optedOut
+                      ? "You are hidden from the public leaderboard"
+                      : `of ${rank.rankedWallets} wallets`}
+                  </p>
+                  <div className="flex justify-between items-center mt-3 text-sm">
+                    <Link href="/leaderboard" className="text-[#54D1DC] hover:underline">
+                      View leaderboard
+                    </Link>
+                    <button
+                      onClick={toggleLeaderboardVisibility}
+                      disabled={rankUpdating}
+                      className="text-gray-400 hover:text-white transition-colors disabled:opacity-50"
+                    >
+                      {rankUpdating ? "Signing..." : rank.optedOut ? "Show me" : "Hide me"}
+                    </button>
+                  </div>
+                </div>
+              )}
             </div>
           </section>
         )}
@@ -833,7 +821,7 @@ Verify on blockchain: https://testnet.xdcscan.com/token/${contractAddress}/${cer
             <div className="z-50 grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
               {certificates.map((cert, idx) => (
                 <div
-                  key={cert.tokenId}
+                  key={`${cert.network}:${cert.contractAddress}:${cert.tokenId}`}
                   onClick={() => handleCertificateClick(cert)}
                   style={{ animationDelay: `${idx * 150}ms` }}
                   className="bg-gray-800 rounded-xl shadow-lg p-6 border border-gray-700 cursor-pointer 
@@ -844,16 +832,14 @@ Verify on blockchain: https://testnet.xdcscan.com/token/${contractAddress}/${cer
                   <div className="z-50 relative mb-4">
                     <img
                       src={
-                        resolveIPFS(getCertificateImage(cert)) ||
+                        getThumbnailUrl(getCertificateImage(cert), 400) ||
                         "/placeholder-certificate.png"
                       }
                       alt={getCertificateName(cert)}
                       className="w-full h-48 object-contain rounded-lg bg-gray-700 transition-transform duration-500 group-hover:scale-105"
                       onError={(e) => {
                         console.log('Image failed to load:', e.target.src);
-                        if (e.target.src !== `${window.location.origin}/placeholder-certificate.png`) {
-                          e.target.src = "/placeholder-certificate.png";
-                        }
+                        handleImageError(e);
                       }}
                       onLoad={(e) => {
                         console.log('Image loaded successfully:', e.target.src);
@@ -873,6 +859,22 @@ Verify on blockchain: https://testnet.xdcscan.com/token/${contractAddress}/${cer
                         {getCertificateLevel(cert)}
                       </div>
                     )}
+                    {cert.revocation && (
+                      <div
+                        className="absolute bottom-2 left-2 px-2 py-1 rounded text-xs font-bold 
+                              bg-red-600 text-white"
+                      >
+                        Revoked
+                      </div>
+                    )}
+                    {cert.status === "expired" && (
+                      <div
+                        className="absolute bottom-2 left-2 px-2 py-1 rounded text-xs font-bold 
+                              bg-orange-600 text-white"
+                      >
+                        Expired
+                      </div>
+                    )}
                   </div>
 
                   {/* Title */}
@@ -1014,21 +1016,33 @@ Verify on blockchain: https://testnet.xdcscan.com/token/${contractAddress}/${cer
                 </button>
               </div>
 
+              {selectedCertificate.revocation && (
+                <div className="mb-6 p-4 rounded-xl bg-red-900/60 border border-red-500 text-red-100">
+                  <p className="font-semibold">This certificate has been revoked by its issuer.</p>
+                  {selectedCertificate.revocation.reason && (
+                    <p className="text-sm mt-1">Reason: {selectedCertificate.revocation.reason}</p>
+                  )}
+                  {selectedCertificate.revocation.revokedAt && (
+                    <p className="text-xs mt-1 text-red-200">
+                      Revoked on {new Date(selectedCertificate.revocation.revokedAt).toLocaleDateString()}
+                    </p>
+                  )}
+                </div>
+              )}
+
               <div className="grid grid-cols-1 z-50 lg:grid-cols-2 gap-6">
                 {/* Certificate Image */}
                 <div>
                   <img
                     src={
-                      resolveIPFS(getCertificateImage(selectedCertificate)) ||
+                      resolveIpfsUrl(getCertificateImage(selectedCertificate)) ||
                       "/placeholder-certificate.png"
                     }
                     alt={getCertificateName(selectedCertificate)}
                     className="w-full h-80 object-cover rounded-lg bg-gray-700"
                     onError={(e) => {
                       console.log('Modal image failed to load:', e.target.src);
-                      if (e.target.src !== `${window.location.origin}/placeholder-certificate.png`) {
-                        e.target.src = "/placeholder-certificate.png";
-                      }
+                      handleImageError(e);
                     }}
                     onLoad={(e) => {
                       console.log('Modal image loaded successfully:', e.target.src);
@@ -1123,7 +1137,7 @@ Verify on blockchain: https://testnet.xdcscan.com/token/${contractAddress}/${cer
 
                   <div>
                     <label className="text-sm text-gray-400">Network</label>
-                    <p className="text-white">XDC Apothem Testnet</p>
+                    <p className="text-white">{getNetwork(getCertificateNetwork(selectedCertificate))?.name}</p>
                   </div>
 
                   <div>
@@ -1141,11 +1155,11 @@ Verify on blockchain: https://testnet.xdcscan.com/token/${contractAddress}/${cer
                     </label>
                     <div className="flex items-center gap-2">
                       <p className="text-white font-mono text-sm break-all">
-                        {contractAddress}
+                        {getCertificateContract(selectedCertificate)}
                       </p>
                       <button
                         onClick={() =>
-                          navigator.clipboard?.writeText(contractAddress)
+                          navigator.clipboard?.writeText(getCertificateContract(selectedCertificate))
                         }
                         className="text-[#54D1DC] hover:text-[#3fb8c4] text-xs"
                         title="Copy address"
@@ -1166,7 +1180,7 @@ Verify on blockchain: https://testnet.xdcscan.com/token/${contractAddress}/${cer
                         {selectedCertificate.tokenURI}
                       </p>
                       <a
-                        href={resolveIPFS(selectedCertificate.tokenURI)}
+                        href={resolveIpfsUrl(selectedCertificate.tokenURI)}
                         target="_blank"
                         rel="noopener noreferrer"
                         className="text-[#54D1DC] hover:text-[#3fb8c4] text-sm"
@@ -1205,12 +1219,28 @@ Verify on blockchain: https://testnet.xdcscan.com/token/${contractAddress}/${cer
                   <label className="text-sm text-gray-400">
                     Verification Status
                   </label>
-                  <div className="flex items-center gap-2 mt-1">
-                    <div className="w-2 h-2 bg-green-400 rounded-full"></div>
-                    <p className="text-green-400 font-semibold">
-                      Verified on Blockchain
-                    </p>
-                  </div>
+                  {selectedCertificate.revocation ? (
+                    <div className="flex items-center gap-2 mt-1">
+                      <div className="w-2 h-2 bg-red-400 rounded-full"></div>
+                      <p className="text-red-400 font-semibold">
+                        Revoked{selectedCertificate.revocation.onChain ? " on Blockchain" : " by Issuer"}
+                      </p>
+                    </div>
+                  ) : selectedCertificate.status === "expired" ? (
+                    <div className="flex items-center gap-2 mt-1">
+                      <div className="w-2 h-2 bg-orange-400 rounded-full"></div>
+                      <p className="text-orange-400 font-semibold">
+                        Expired on {selectedCertificate.details.expiresAt}
+                      </p>
+                    </div>
+                  ) : (
+                    <div className="flex items-center gap-2 mt-1">
+                      <div className="w-2 h-2 bg-green-400 rounded-full"></div>
+                      <p className="text-green-400 font-semibold">
+                        Verified on Blockchain
+                      </p>
+                    </div>
+                  )}
                 </div>
               </div>
               
@@ -1287,7 +1317,7 @@ Verify on blockchain: https://testnet.xdcscan.com/token/${contractAddress}/${cer
                 <div className="mt-4 flex flex-wrap gap-2 justify-center">
                   <button
                     onClick={() => {
-                      const tokenUrl = `https://testnet.xdcscan.com/token/${contractAddress}/${selectedCertificate.tokenId}`;
+                      const tokenUrl = getExplorerTokenUrl(getCertificateNetwork(selectedCertificate), getCertificateContract(selectedCertificate), selectedCertificate.tokenId);
                       navigator.clipboard?.writeText(tokenUrl);
                       setShareSuccess(true);
                       setTimeout(() => setShareSuccess(false), 2000);
@@ -1299,8 +1329,7 @@ Verify on blockchain: https://testnet.xdcscan.com/token/${contractAddress}/${cer
 
                   <button
                     onClick={() => {
-                      const contractUrl =
-                        "https://testnet.xdcscan.com/address/0x9b40c3c0656434fd89bC50671a29d1814EDA8079";
+                      const contractUrl = getExplorerAddressUrl(getCertificateNetwork(selectedCertificate), getCertificateContract(selectedCertificate));
                       navigator.clipboard?.writeText(contractUrl);
                       setShareSuccess(true);
                       setTimeout(() => setShareSuccess(false), 2000);
@@ -1313,7 +1342,7 @@ Verify on blockchain: https://testnet.xdcscan.com/token/${contractAddress}/${cer
                   {selectedCertificate.tokenURI && (
                     <button
                       onClick={() => {
-                        const ipfsUrl = resolveIPFS(
+                        const ipfsUrl = resolveIpfsUrl(
                           selectedCertificate.tokenURI
                         );
                         window.open(ipfsUrl, "_blank", "noopener,noreferrer");
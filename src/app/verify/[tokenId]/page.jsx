@@ -0,0 +1,207 @@
+import Link from "next/link";
+import { verifyCertificate, VerificationError } from "../../lib/verify";
+import { DEFAULT_NETWORK, DEFAULT_CONTRACT_ADDRESS, getNetwork } from "../../lib/networks";
+
+export const dynamic = "force-dynamic";
+
+const verdictStyles = {
+  valid: {
+    label: "Valid Certificate",
+    description: "This certificate was issued on-chain and has not been revoked.",
+    badge: "bg-green-600/20 border-green-500 text-green-300",
+    dot: "bg-green-400",
+  },
+  revoked: {
+    label: "Certificate Revoked",
+    description: "This certificate was issued on-chain but has since been revoked by its issuer.",
+    badge: "bg-red-600/20 border-red-500 text-red-300",
+    dot: "bg-red-400",
+  },
+  expired: {
+    label: "Certificate Expired",
+    description: "This certificate was issued on-chain but its validity period has ended.",
+    badge: "bg-orange-600/20 border-orange-500 text-orange-300",
+    dot: "bg-orange-400",
+  },
+  not_found: {
+    label: "Certificate Not Found",
+    description: "No certificate with this token ID exists on the issuing contract.",
+    badge: "bg-yellow-600/20 border-yellow-500 text-yellow-300",
+    dot: "bg-yellow-400",
+  },
+  unknown_issuer: {
+    label: "Unknown Issuer",
+    description: "This contract is not a registered CERTIMOS issuer, so its tokens cannot be verified as CERTIMOS certificates.",
+    badge: "bg-red-600/20 border-red-500 text-red-300",
+    dot: "bg-red-400",
+  },
+  error: {
+    label: "Verification Unavailable",
+    description: "The certificate could not be checked right now. Please try again later.",
+    badge: "bg-gray-600/20 border-gray-500 text-gray-300",
+    dot: "bg-gray-400",
+  },
+};
+
+async function loadVerification(tokenId, contractAddress, network) {
+  try {
+    return await verifyCertificate({ contractAddress, tokenId, network });
+  } catch (error) {
+    if (!(error instanceof VerificationError)) {
+      console.error("Certificate verification error:", error);
+    }
+    return { status: "error", error: error.message, tokenId };
+  }
+}
+
+export async function generateMetadata({ params }) {
+  const { tokenId } = await params;
+  return {
+    title: `Verify Certificate #${tokenId} | CERTIMOS`,
+    description: `Blockchain verification for certificate token #${tokenId}.`,
+  };
+}
+
+function formatDate(dateString) {
+  if (!dateString) return null;
+  const date = new Date(dateString);
+  if (Number.isNaN(date.getTime())) return dateString;
+  return date.toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+  });
+}
+
+function DetailRow({ label, value, mono = false }) {
+  if (!value) return null;
+  return (
+    <div className="bg-gray-800 p-4 rounded-lg border border-gray-700">
+      <div className="text-xs text-gray-400 uppercase tracking-wide mb-1">
+        {label}
+      </div>
+      <p className={`text-white ${mono ? "font-mono text-sm break-all" : "font-semibold"}`}>
+        {value}
+      </p>
+    </div>
+  );
+}
+
+export default async function VerifyCertificatePage({ params, searchParams }) {
+  const { tokenId } = await params;
+  const query = await searchParams;
+  const contractAddress = query.contract || DEFAULT_CONTRACT_ADDRESS;
+  const network = query.network || DEFAULT_NETWORK;
+
+  const verification = await loadVerification(tokenId, contractAddress, network);
+  const verdict = verdictStyles[verification.status] || verdictStyles.error;
+  const certificate = verification.certificate || {};
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-900 via-black to-gray-900 text-white">
+      <header className="border-b border-gray-800 bg-black/50 backdrop-blur-sm">
+        <div className="max-w-4xl mx-auto px-6 py-4 flex justify-between items-center">
+          <Link href="/" className="text-2xl font-extrabold tracking-wide hover:text-[#54D1DC] transition-colors">
+            CERTIMOS
+          </Link>
+          <span className="text-gray-400 text-sm">Certificate Verification</span>
+        </div>
+      </header>
+
+      <main className="max-w-4xl mx-auto px-6 py-10 space-y-8">
+        <section className={`p-6 rounded-2xl border ${verdict.badge}`}>
+          <div className="flex items-center gap-3 mb-2">
+            <div className={`w-3 h-3 rounded-full ${verdict.dot}`}></div>
+            <h1 className="text-2xl font-bold">{verdict.label}</h1>
+          </div>
+          <p className="text-gray-200">{verdict.description}</p>
+          {verification.revocation?.reason && (
+            <p className="mt-2 text-red-200">
+              Reason: {verification.revocation.reason}
+            </p>
+          )}
+          {verification.revocation?.revokedAt && (
+            <p className="mt-1 text-red-200 text-sm">
+              Revoked on {new Date(verification.revocation.revokedAt).toLocaleDateString()}
+            </p>
+          )}
+          {verification.status === "expired" && (
+            <p className="mt-1 text-orange-200 text-sm">
+              Expired on {formatDate(verification.certificate?.expiresAt)}
+            </p>
+          )}
+          {verification.status === "error" && verification.error && (
+            <p className="mt-2 text-gray-400 text-sm">{verification.error}</p>
+          )}
+        </section>
+
+        {["valid", "revoked", "expired"].includes(verification.status) && (
+          <section className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div>
+              <img
+                src={certificate.image || "/placeholder-certificate.png"}
+                alt={certificate.name || `Certificate #${tokenId}`}
+                className="w-full h-80 object-contain rounded-lg bg-gray-800 border border-gray-700"
+              />
+            </div>
+
+            <div className="space-y-4">
+              <h2 className="text-2xl font-bold bg-gradient-to-r from-[#54D1DC] to-blue-400 bg-clip-text text-transparent">
+                {certificate.name || `Certificate #${tokenId}`}
+              </h2>
+              <DetailRow label="Recipient" value={certificate.recipient} />
+              <DetailRow label="Event" value={certificate.event} />
+              <DetailRow label="Certificate" value={certificate.certificateName} />
+              <DetailRow label="Type" value={certificate.certificateTypeLabel} />
+              <DetailRow label="Level" value={certificate.level} />
+              <DetailRow label="Skills" value={certificate.skills?.join(", ")} />
+              <DetailRow label="Role" value={certificate.role} />
+              <DetailRow label="Team" value={certificate.team} />
+              <DetailRow label="Score" value={certificate.score != null ? String(certificate.score) : null} />
+              {Object.entries(certificate.customAttributes || {}).map(([name, value]) => (
+                <DetailRow key={name} label={name} value={value} />
+              ))}
+              <DetailRow label="Issued" value={formatDate(certificate.issueDate)} />
+              <DetailRow label="Expires" value={formatDate(certificate.expiresAt)} />
+              {verification.metadataError && (
+                <p className="text-yellow-300 text-sm">
+                  Certificate details could not be loaded from IPFS. The on-chain record above is still authoritative.
+                </p>
+              )}
+            </div>
+          </section>
+        )}
+
+        <section className="pt-6 border-t border-gray-800">
+          <h3 className="text-lg font-semibold mb-4">On-chain Record</h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <DetailRow label="Token ID" value={`#${tokenId}`} />
+            <DetailRow label="Network" value={getNetwork(network)?.name || network} />
+            <DetailRow
+              label="Issuer Contract"
+              value={verification.issuer?.contractName || certificate.contractName}
+            />
+            <DetailRow label="Contract Address" value={contractAddress} mono />
+            <DetailRow label="Owner" value={verification.owner} mono />
+            <DetailRow label="Metadata URI" value={verification.tokenURI} mono />
+          </div>
+          {verification.issuer?.explorerUrl && (
+            <a
+              href={verification.issuer.explorerUrl}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="inline-block mt-6 bg-[#54D1DC] hover:bg-[#3fb8c4] text-black px-6 py-3 rounded-lg font-semibold transition-colors"
+            >
+              View Issuer on Explorer ↗
+            </a>
+          )}
+          {verification.checkedAt && (
+            <p className="text-gray-500 text-xs mt-4">
+              Checked live against the blockchain at {verification.checkedAt}
+            </p>
+          )}
+        </section>
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,35 @@
+import { NextResponse } from "next/server";
+import { getToken } from "next-auth/jwt";
+import { findProtectedRoute, authErrors } from "./app/lib/roles";
+
+export async function middleware(request) {
+  const { pathname } = request.nextUrl;
+  const rule = findProtectedRoute(pathname, request.method);
+  if (!rule) {
+    return NextResponse.next();
+  }
+
+  const token = await getToken({ req: request, secret: process.env.NEXTAUTH_SECRET });
+
+  if (!token) {
+    if (rule.page) {
+      const signInUrl = new URL("/api/auth/signin", request.url);
+      signInUrl.searchParams.set("callbackUrl", request.nextUrl.href);
+      return NextResponse.redirect(signInUrl);
+    }
+    return NextResponse.json(authErrors.unauthorized(), { status: 401 });
+  }
+
+  if (!rule.roles.includes(token.role)) {
+    if (rule.page) {
+      return NextResponse.redirect(new URL("/?error=AccessDenied", request.url));
+    }
+    return NextResponse.json(authErrors.forbidden(rule.roles), { status: 403 });
+  }
+
+  return NextResponse.next();
+}
+
+export const config = {
+  matcher: ["/AdminDashboard/:path*", "/api/contracts/:path*", "/api/jobs/:path*", "/api/certificates/:path*", "/api/scoring/:path*"],
+};
@@ -0,0 +1,141 @@
+// CertimosCertificate against Hardhat's in-process network: minting,
+// revocation and the soulbound transfer lock. Deploys the compiled artifact,
+// so run `npm run compile:contract` after changing the contract.
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import hre from "hardhat";
+import { ethers } from "ethers";
+import {
+  CERTIFICATE_CONTRACT_ABI,
+  CERTIFICATE_CONTRACT_BYTECODE,
+} from "../src/app/lib/contracts/CertimosCertificate.js";
+
+const provider = new ethers.BrowserProvider(hre.network.provider);
+const certificateInterface = new ethers.Interface(CERTIFICATE_CONTRACT_ABI);
+const TOKEN_URI = "ipfs://bafkreicertificate";
+
+// Reverts with the contract's custom error `name`. Errors raised while the
+// signer estimates gas carry the raw revert data, undecoded.
+const reverts = (promise, name) =>
+  assert.rejects(promise, (error) => {
+    assert.equal(certificateInterface.parseError(error.data)?.name, name, error.shortMessage);
+    return true;
+  });
+
+const eventsNamed = (contract, receipt, name) =>
+  receipt.logs
+    .map((log) => contract.interface.parseLog(log))
+    .filter((event) => event?.name === name);
+
+describe("CertimosCertificate", () => {
+  let deployer, holder, other, contract;
+
+  beforeEach(async () => {
+    [deployer, holder, other] = await Promise.all([0, 1, 2].map((index) => provider.getSigner(index)));
+    const factory = new ethers.ContractFactory(CERTIFICATE_CONTRACT_ABI, CERTIFICATE_CONTRACT_BYTECODE, deployer);
+    contract = await factory.deploy("Test Certificates", "CERT");
+    await contract.waitForDeployment();
+  });
+
+  describe("minting", () => {
+    it("mints consecutive token IDs from 1 with their URIs", async () => {
+      const receipt = await (await contract.mintCertificate(holder.address, TOKEN_URI)).wait();
+      await (await contract.mintCertificate(other.address, `${TOKEN_URI}2`)).wait();
+
+      const [minted] = eventsNamed(contract, receipt, "CertificateMinted");
+      assert.equal(minted.args.to, holder.address);
+      assert.equal(minted.args.tokenId, 1n);
+      assert.equal(await contract.ownerOf(1), holder.address);
+      assert.equal(await contract.tokenURI(1), TOKEN_URI);
+      assert.equal(await contract.ownerOf(2), other.address);
+      assert.equal(await contract.totalMinted(), 2n);
+      assert.equal(await contract.tokenIdCounter(), 3n);
+    });
+
+    it("mints a batch in recipient order", async () => {
+      await (await contract.mintCertificate(holder.address, TOKEN_URI)).wait();
+      const recipients = [holder.address, other.address, deployer.address];
+      const receipt = await (await contract.mintBatch(recipients, recipients.map((_, index) => `${TOKEN_URI}${index}`))).wait();
+
+      const minted = eventsNamed(contract, receipt, "Transfer");
+      assert.deepEqual(minted.map((event) => event.args.tokenId), [2n, 3n, 4n]);
+      assert.deepEqual(minted.map((event) => event.args.to), recipients);
+      assert.equal(await contract.tokenURI(3), `${TOKEN_URI}1`);
+    });
+
+    it("rejects a batch whose recipients and URIs differ in length", async () => {
+      await reverts(contract.mintBatch([holder.address, other.address], [TOKEN_URI]), "BatchLengthMismatch");
+    });
+
+    it("only lets minters mint", async () => {
+      await reverts(
+        contract.connect(holder).mintCertificate(holder.address, TOKEN_URI),
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+
+    it("points a token at new metadata with an ERC-4906 event", async () => {
+      await (await contract.mintCertificate(holder.address, TOKEN_URI)).wait();
+      const receipt = await (await contract.setTokenURI(1, `${TOKEN_URI}-final`)).wait();
+
+      assert.equal(eventsNamed(contract, receipt, "MetadataUpdate")[0].args._tokenId, 1n);
+      assert.equal(await contract.tokenURI(1), `${TOKEN_URI}-final`);
+    });
+  });
+
+  describe("revocation", () => {
+    beforeEach(async () => {
+      await (await contract.mintCertificate(holder.address, TOKEN_URI)).wait();
+    });
+
+    it("flags the token with its reason and leaves it with the holder", async () => {
+      const receipt = await (await contract.revoke(1, "Issued in error")).wait();
+
+      const [revoked] = eventsNamed(contract, receipt, "CertificateRevoked");
+      assert.equal(revoked.args.tokenId, 1n);
+      assert.equal(revoked.args.reason, "Issued in error");
+      assert.equal(await contract.isRevoked(1), true);
+      assert.equal(await contract.revocationReason(1), "Issued in error");
+      assert.equal(await contract.ownerOf(1), holder.address);
+      assert.equal(await contract.isRevoked(2), false);
+    });
+
+    it("rejects revoking twice", async () => {
+      await (await contract.revoke(1, "Issued in error")).wait();
+      await reverts(contract.revoke(1, "Again"), "CertificateAlreadyRevoked");
+    });
+
+    it("rejects tokens that were never minted", async () => {
+      await reverts(contract.revoke(7, "Missing"), "ERC721NonexistentToken");
+    });
+
+    it("only lets admins revoke", async () => {
+      await reverts(contract.connect(other).revoke(1, "Not mine"), "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("transfer lock", () => {
+    beforeEach(async () => {
+      await (await contract.mintCertificate(holder.address, TOKEN_URI)).wait();
+    });
+
+    it("blocks transfers while locked", async () => {
+      assert.equal(await contract.transfersLocked(), true);
+      await reverts(
+        contract.connect(holder).transferFrom(holder.address, other.address, 1),
+        "TransfersLocked"
+      );
+      assert.equal(await contract.ownerOf(1), holder.address);
+    });
+
+    it("allows transfers once the owner unlocks them", async () => {
+      await (await contract.setTransfersLocked(false)).wait();
+      await (await contract.connect(holder).transferFrom(holder.address, other.address, 1)).wait();
+      assert.equal(await contract.ownerOf(1), other.address);
+    });
+
+    it("only lets the owner change the lock", async () => {
+      await reverts(contract.connect(holder).setTransfersLocked(false), "OwnableUnauthorizedAccount");
+    });
+  });
+});
@@ -0,0 +1,145 @@
+// Rule evaluation and validation in src/app/lib/scoring.js.
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_SCORING_RULES,
+  evaluateScore,
+  validateScoringRules,
+} from "../src/app/lib/scoring.js";
+
+const rulesFrom = (input) => {
+  const { rules, errors } = validateScoringRules(input);
+  assert.deepEqual(errors, []);
+  return rules;
+};
+
+describe("evaluateScore", () => {
+  it("scores with the default rules", () => {
+    assert.deepEqual(evaluateScore({ certificateType: "speaker" }), {
+      points: 250,
+      rarity: "Rare",
+      category: "Speaker",
+      breakdown: { basePoints: 250, eventWeight: 1, issuerWeight: 1, scarcityWeight: 1, batchSize: null },
+    });
+  });
+
+  it("treats a missing or unknown type as participation", () => {
+    assert.equal(evaluateScore({}).points, DEFAULT_SCORING_RULES.types.participation.points);
+    assert.equal(evaluateScore({ certificateType: "keynote" }).category, "Participation");
+  });
+
+  it("multiplies by event and issuer weights, matching keys case-insensitively", () => {
+    const rules = rulesFrom({
+      events: { "ETH Summit": 2 },
+      issuers: { "0xAbC0000000000000000000000000000000000001": 1.5 },
+    });
+    const score = evaluateScore({
+      certificateType: "completion",
+      eventName: "  eth summit ",
+      contractAddress: "0xabc0000000000000000000000000000000000001",
+    }, rules);
+
+    assert.equal(score.points, 450);
+    assert.equal(score.breakdown.eventWeight, 2);
+    assert.equal(score.breakdown.issuerWeight, 1.5);
+  });
+
+  it("applies the first scarcity tier that covers the batch size", () => {
+    const rules = rulesFrom({
+      scarcity: [
+        { maxSupply: 100, multiplier: 1.1 },
+        { maxSupply: 5, multiplier: 3, rarityBoost: 2 },
+        { maxSupply: 20, multiplier: 2, rarityBoost: 1 },
+      ],
+    });
+
+    assert.equal(evaluateScore({ batchSize: 5 }, rules).breakdown.scarcityWeight, 3);
+    assert.equal(evaluateScore({ batchSize: 6 }, rules).breakdown.scarcityWeight, 2);
+    assert.equal(evaluateScore({ batchSize: 100 }, rules).breakdown.scarcityWeight, 1.1);
+    assert.equal(evaluateScore({ batchSize: 101 }, rules).breakdown.scarcityWeight, 1);
+    assert.equal(evaluateScore({ batchSize: null }, rules).breakdown.scarcityWeight, 1);
+  });
+
+  it("raises rarity by the tier's boost, up to Legendary", () => {
+    const rules = rulesFrom({ scarcity: [{ maxSupply: 10, rarityBoost: 3 }] });
+
+    assert.equal(evaluateScore({ certificateType: "participation", batchSize: 3 }, rules).rarity, "Epic");
+    assert.equal(evaluateScore({ certificateType: "speaker", batchSize: 3 }, rules).rarity, "Legendary");
+    assert.equal(evaluateScore({ certificateType: "winner", batchSize: 3 }, rules).rarity, "Legendary");
+  });
+
+  it("rounds points to a whole number", () => {
+    const rules = rulesFrom({ events: { hackathon: 1.333 } });
+    assert.equal(evaluateScore({ eventName: "Hackathon" }, rules).points, 133);
+  });
+});
+
+describe("validateScoringRules", () => {
+  it("keeps defaults for sections that are left out", () => {
+    const rules = rulesFrom({ types: { winner: { points: 500 } } });
+
+    assert.deepEqual(rules.types.winner, { points: 500, rarity: "Epic", category: "Achievement" });
+    assert.deepEqual(rules.types.speaker, DEFAULT_SCORING_RULES.types.speaker);
+    assert.deepEqual(rules.scarcity, DEFAULT_SCORING_RULES.scarcity);
+  });
+
+  it("rejects rules that are not an object", () => {
+    for (const input of [null, [], "rules", 5]) {
+      const { rules, errors } = validateScoringRules(input);
+      assert.equal(rules, null);
+      assert.deepEqual(errors, ["Scoring rules must be a JSON object"]);
+    }
+  });
+
+  it("rejects invalid certificate type rules", () => {
+    const { errors } = validateScoringRules({
+      types: {
+        mentor: { points: 10 },
+        speaker: { points: -1 },
+        winner: { points: 1.5, rarity: "Mythic" },
+        custom: { category: " " },
+      },
+    });
+
+    assert.deepEqual(errors, [
+      "types.mentor is not a certificate type",
+      "types.speaker.points must be a whole number of at least 0",
+      "types.winner.points must be a whole number of at least 0",
+      "types.winner.rarity must be one of Common, Uncommon, Rare, Epic, Legendary",
+      "types.custom.category must be a non-empty string",
+    ]);
+  });
+
+  it("rejects multipliers outside 0 to 100", () => {
+    const { errors } = validateScoringRules({
+      events: { summit: 101, meetup: "2", "": 1 },
+      issuers: [],
+    });
+
+    assert.deepEqual(errors, [
+      "events.summit must be a number between 0 and 100",
+      "events.meetup must be a number between 0 and 100",
+      "events keys must not be empty",
+      "issuers must be an object of multipliers",
+    ]);
+  });
+
+  it("rejects invalid scarcity tiers", () => {
+    const { errors } = validateScoringRules({
+      scarcity: [
+        { maxSupply: 0 },
+        { maxSupply: 10, multiplier: -1 },
+        { maxSupply: 20, rarityBoost: 0.5 },
+        "tier",
+      ],
+    });
+
+    assert.deepEqual(errors, [
+      "scarcity[0].maxSupply must be a whole number of at least 1",
+      "scarcity[1].multiplier must be a number between 0 and 100",
+      "scarcity[2].rarityBoost must be a whole number of at least 0",
+      "scarcity[3].maxSupply must be a whole number of at least 1",
+    ]);
+    assert.deepEqual(validateScoringRules({ scarcity: {} }).errors, ["scarcity must be a list of tiers"]);
+  });
+});